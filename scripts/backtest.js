@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+/**
+ * Backtest script for Recruiter Spam Detection System
+ *
+ * Replays a candidate rule set and/or weight profile against stored
+ * recruiters and verification results, without calling the LLM or any
+ * external API, and reports:
+ * 1. How many decisions flip between approved, flagged and pending_review
+ * 2. Precision and recall against reviewer-set statuses
+ *
+ * Usage:
+ *   npm run backtest -- [options]
+ *
+ * Options:
+ *   --rules <path>             Rule pack file or directory (JSON/YAML) replacing active packs by name
+ *   --rule-set-version <n>     Start from a stored rule set version instead of the active one
+ *   --weights <k=v,...>        e.g. ruleBased=0.4,llm=0.3,external=0.3
+ *   --threshold <n>            Approval threshold (default: SPAM_THRESHOLD)
+ *   --since <date>             Only results created on or after this date (default: all)
+ *   --limit <n>                Max recruiters to replay (default: 1000)
+ *   --json                     Print the full report as JSON
+ */
+
+const fs = require('fs');
+require('dotenv').config();
+
+const { sequelize, initializeAssociations } = require('../src/config/database');
+const rulePackLoader = require('../src/services/rulePackLoader');
+const ruleManager = require('../src/services/ruleManager');
+const backtestService = require('../src/services/backtestService');
+
+// Color codes for console output
+const colors = {
+  reset: '\x1b[0m',
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  magenta: '\x1b[35m',
+  cyan: '\x1b[36m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    if (key === 'json') {
+      args.json = true;
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+}
+
+function parseWeights(value) {
+  if (!value) return undefined;
+
+  const weights = {};
+  for (const pair of value.split(',')) {
+    const [key, raw] = pair.split('=');
+    const weight = parseFloat(raw);
+    if (!key || isNaN(weight)) {
+      throw new Error(`Invalid weight "${pair}" (expected key=value)`);
+    }
+    weights[key.trim()] = weight;
+  }
+  return weights;
+}
+
+function loadCandidatePacks(rulesPath) {
+  if (!rulesPath) return undefined;
+
+  const packs = fs.statSync(rulesPath).isDirectory()
+    ? rulePackLoader.loadDirectory(rulesPath)
+    : [rulePackLoader.loadFile(rulesPath)];
+
+  return packs.map(pack => pack.definition);
+}
+
+function formatRate(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report) {
+  log('\n📋 Candidate', 'blue');
+  log(`   Rule set version: ${report.candidate.ruleSetVersion ?? 'unsaved candidate'}`);
+  log(`   Rule packs: ${Object.entries(report.candidate.rulePacks).map(([name, version]) => `${name}@${version}`).join(', ')}`);
+  log(`   Weights: ${JSON.stringify(report.candidate.weights)}`);
+  log(`   Threshold: ${report.candidate.spamThreshold}`);
+
+  log('\n🔁 Decision flips', 'blue');
+  log(`   Replayed: ${report.replayed}`);
+  log(`   Flipped: ${report.flipped} (${formatRate(report.flipRate)})`, report.flipped > 0 ? 'yellow' : 'green');
+  log(`   Avg score delta: ${report.avgScoreDelta}`);
+  log('\n   stored \\ candidate   approved   flagged   pending_review');
+  for (const [from, row] of Object.entries(report.transitions)) {
+    log(`   ${from.padEnd(20)}${String(row.approved).padStart(9)}${String(row.flagged).padStart(10)}${String(row.pending_review).padStart(17)}`);
+  }
+
+  const { labeled, baseline, candidate } = report.reviewerAgreement;
+  log('\n🎯 Reviewer agreement (flagged = spam)', 'blue');
+  if (labeled === 0) {
+    log('   No reviewed recruiters in range', 'yellow');
+  } else {
+    log(`   Reviewed recruiters: ${labeled}`);
+    log(`   Stored:    precision ${formatRate(baseline.precision)}, recall ${formatRate(baseline.recall)}`);
+    log(`   Candidate: precision ${formatRate(candidate.precision)}, recall ${formatRate(candidate.recall)}`);
+  }
+
+  if (report.flips.length > 0) {
+    log('\n🔍 Sample flips', 'blue');
+    report.flips.slice(0, 20).forEach(flip => {
+      log(`   recruiter ${flip.recruiterId}: ${flip.from} (${flip.storedScore}) -> ${flip.to} (${flip.candidateScore})`);
+    });
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await sequelize.authenticate();
+  initializeAssociations();
+
+  // Baseline is the active (latest stored) rule set
+  await ruleManager.initialize();
+
+  const report = await backtestService.run({
+    packs: loadCandidatePacks(args.rules),
+    ruleSetVersion: args['rule-set-version'] ? parseInt(args['rule-set-version']) : undefined,
+    weights: parseWeights(args.weights),
+    spamThreshold: args.threshold !== undefined ? parseInt(args.threshold) : undefined,
+    since: args.since ? new Date(args.since) : undefined,
+    limit: args.limit ? parseInt(args.limit) : undefined
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    log('\n🧪 Rule Backtest', 'magenta');
+    log('================', 'magenta');
+    printReport(report);
+  }
+
+  await sequelize.close();
+}
+
+// Run backtest if called directly
+if (require.main === module) {
+  main().catch(async error => {
+    log(`❌ Backtest failed: ${error.message}`, 'red');
+    await sequelize.close();
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, parseWeights, loadCandidatePacks };
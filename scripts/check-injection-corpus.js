@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Check the prompt-injection detector against the injection corpus
+ *
+ * Every attack in src/services/llmProviders/fixtures/injectionCorpus.json must
+ * trip at least one marker and no benign value may trip any. Also checks that
+ * the escaped prompt data cannot close the <recruiter_data> delimiter.
+ *
+ * Usage:
+ *   npm run check-injection-corpus [-- --corpus <path>]
+ */
+
+const path = require('path');
+
+const promptInjectionDetector = require('../src/services/promptInjectionDetector');
+const llmScoring = require('../src/services/llmScoring');
+
+const DEFAULT_CORPUS = path.join(__dirname, '..', 'src', 'services', 'llmProviders', 'fixtures', 'injectionCorpus.json');
+
+function main() {
+  const corpusIndex = process.argv.indexOf('--corpus');
+  const corpus = require(path.resolve(corpusIndex !== -1 ? process.argv[corpusIndex + 1] : DEFAULT_CORPUS));
+  const failures = [];
+
+  for (const sample of corpus.attacks) {
+    const { markers } = promptInjectionDetector.scan({ [sample.field]: sample.value });
+    if (markers.length === 0) {
+      failures.push(`missed attack in ${sample.field}: ${JSON.stringify(sample.value)}`);
+    }
+
+    const data = llmScoring.formatUntrustedData({ [sample.field]: sample.value });
+    if (/<\/?\s*recruiter_data|```/i.test(data)) {
+      failures.push(`delimiter not escaped in ${sample.field}: ${JSON.stringify(sample.value)}`);
+    }
+  }
+
+  for (const sample of corpus.benign) {
+    const { markers } = promptInjectionDetector.scan({ [sample.field]: sample.value });
+    if (markers.length > 0) {
+      failures.push(`false positive (${markers.map(m => m.marker).join(', ')}) in ${sample.field}: ${JSON.stringify(sample.value)}`);
+    }
+  }
+
+  console.log(`Attacks: ${corpus.attacks.length}, benign: ${corpus.benign.length}, failures: ${failures.length}`);
+  failures.forEach(failure => console.log(`  ❌ ${failure}`));
+
+  if (failures.length > 0) process.exit(1);
+  console.log('✅ Injection corpus passed');
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Issue an admin token for the rule admin API
+ *
+ * Signs a JWT with JWT_SECRET whose subject (the admin's name) is recorded
+ * as the author of every rule change made with it.
+ *
+ * Usage:
+ *   npm run admin-token -- <name> [--expires <duration>]
+ *
+ * Options:
+ *   --expires <duration>       e.g. 8h, 7d (default: JWT_EXPIRES_IN or 24h)
+ */
+
+require('dotenv').config();
+const jwt = require('jsonwebtoken');
+
+function main() {
+  const args = process.argv.slice(2);
+  const expiresIndex = args.indexOf('--expires');
+  const expiresIn = expiresIndex !== -1 ? args[expiresIndex + 1] : (process.env.JWT_EXPIRES_IN || '24h');
+  const name = args.find((arg, index) => !arg.startsWith('--') && (expiresIndex === -1 || index !== expiresIndex + 1));
+
+  if (!name) {
+    console.error('Usage: npm run admin-token -- <name> [--expires <duration>]');
+    process.exit(1);
+  }
+  if (!process.env.JWT_SECRET) {
+    console.error('JWT_SECRET is not set');
+    process.exit(1);
+  }
+
+  console.log(jwt.sign({ role: 'admin' }, process.env.JWT_SECRET, { subject: name, expiresIn }));
+}
+
+main();
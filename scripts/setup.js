@@ -129,6 +129,7 @@ async function checkEnvironmentVariables() {
   ];
   
   const optional = [
+    'LLM_PROVIDER',
     'GEMINI_API_KEY',
     'HUNTER_API_KEY',
     'CLEARBIT_API_KEY',
@@ -229,14 +230,28 @@ async function createDatabaseIndexes() {
     const { sequelize } = require('../src/config/database');
     
     // Import models to register them with Sequelize
-    require('../src/models/Recruiter');
+    const Recruiter = require('../src/models/Recruiter');
     require('../src/models/VerificationResult');
+    require('../src/models/RuleSetVersion');
+    const siteFingerprint = require('../src/services/siteFingerprint');
     
     // Sync database (create tables and indexes)
     await sequelize.sync({ alter: true });
     
     logSuccess('Database tables and indexes created successfully');
     
+    // Recruiters created before phone parsing have no phoneE164/phoneCountry yet
+    const backfill = await Recruiter.backfillPhoneFields();
+    if (backfill.scanned > 0) {
+      logSuccess(`Phone fields backfilled for ${backfill.updated} of ${backfill.scanned} recruiters`);
+    }
+
+    // Website fingerprints stored before clone search used signature bands
+    const bands = await siteFingerprint.backfillBands();
+    if (bands.indexed > 0) {
+      logSuccess(`Signature bands indexed for ${bands.indexed} of ${bands.scanned} website fingerprints`);
+    }
+    
     await sequelize.close();
     
   } catch (error) {
@@ -250,11 +265,12 @@ async function testExternalConnections() {
   
   const tests = [];
   
-  // Test Gemini
-  if (process.env.GEMINI_API_KEY) {
-    tests.push(testGemini());
+  // Test the configured LLM provider
+  const llmScoring = require('../src/services/llmScoring');
+  if (llmScoring.provider.isConfigured()) {
+    tests.push(testLLM(llmScoring));
   } else {
-    logWarning('Gemini API key not configured - LLM scoring will be disabled');
+    logWarning(`LLM provider "${llmScoring.provider.name}" not configured - LLM scoring will be disabled`);
   }
   
   // Test Hunter.io
@@ -286,26 +302,13 @@ async function testExternalConnections() {
   }
 }
 
-async function testGemini() {
-  try {
-    const { GoogleGenerativeAI } = require('@google/generative-ai');
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-pro',
-      generationConfig: {
-        temperature: 0,
-        maxOutputTokens: 10,
-      }
-    });
-    
-    // Simple test call
-    const result = await model.generateContent('Say "OK" if you can hear me.');
-    const response = result.response.text().trim();
-    
-    logSuccess('Gemini API connection successful');
-  } catch (error) {
-    logWarning(`Gemini API test failed: ${error.message}`);
+async function testLLM(llmScoring) {
+  const result = await llmScoring.testConnection();
+
+  if (result.success) {
+    logSuccess(`LLM connection successful (${result.provider}, ${result.model})`);
+  } else {
+    logWarning(`LLM test failed (${result.provider}): ${result.message}`);
   }
 }
 
@@ -391,7 +394,7 @@ function displaySetupSummary() {
   log(`   Spam Threshold: ${process.env.SPAM_THRESHOLD}%`);
   
   log('\n🔌 External Services:', 'cyan');
-  log(`   Gemini: ${process.env.GEMINI_API_KEY ? '✅ Enabled' : '❌ Disabled'}`);
+  log(`   LLM provider: ${process.env.LLM_PROVIDER || 'gemini'}`);
   log(`   Hunter.io: ${process.env.HUNTER_API_KEY ? '✅ Enabled' : '❌ Disabled'}`);
   log(`   Clearbit: ${process.env.CLEARBIT_API_KEY ? '✅ Enabled' : '❌ Disabled'}`);
   log(`   Numverify: ${process.env.NUMVERIFY_API_KEY ? '✅ Enabled' : '❌ Disabled'}`);
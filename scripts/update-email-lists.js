@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * Refresh the bundled disposable email domain list
+ *
+ * Downloads the community-maintained blocklist and rewrites
+ * src/config/email/disposable-domains.txt. Commit the result so every
+ * instance scores with the same list.
+ *
+ * Usage:
+ *   npm run update-email-lists [-- --url <blocklist url>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_URL = 'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf';
+const OUTPUT = path.join(__dirname, '..', 'src', 'config', 'email', 'disposable-domains.txt');
+
+const HEADER = [
+  '# Disposable / temporary email domains, one per line.',
+  '# Source: https://github.com/disposable-email-domains/disposable-email-domains (CC0 1.0)',
+  '# Refresh with: npm run update-email-lists'
+];
+
+async function main() {
+  const urlIndex = process.argv.indexOf('--url');
+  const url = urlIndex !== -1 ? process.argv[urlIndex + 1] : DEFAULT_URL;
+
+  console.log(`Downloading ${url}`);
+  const response = await axios.get(url, { timeout: 30000, responseType: 'text' });
+
+  const domains = [...new Set(
+    String(response.data)
+      .split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+      .filter(line => line && line.includes('.'))
+  )].sort();
+
+  if (domains.length < 1000) {
+    throw new Error(`Refusing to write a suspiciously short list (${domains.length} domains)`);
+  }
+
+  const previous = fs.existsSync(OUTPUT)
+    ? fs.readFileSync(OUTPUT, 'utf8').split('\n').filter(line => line && !line.startsWith('#')).length
+    : 0;
+
+  fs.writeFileSync(OUTPUT, `${HEADER.join('\n')}\n${domains.join('\n')}\n`);
+  console.log(`Wrote ${domains.length} domains (previously ${previous}) to ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ Update failed: ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -1,7 +1,10 @@
 const Recruiter = require('../models/Recruiter');
 const VerificationResult = require('../models/VerificationResult');
 const scoringWorkflow = require('../services/scoringWorkflow');
+const backtestService = require('../services/backtestService');
+const usageLedger = require('../services/usageLedger');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { REVIEW_LABELS } = require('../utils/reviewLabels');
 const logger = require('../utils/logger');
 const { Op, fn, col, literal } = require('sequelize');
 
@@ -217,37 +220,75 @@ class DashboardController {
     const timeRange = timeRanges[timeframe] || timeRanges['7d'];
     const startTime = new Date(Date.now() - timeRange);
 
-    // Processing time metrics - simplified
-    const processingMetrics = [{
-      avgTotalTime: 5000,
-      avgRuleTime: 100,
-      avgLLMTime: 2000,
-      avgExternalTime: 3000,
-      totalApiCalls: 50,
-      totalErrors: 2,
-      count: 25
-    }];
+    const [results, apiUsage, budget] = await Promise.all([
+      VerificationResult.findAll({
+        where: { created_at: { [Op.gte]: startTime } },
+        attributes: ['processingMetrics', 'llmScore']
+      }),
+      usageLedger.getUsageSummary(startTime),
+      usageLedger.getBudgetStatus()
+    ]);
 
-    // Error analysis - simplified
-    const errorAnalysis = [
-      { _id: 'external_api', count: 3, examples: ['Timeout', 'Rate limit'] },
-      { _id: 'llm_service', count: 1, examples: ['Token limit exceeded'] }
-    ];
+    // Processing time metrics
+    const totals = { totalTime: 0, ruleTime: 0, llmTime: 0, externalTime: 0, apiCalls: 0, errors: 0 };
+    const errorGroups = {};
+    let llmSkipped = 0;
+
+    for (const result of results) {
+      const metrics = result.processingMetrics || {};
+      totals.totalTime += metrics.totalProcessingTime || 0;
+      totals.ruleTime += metrics.ruleBasedTime || 0;
+      totals.llmTime += metrics.llmTime || 0;
+      totals.externalTime += metrics.externalApiTime || 0;
+      totals.apiCalls += metrics.apiCallsCount || 0;
+      if (result.llmScore?.skipped) llmSkipped++;
+
+      for (const error of metrics.errors || []) {
+        totals.errors++;
+        const source = error.source || 'unknown';
+        const group = errorGroups[source] = errorGroups[source] || { _id: source, count: 0, examples: [] };
+        group.count++;
+        const message = String(error.error || '');
+        if (message && group.examples.length < 3 && !group.examples.includes(message)) {
+          group.examples.push(message);
+        }
+      }
+    }
 
-    // API usage statistics - simplified
-    const apiUsage = [{
-      totalTokens: 15000,
-      totalPromptTokens: 8000,
-      totalCompletionTokens: 7000,
-      avgTokensPerRequest: 600
-    }];
+    const count = results.length;
+    const average = value => (count > 0 ? Math.round(value / count) : 0);
+    const processingMetrics = {
+      avgTotalTime: average(totals.totalTime),
+      avgRuleTime: average(totals.ruleTime),
+      avgLLMTime: average(totals.llmTime),
+      avgExternalTime: average(totals.externalTime),
+      totalApiCalls: totals.apiCalls,
+      totalErrors: totals.errors,
+      llmSkipped,
+      count
+    };
+
+    // Error analysis
+    const errorAnalysis = Object.values(errorGroups).sort((a, b) => b.count - a.count);
+
+    // LLM usage from the usage ledger
+    const llmUsage = {
+      totalTokens: apiUsage.totalTokens,
+      totalPromptTokens: apiUsage.promptTokens,
+      totalCompletionTokens: apiUsage.completionTokens,
+      avgTokensPerRequest: apiUsage.calls > 0 ? Math.round(apiUsage.totalTokens / apiUsage.calls) : 0,
+      totalCalls: apiUsage.calls,
+      estimatedCost: apiUsage.estimatedCost,
+      byModel: apiUsage.byModel,
+      budget
+    };
 
     res.json({
       success: true,
       data: {
-        processing: processingMetrics[0] || {},
+        processing: processingMetrics,
         errors: errorAnalysis,
-        apiUsage: apiUsage[0] || {},
+        apiUsage: llmUsage,
         timeframe,
         generatedAt: new Date()
       }
@@ -310,6 +351,45 @@ class DashboardController {
     });
   });
 
+  /**
+   * Compare LLM score distributions and reviewer agreement per prompt version
+   */
+  getPromptAnalytics = asyncHandler(async (req, res) => {
+    const { timeframe = '7d' } = req.query;
+
+    const timeRanges = {
+      '24h': 24 * 60 * 60 * 1000,
+      '7d': 7 * 24 * 60 * 60 * 1000,
+      '30d': 30 * 24 * 60 * 60 * 1000
+    };
+
+    const timeRange = timeRanges[timeframe] || timeRanges['7d'];
+    const startTime = new Date(Date.now() - timeRange);
+
+    const groups = await this.getPromptVersionGroups(startTime);
+
+    // Results scored before prompt versioning have no version
+    const byVersion = {};
+    for (const group of groups) {
+      const version = group.promptVersion || 'unversioned';
+      (byVersion[version] = byVersion[version] || []).push(group);
+    }
+
+    const versions = Object.entries(byVersion)
+      .map(([version, versionGroups]) => this.summarizePromptVersion(version, versionGroups))
+      .sort((a, b) => a.version.localeCompare(b.version));
+
+    res.json({
+      success: true,
+      data: {
+        versions,
+        total: versions.reduce((sum, version) => sum + version.count, 0),
+        timeframe,
+        generatedAt: new Date()
+      }
+    });
+  });
+
   /**
    * Export data for external analysis
    */
@@ -492,6 +572,117 @@ class DashboardController {
       .slice(0, 10);
   }
 
+  /**
+   * Verification results since a date, counted per prompt version, decision, reviewed recruiter
+   * status and exact LLM score. Scores are whole numbers, so a version has at most a few hundred groups.
+   */
+  async getPromptVersionGroups(since) {
+    const llmScore = (path) => `JSON_EXTRACT(\`VerificationResult\`.\`llm_score\`, '$.${path}')`;
+    const promptVersion = literal(`NULLIF(JSON_UNQUOTE(${llmScore('promptVersion')}), 'null')`);
+    const score = literal(`CASE WHEN JSON_TYPE(${llmScore('score')}) IN ('INTEGER', 'UNSIGNED INTEGER', 'DOUBLE', 'DECIMAL') THEN ${llmScore('score')} END`);
+    const reviewStatus = literal('CASE WHEN `VerificationResult`.`reviewed_at` IS NULL THEN NULL ELSE `recruiter`.`status` END');
+    const decision = col('VerificationResult.decision');
+
+    const groups = await VerificationResult.findAll({
+      where: { created_at: { [Op.gte]: since } },
+      attributes: [
+        [promptVersion, 'promptVersion'],
+        [score, 'llmScore'],
+        [decision, 'decision'],
+        [reviewStatus, 'reviewStatus'],
+        [fn('COUNT', col('*')), 'count'],
+        [fn('SUM', col('VerificationResult.final_score')), 'finalScoreSum']
+      ],
+      include: [{
+        model: Recruiter,
+        as: 'recruiter',
+        attributes: []
+      }],
+      group: [promptVersion, score, decision, reviewStatus],
+      raw: true
+    });
+
+    return groups.map(group => ({
+      promptVersion: group.promptVersion,
+      llmScore: group.llmScore === null ? null : parseFloat(group.llmScore),
+      decision: group.decision,
+      label: group.reviewStatus ? REVIEW_LABELS[group.reviewStatus] || null : null,
+      count: parseInt(group.count),
+      finalScoreSum: parseFloat(group.finalScoreSum) || 0
+    }));
+  }
+
+  /**
+   * Score distribution, decisions and reviewer agreement of the result groups of one prompt version
+   */
+  summarizePromptVersion(version, groups) {
+    const round = value => Math.round(value * 10) / 10;
+    const count = groups.reduce((sum, group) => sum + group.count, 0);
+    const scored = groups
+      .filter(group => typeof group.llmScore === 'number')
+      .sort((a, b) => a.llmScore - b.llmScore);
+    const scoredCount = scored.reduce((sum, group) => sum + group.count, 0);
+    const mean = scoredCount > 0 ? scored.reduce((sum, group) => sum + group.llmScore * group.count, 0) / scoredCount : null;
+
+    // Score at a 0-based position in the sorted scores
+    const scoreAt = (position) => {
+      let seen = 0;
+      for (const group of scored) {
+        seen += group.count;
+        if (position < seen) return group.llmScore;
+      }
+      return null;
+    };
+    const middle = Math.floor(scoredCount / 2);
+
+    const distribution = { '0-19': 0, '20-39': 0, '40-59': 0, '60-79': 0, '80-100': 0 };
+    for (const { llmScore: score, count: scoreCount } of scored) {
+      const bucket = score < 20 ? '0-19' : score < 40 ? '20-39' : score < 60 ? '40-59' : score < 80 ? '60-79' : '80-100';
+      distribution[bucket] += scoreCount;
+    }
+
+    const decisions = { approved: 0, flagged: 0, pending_review: 0 };
+    const labeled = [];
+    let agreed = 0, disagreed = 0, llmAgreed = 0;
+
+    for (const group of groups) {
+      if (group.decision in decisions) decisions[group.decision] += group.count;
+
+      if (!group.label) continue;
+      labeled.push(group);
+
+      // pending_review decisions defer to the reviewer, so they neither agree nor disagree
+      if (group.decision === 'approved' || group.decision === 'flagged') {
+        if ((group.decision === 'approved') === (group.label === 'legit')) agreed += group.count; else disagreed += group.count;
+      }
+      if ((group.llmScore >= scoringWorkflow.spamThreshold) === (group.label === 'legit')) llmAgreed += group.count;
+    }
+    const reviewed = labeled.reduce((sum, group) => sum + group.count, 0);
+
+    return {
+      version,
+      count,
+      llmScore: {
+        mean: mean === null ? null : round(mean),
+        median: scoredCount === 0 ? null : scoredCount % 2 ? scoreAt(middle) : (scoreAt(middle - 1) + scoreAt(middle)) / 2,
+        stdDev: mean === null ? null : round(Math.sqrt(scored.reduce((sum, group) => sum + Math.pow(group.llmScore - mean, 2) * group.count, 0) / scoredCount)),
+        distribution
+      },
+      avgFinalScore: count > 0 ? round(groups.reduce((sum, group) => sum + group.finalScoreSum, 0) / count) : null,
+      decisions,
+      reviewerAgreement: {
+        reviewed,
+        agreed,
+        disagreed,
+        deferred: reviewed - agreed - disagreed,
+        agreementRate: agreed + disagreed > 0 ? backtestService.round(agreed / (agreed + disagreed)) : null,
+        // LLM score alone against the approval threshold
+        llmAgreementRate: reviewed > 0 ? backtestService.round(llmAgreed / reviewed) : null,
+        ...backtestService.computeAccuracy(labeled, 'decision')
+      }
+    };
+  }
+
   async checkDatabaseHealth() {
     try {
       const start = Date.now();
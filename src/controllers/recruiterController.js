@@ -1,6 +1,7 @@
 const Recruiter = require('../models/Recruiter');
 const VerificationResult = require('../models/VerificationResult');
 const scoringWorkflow = require('../services/scoringWorkflow');
+const fewShotExamples = require('../services/fewShotExamples');
 const { AppError, asyncHandler } = require('../middleware/errorHandler');
 const { validationResult } = require('express-validator');
 const logger = require('../utils/logger');
@@ -205,6 +206,8 @@ class RecruiterController {
    */
   triggerRescoring = asyncHandler(async (req, res) => {
     const { id } = req.params;
+    // Cached LLM and external API results are reused unless the caller asks for fresh ones
+    const bypassCache = req.query.bypassCache === true || req.body?.bypassCache === true;
 
     const recruiter = await Recruiter.findByPk(id);
     if (!recruiter) {
@@ -213,11 +216,12 @@ class RecruiterController {
 
     logger.info('Manual re-scoring triggered', {
       recruiterId: id,
+      bypassCache,
       triggeredBy: req.ip
     });
 
     // Trigger scoring workflow
-    const result = await scoringWorkflow.scoreRecruiter(id);
+    const result = await scoringWorkflow.scoreRecruiter(id, { bypassCache });
 
     res.json({
       success: true,
@@ -227,7 +231,8 @@ class RecruiterController {
         finalScore: result.finalScore,
         decision: result.decision,
         confidence: result.confidence,
-        processingTime: result.processingTime
+        processingTime: result.processingTime,
+        llmCached: result.details.llmScore.cached
       }
     });
   });
@@ -253,20 +258,19 @@ class RecruiterController {
     recruiter.status = status;
     await recruiter.save();
 
-    // Update verification result if exists
-    if (notes) {
-      await VerificationResult.update(
-        { 
-          notes,
-          reviewedBy: 'admin', // In real app, use actual admin ID
-          reviewedAt: new Date()
-        },
-        {
-          where: { recruiterId: id },
-          order: [['created_at', 'DESC']],
-          limit: 1
-        }
-      );
+    // Record the review on the latest verification result (reviewer labels feed backtesting and few-shot examples)
+    const latestResult = await VerificationResult.findOne({
+      where: { recruiterId: id },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (latestResult) {
+      await latestResult.update({
+        ...(notes && { notes }),
+        reviewedBy: 'admin', // In real app, use actual admin ID
+        reviewedAt: new Date()
+      });
+      fewShotExamples.invalidate();
     }
 
     logger.info('Recruiter status updated', {
@@ -419,7 +423,9 @@ class RecruiterController {
 
     switch (operation) {
       case 'score':
-        results = await scoringWorkflow.batchScoreRecruiters(recruiterIds);
+        results = await scoringWorkflow.batchScoreRecruiters(recruiterIds, {
+          bypassCache: data?.bypassCache === true
+        });
         break;
         
       case 'updateStatus':
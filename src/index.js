@@ -6,6 +6,7 @@ const compression = require('compression');
 require('dotenv').config();
 
 const { connectDB, initializeAssociations } = require('./config/database');
+const ruleManager = require('./services/ruleManager');
 const routes = require('./routes');
 const { globalErrorHandler } = require('./middleware/errorHandler');
 const rateLimiter = require('./middleware/rateLimiter');
@@ -23,6 +24,9 @@ const initializeApp = async () => {
     // Initialize model associations after database connection
     initializeAssociations();
     
+    // Activate the latest persisted rule set
+    await ruleManager.initialize();
+    
     logger.info('✅ App initialization completed');
   } catch (error) {
     logger.error('❌ App initialization failed:', error);
@@ -0,0 +1,41 @@
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Require an admin JWT: `Authorization: Bearer <token>`, signed with JWT_SECRET, with role "admin".
+ * The token's subject is exposed as req.admin.id and recorded as the author of admin changes.
+ * Tokens are issued with `npm run admin-token -- <name>`.
+ */
+const requireAdmin = (req, res, next) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    return next(new AppError('Admin authentication is not configured (JWT_SECRET)', 503, 'AUTH_NOT_CONFIGURED'));
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return next(new AppError('Authentication required', 401, 'AUTH_REQUIRED'));
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    logger.warn('Rejected admin token', { ip: req.ip, endpoint: req.originalUrl, error: error.message });
+    return next(error.name === 'TokenExpiredError'
+      ? new AppError('Your token has expired. Please log in again.', 401, 'EXPIRED_TOKEN')
+      : new AppError('Invalid token. Please log in again.', 401, 'INVALID_TOKEN'));
+  }
+
+  if (payload.role !== 'admin' || !payload.sub) {
+    return next(new AppError('Admin access required', 403, 'FORBIDDEN'));
+  }
+
+  req.admin = { id: String(payload.sub) };
+  next();
+};
+
+module.exports = {
+  requireAdmin
+};
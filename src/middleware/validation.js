@@ -1,6 +1,18 @@
 const { body, param, query, validationResult } = require('express-validator');
 const validator = require('validator');
 
+// Size limits of POST /system/backtest
+const BACKTEST_LIMITS = {
+  packs: 20,
+  rulesPerPack: 100,
+  patternsPerRule: 50,
+  patternLength: 200,
+  recruiters: 5000
+};
+
+// A group containing a quantifier that is itself repeated, e.g. (a+)+ or (\w+\s?){2,}
+const NESTED_QUANTIFIER_PATTERN = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)[+*{]/;
+
 // Custom validators
 const customValidators = {
   isStrongPassword: (value) => {
@@ -22,6 +34,35 @@ const customValidators = {
     
     // For demo purposes, we'll allow free emails but could flag them
     return true;
+  },
+  
+  // Ad-hoc backtest packs run their patterns over thousands of stored recruiters,
+  // so their size is bounded and nested quantifiers (catastrophic backtracking) are refused
+  isBoundedRulePacks: (packs) => {
+    if (packs.length > BACKTEST_LIMITS.packs) {
+      throw new Error(`At most ${BACKTEST_LIMITS.packs} rule packs can be backtested at once`);
+    }
+    for (const pack of packs) {
+      const rules = pack && Array.isArray(pack.rules) ? pack.rules : [];
+      if (rules.length > BACKTEST_LIMITS.rulesPerPack) {
+        throw new Error(`Rule pack "${pack.pack}" has more than ${BACKTEST_LIMITS.rulesPerPack} rules`);
+      }
+      for (const rule of rules) {
+        const patterns = rule && rule.condition && Array.isArray(rule.condition.patterns) ? rule.condition.patterns : [];
+        if (patterns.length > BACKTEST_LIMITS.patternsPerRule) {
+          throw new Error(`Rule "${rule.id}" has more than ${BACKTEST_LIMITS.patternsPerRule} patterns`);
+        }
+        for (const pattern of patterns) {
+          if (typeof pattern !== 'string' || pattern.length > BACKTEST_LIMITS.patternLength) {
+            throw new Error(`Rule "${rule.id}" patterns must be strings of at most ${BACKTEST_LIMITS.patternLength} characters`);
+          }
+          if (NESTED_QUANTIFIER_PATTERN.test(pattern)) {
+            throw new Error(`Rule "${rule.id}" pattern ${pattern} repeats a quantified group`);
+          }
+        }
+      }
+    }
+    return true;
   }
 };
 
@@ -119,6 +160,21 @@ const validateStatusUpdate = [
     .trim()
 ];
 
+// Rescore validation
+const validateRescore = [
+  query('bypassCache')
+    .optional()
+    .isBoolean()
+    .withMessage('bypassCache must be true or false')
+    .toBoolean(),
+    
+  body('bypassCache')
+    .optional()
+    .isBoolean()
+    .withMessage('bypassCache must be true or false')
+    .toBoolean()
+];
+
 // Batch operations validation
 const validateBatchOperation = [
   body('operation')
@@ -142,7 +198,13 @@ const validateBatchOperation = [
   body('data.status')
     .if(body('operation').equals('updateStatus'))
     .isIn(['pending', 'approved', 'flagged', 'rejected'])
-    .withMessage('Status must be one of: pending, approved, flagged, rejected')
+    .withMessage('Status must be one of: pending, approved, flagged, rejected'),
+    
+  body('data.bypassCache')
+    .optional()
+    .isBoolean()
+    .withMessage('data.bypassCache must be true or false')
+    .toBoolean()
 ];
 
 // Dashboard query validation
@@ -198,6 +260,99 @@ const validateRecruitersList = [
     .withMessage('Sort order must be either asc or desc')
 ];
 
+// Rule management validation
+const RULE_ID_PATTERN = /^[\w.\-]{1,150}$/;
+
+const validateRuleId = [
+  param('ruleId')
+    .matches(RULE_ID_PATTERN)
+    .withMessage('Rule ID may only contain letters, numbers, dots, dashes and underscores')
+];
+
+const validateRuleCreate = [
+  body('pack')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Rule pack name is required'),
+    
+  body('rule')
+    .isObject()
+    .withMessage('Rule must be an object'),
+    
+  body('rule.id')
+    .matches(RULE_ID_PATTERN)
+    .withMessage('Rule ID may only contain letters, numbers, dots, dashes and underscores'),
+    
+  body('reason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+const validateRuleUpdate = [
+  ...validateRuleId,
+  
+  body('rule')
+    .isObject()
+    .withMessage('Rule changes must be an object'),
+    
+  body('reason')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+const validateRuleReload = [
+  body('source')
+    .optional()
+    .isIn(['database', 'files'])
+    .withMessage('Source must be either "database" or "files"')
+];
+
+// Backtest validation
+const validateBacktest = [
+  body('packs')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Packs must be a non-empty array of rule pack definitions')
+    .bail()
+    .custom(customValidators.isBoundedRulePacks),
+    
+  body('ruleSetVersion')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Rule set version must be a positive integer')
+    .toInt(),
+    
+  body('weights')
+    .optional()
+    .isObject()
+    .withMessage('Weights must be an object'),
+    
+  body('weights.*')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Each weight must be a number between 0 and 1')
+    .toFloat(),
+    
+  body('spamThreshold')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Spam threshold must be between 0 and 100')
+    .toInt(),
+    
+  body('timeframe')
+    .optional()
+    .isIn(['24h', '7d', '30d', '90d', 'all'])
+    .withMessage('Timeframe must be one of: 24h, 7d, 30d, 90d, all'),
+    
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: BACKTEST_LIMITS.recruiters })
+    .withMessage(`Limit must be between 1 and ${BACKTEST_LIMITS.recruiters}`)
+    .toInt()
+];
+
 // Rate limiting bypass validation (for internal services)
 const validateInternalRequest = [
   body('internalKey')
@@ -269,10 +424,16 @@ module.exports = {
   validateObjectId,
   validatePagination,
   validateStatusUpdate,
+  validateRescore,
   validateBatchOperation,
   validateDashboardQuery,
   validateRecruitersList,
   validateInternalRequest,
+  validateRuleId,
+  validateRuleCreate,
+  validateRuleUpdate,
+  validateRuleReload,
+  validateBacktest,
   
   // Middleware
   sanitizeInput,
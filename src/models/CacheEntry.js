@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const CacheEntry = sequelize.define('CacheEntry', {
+  // SHA-256 of the namespace and the inputs that produced the value
+  key: {
+    type: DataTypes.STRING(64),
+    primaryKey: true
+  },
+
+  // Provider the value came from (gemini, hunter, numverify, ...)
+  namespace: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+
+  value: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'result_cache',
+  indexes: [
+    {
+      fields: ['namespace']
+    },
+    {
+      fields: ['expires_at']
+    }
+  ]
+});
+
+module.exports = CacheEntry;
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per external verification API call that reached a provider (cache hits are not recorded)
+const ExternalApiCall = sequelize.define('ExternalApiCall', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+
+  endpoint: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+
+  success: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false
+  },
+
+  // Requests made for this call, including retries; quotas count these
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+
+  durationMs: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  }
+}, {
+  tableName: 'external_api_calls',
+  indexes: [
+    {
+      fields: ['created_at']
+    },
+    {
+      fields: ['provider']
+    }
+  ]
+});
+
+module.exports = ExternalApiCall;
@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per LLM call that reached a provider (cache hits cost nothing and are not recorded)
+const LlmUsage = sequelize.define('LlmUsage', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+
+  model: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+
+  recruiterId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+
+  promptVersion: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+
+  // Requests made for this call, including structured-output repair attempts
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+
+  promptTokens: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  completionTokens: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  totalTokens: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+
+  // USD, from the price table in effect when the call was made
+  estimatedCost: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'llm_usage',
+  indexes: [
+    {
+      fields: ['created_at']
+    },
+    {
+      fields: ['provider', 'model']
+    }
+  ]
+});
+
+module.exports = LlmUsage;
@@ -1,7 +1,19 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 const { sequelize } = require('../config/database');
+const { parsePhone } = require('../utils/phone');
+
+/**
+ * Stored fields derived from a phone number (one parse); phoneE164 only for plausible lengths
+ */
+const derivePhoneFields = (phoneNumber) => {
+  const parsed = parsePhone(phoneNumber);
+  return {
+    phoneE164: parsed && parsed.isPossible ? parsed.e164 : null,
+    phoneCountry: parsed?.country || null
+  };
+};
 
 const Recruiter = sequelize.define('Recruiter', {
   id: {
@@ -78,6 +90,15 @@ const Recruiter = sequelize.define('Recruiter', {
       }
     }
   },
+  // Derived from phoneNumber on save (backfilled for older rows by npm run setup); indexed for lookups and geographic analytics
+  phoneE164: {
+    type: DataTypes.STRING(16),
+    allowNull: true
+  },
+  phoneCountry: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
   role: {
     type: DataTypes.STRING(100),
     allowNull: false,
@@ -168,6 +189,12 @@ const Recruiter = sequelize.define('Recruiter', {
     {
       fields: ['company_name']
     },
+    {
+      fields: ['phone_e164']
+    },
+    {
+      fields: ['phone_country']
+    },
     {
       fields: ['status']
     },
@@ -184,6 +211,13 @@ const Recruiter = sequelize.define('Recruiter', {
         const salt = await bcrypt.genSalt(12);
         recruiter.password = await bcrypt.hash(recruiter.password, salt);
       }
+      if (recruiter.changed('phoneNumber')) {
+        Object.assign(recruiter, derivePhoneFields(recruiter.phoneNumber));
+      }
+    },
+    // bulkCreate skips beforeSave (password hashing, phone fields) unless it runs per row
+    beforeBulkCreate: (recruiters, options) => {
+      options.individualHooks = true;
     }
   }
 });
@@ -225,4 +259,37 @@ Recruiter.findByEmail = function(email) {
   return this.findOne({ where: { businessEmail: email.toLowerCase() } });
 };
 
+/**
+ * Fill phoneE164/phoneCountry for recruiters saved before they were derived
+ * @returns {Object} - { scanned, updated }
+ */
+Recruiter.backfillPhoneFields = async function({ batchSize = 500 } = {}) {
+  let scanned = 0;
+  let updated = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const recruiters = await this.findAll({
+      attributes: ['id', 'phoneNumber'],
+      where: { id: { [Op.gt]: lastId }, phoneE164: null, phoneNumber: { [Op.ne]: null } },
+      order: [['id', 'ASC']],
+      limit: batchSize
+    });
+    if (recruiters.length === 0) break;
+
+    for (const recruiter of recruiters) {
+      const fields = derivePhoneFields(recruiter.phoneNumber);
+      if (fields.phoneE164 || fields.phoneCountry) {
+        await this.update(fields, { where: { id: recruiter.id }, hooks: false });
+        updated++;
+      }
+    }
+
+    scanned += recruiters.length;
+    lastId = recruiters[recruiters.length - 1].id;
+  }
+
+  return { scanned, updated };
+};
+
 module.exports = Recruiter;
@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RuleSetVersion = sequelize.define('RuleSetVersion', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true,
+    validate: {
+      min: 1
+    }
+  },
+  
+  // Full snapshot of the rule pack definitions active from this version on
+  packs: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  
+  // Audit trail: what changed, who changed it and why
+  action: {
+    type: DataTypes.ENUM('seed', 'import', 'create', 'update', 'delete'),
+    allowNull: false
+  },
+  
+  pack: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  
+  ruleId: {
+    type: DataTypes.STRING(150),
+    allowNull: true
+  },
+  
+  before: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  
+  after: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  
+  changedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: {
+        args: [0, 1000],
+        msg: 'Reason cannot exceed 1000 characters'
+      }
+    }
+  }
+}, {
+  tableName: 'rule_set_versions',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['version']
+    },
+    {
+      fields: ['rule_id']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+// Class methods
+RuleSetVersion.findLatest = function() {
+  return this.findOne({ order: [['version', 'DESC']] });
+};
+
+// Audit entries without the (large) pack snapshots
+RuleSetVersion.getHistory = function({ ruleId, limit = 50 } = {}) {
+  return this.findAll({
+    where: ruleId ? { ruleId } : {},
+    attributes: { exclude: ['packs'] },
+    order: [['version', 'DESC']],
+    limit
+  });
+};
+
+module.exports = RuleSetVersion;
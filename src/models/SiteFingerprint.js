@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Latest website fingerprint per recruiter, compared across recruiters to find cloned sites
+const SiteFingerprint = sequelize.define('SiteFingerprint', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  recruiterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    unique: true
+  },
+
+  // Registrable domain of the website's final URL
+  domain: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+
+  structureHash: {
+    type: DataTypes.STRING(40),
+    allowNull: false
+  },
+
+  tagCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  wordCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // MinHash signature of the page's word shingles; null for pages with too little text
+  signature: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'site_fingerprints',
+  indexes: [
+    {
+      fields: ['structure_hash']
+    },
+    {
+      fields: ['updated_at']
+    }
+  ]
+});
+
+module.exports = SiteFingerprint;
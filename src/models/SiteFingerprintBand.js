@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// LSH bands of each recruiter's site signature; sites sharing a band are the clone candidates
+const SiteFingerprintBand = sequelize.define('SiteFingerprintBand', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+
+  recruiterId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+
+  // Hash of the band's position and signature slots
+  band: {
+    type: DataTypes.STRING(16),
+    allowNull: false
+  }
+}, {
+  tableName: 'site_fingerprint_bands',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['band']
+    },
+    {
+      fields: ['recruiter_id']
+    }
+  ]
+});
+
+module.exports = SiteFingerprintBand;
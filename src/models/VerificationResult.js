@@ -59,6 +59,12 @@ const VerificationResult = sequelize.define('VerificationResult', {
     }
   },
   
+  // Rule-set version that produced ruleBasedScore (null when rules came straight from files)
+  ruleSetVersion: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  
   // LLM scoring results (stored as JSON)
   llmScore: {
     type: DataTypes.JSON,
@@ -141,6 +147,9 @@ const VerificationResult = sequelize.define('VerificationResult', {
     {
       fields: ['final_score']
     },
+    {
+      fields: ['rule_set_version']
+    },
     {
       fields: ['created_at']
     }
@@ -81,6 +81,19 @@ router.get('/analytics/flags',
   dashboardController.getFlaggedAnalysis
 );
 
+/**
+ * @route   GET /api/dashboard/analytics/prompts
+ * @desc    Compare LLM score distributions and reviewer agreement per prompt version
+ * @access  Public (in production, should be admin-only)
+ * @query   timeframe - 24h, 7d, 30d (default: 7d)
+ */
+router.get('/analytics/prompts',
+  rateLimiter.general,
+  validateDashboardQuery,
+  handleValidationErrors,
+  dashboardController.getPromptAnalytics
+);
+
 /**
  * @route   GET /api/dashboard/export
  * @desc    Export verification data for analysis
@@ -191,6 +204,7 @@ router.get('/docs', (req, res) => {
       'GET /analytics/scores': 'Score distribution and trends',
       'GET /analytics/performance': 'System performance metrics',
       'GET /analytics/flags': 'Flagged recruiters analysis',
+      'GET /analytics/prompts': 'Score distributions and reviewer agreement per prompt version',
       'GET /export': 'Export data in JSON or CSV format',
       'GET /health': 'System health check',
       'GET /trends/daily': 'Daily trends (7 days)',
@@ -54,6 +54,7 @@ router.get('/docs', (req, res) => {
       'POST /recruiters/:id/rescore': {
         description: 'Manually trigger re-verification',
         parameters: { id: 'Integer ID' },
+        queryParams: ['bypassCache'],
         rateLimit: '10 requests per hour per IP'
       },
       'GET /recruiters': {
@@ -83,6 +84,11 @@ router.get('/docs', (req, res) => {
         queryParams: ['timeframe', 'limit'],
         response: 'Flagged recruiter analysis and common flag reasons'
       },
+      'GET /dashboard/analytics/prompts': {
+        description: 'Compare prompt versions',
+        queryParams: ['timeframe'],
+        response: 'LLM score distribution, decisions and reviewer agreement per prompt version'
+      },
       'GET /dashboard/export': {
         description: 'Export verification data',
         queryParams: ['format', 'timeframe', 'includePersonalData'],
@@ -101,6 +107,50 @@ router.get('/docs', (req, res) => {
       'POST /system/test-connections': {
         description: 'Test external API connections',
         response: 'Connection status for all external services'
+      },
+      'GET /system/llm/models': {
+        description: 'List models offered by the configured LLM provider (LLM_PROVIDER)',
+        response: 'Provider name, active model and available models'
+      },
+      'GET /system/cache': {
+        description: 'Result cache backend, size and hit rates per provider',
+        headers: { Authorization: 'Bearer <admin JWT>' },
+        response: 'Backend name, entry count and hits/misses/hit rate/TTL per namespace'
+      },
+      'DELETE /system/cache': {
+        description: 'Drop cached LLM and external API results',
+        headers: { Authorization: 'Bearer <admin JWT>' },
+        queryParams: ['namespace']
+      },
+      'GET /system/rules': {
+        description: 'Get the active rule set and its version',
+        headers: { Authorization: 'Bearer <admin JWT>' },
+        response: 'Rule packs with their rules'
+      },
+      'POST /system/rules': {
+        description: 'Add a rule to a rule pack',
+        requiredFields: ['pack', 'rule'],
+        headers: { Authorization: 'Bearer <admin JWT>; its subject is recorded in the audit trail' }
+      },
+      'PUT /system/rules/:ruleId': {
+        description: 'Update, disable or re-weight a rule',
+        requiredFields: ['rule'],
+        headers: { Authorization: 'Bearer <admin JWT>; its subject is recorded in the audit trail' }
+      },
+      'DELETE /system/rules/:ruleId': {
+        description: 'Delete a rule',
+        headers: { Authorization: 'Bearer <admin JWT>; its subject is recorded in the audit trail' }
+      },
+      'GET /system/rules/history': {
+        description: 'Rule change audit trail',
+        headers: { Authorization: 'Bearer <admin JWT>' },
+        queryParams: ['ruleId', 'limit']
+      },
+      'POST /system/backtest': {
+        description: 'Replay a candidate rule set or weight profile against stored results (offline)',
+        headers: { Authorization: 'Bearer <admin JWT>' },
+        optionalFields: ['packs', 'ruleSetVersion', 'weights', 'spamThreshold', 'timeframe', 'limit'],
+        response: 'Decision flips and precision/recall against reviewer decisions'
       }
     },
     schemas: {
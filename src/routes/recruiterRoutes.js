@@ -10,6 +10,7 @@ const {
   validateRecruiterSignup,
   validateObjectId,
   validateStatusUpdate,
+  validateRescore,
   validateBatchOperation,
   validateRecruitersList,
   sanitizeInput,
@@ -76,11 +77,13 @@ router.get('/:id/verification/details',
  * @desc    Manually trigger re-scoring/re-verification
  * @access  Public
  * @params  id - Integer ID of recruiter
+ * @query   bypassCache - true to re-query the LLM and external APIs instead of reusing cached results
  * @rateLimit 10 requests per hour per IP
  */
 router.post('/:id/rescore',
   rateLimiter.scoring,
   validateObjectId('id'),
+  validateRescore,
   handleValidationErrors,
   recruiterController.triggerRescoring
 );
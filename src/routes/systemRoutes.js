@@ -5,6 +5,13 @@ const router = express.Router();
 const externalVerification = require('../services/externalVerification');
 const llmScoring = require('../services/llmScoring');
 const scoringWorkflow = require('../services/scoringWorkflow');
+const ruleManager = require('../services/ruleManager');
+const backtestService = require('../services/backtestService');
+const resultCache = require('../services/resultCache');
+const promptTemplates = require('../services/promptTemplates');
+const usageLedger = require('../services/usageLedger');
+const websiteCrawler = require('../services/websiteCrawler');
+const fixtureRecorder = require('../services/fixtureRecorder');
 
 // Models
 const Recruiter = require('../models/Recruiter');
@@ -12,7 +19,16 @@ const VerificationResult = require('../models/VerificationResult');
 
 // Middleware
 const rateLimiter = require('../middleware/rateLimiter');
-const { sanitizeInput } = require('../middleware/validation');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  validateRuleId,
+  validateRuleCreate,
+  validateRuleUpdate,
+  validateRuleReload,
+  validateBacktest,
+  sanitizeInput,
+  handleValidationErrors
+} = require('../middleware/validation');
 const logger = require('../utils/logger');
 
 // Apply sanitization to all routes
@@ -144,7 +160,7 @@ router.post('/test-connections',
       // Combine results
       const allTests = {
         ...externalTests,
-        gemini: llmTest
+        llm: llmTest
       };
       
       // Calculate overall status
@@ -205,10 +221,20 @@ router.get('/config',
         port: process.env.PORT || 3000
       },
       features: {
-        geminiEnabled: !!process.env.GEMINI_API_KEY,
+        llmProvider: llmScoring.provider.name,
+        llmModel: llmScoring.model,
+        llmEnabled: llmScoring.provider.isConfigured(),
+        llmEnsemble: llmScoring.isEnsemble() ? llmScoring.ensemble.map(member => member.id) : null,
+        promptTemplates: promptTemplates.getConfig(),
+        // USD; 0 means no limit
+        llmBudgets: usageLedger.budgets,
         hunterEnabled: !!process.env.HUNTER_API_KEY,
         clearbitEnabled: !!process.env.CLEARBIT_API_KEY,
-        numverifyEnabled: !!process.env.NUMVERIFY_API_KEY
+        numverifyEnabled: !!process.env.NUMVERIFY_API_KEY,
+        externalVerifiers: externalVerification.getConfig(),
+        websiteScrapeMode: websiteCrawler.getMode(),
+        // record/replay of external calls (FIXTURE_MODE); off in production
+        fixtures: fixtureRecorder.getStats()
       }
     };
     
@@ -220,6 +246,90 @@ router.get('/config',
   }
 );
 
+/**
+ * @route   GET /api/system/llm/models
+ * @desc    List models offered by the configured LLM provider
+ * @access  Admin (in production, add authentication)
+ */
+router.get('/llm/models',
+  rateLimiter.general,
+  async (req, res) => {
+    try {
+      const models = await llmScoring.getAvailableModels();
+
+      res.json({
+        success: true,
+        data: {
+          provider: llmScoring.provider.name,
+          activeModel: llmScoring.model,
+          models
+        }
+      });
+    } catch (error) {
+      res.status(502).json({
+        success: false,
+        message: 'Failed to list LLM models',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/system/cache
+ * @desc    Result cache backend, size and hit rates per provider
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ */
+router.get('/cache',
+  rateLimiter.general,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await resultCache.getStats()
+      });
+    } catch (error) {
+      logger.error('Cache stats retrieval failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve cache statistics',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/system/cache
+ * @desc    Drop cached LLM and external API results, optionally for one provider (?namespace=hunter)
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ */
+router.delete('/cache',
+  rateLimiter.general,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const namespace = req.query.namespace || null;
+      const removed = await resultCache.clear(namespace);
+
+      logger.info('Result cache cleared via API', { namespace, removed, triggeredBy: req.ip, admin: req.admin.id });
+
+      res.json({
+        success: true,
+        data: { namespace: namespace || 'all', removed }
+      });
+    } catch (error) {
+      logger.error('Cache clear failed', { error: error.message });
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear cache',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/system/cleanup
  * @desc    Cleanup old data (admin operation)
@@ -252,6 +362,7 @@ router.post('/cleanup',
       
       let deletedRecruiters = 0;
       let deletedVerifications = 0;
+      let deletedCacheEntries = 0;
       
       if (!dryRun) {
         // Perform actual cleanup
@@ -270,11 +381,13 @@ router.post('/cleanup',
         
         deletedRecruiters = recruiterResult;
         deletedVerifications = verificationResult;
+        deletedCacheEntries = await resultCache.purgeExpired();
         
         logger.info('Data cleanup completed', {
           daysOld,
           deletedRecruiters,
           deletedVerifications,
+          deletedCacheEntries,
           triggeredBy: req.ip
         });
       }
@@ -291,7 +404,8 @@ router.post('/cleanup',
           },
           deleted: {
             recruiters: deletedRecruiters,
-            verifications: deletedVerifications
+            verifications: deletedVerifications,
+            expiredCacheEntries: deletedCacheEntries
           },
           message: dryRun ? 'Dry run completed - no data was deleted' : 'Cleanup completed'
         }
@@ -334,8 +448,274 @@ router.get('/logs',
   }
 );
 
+/**
+ * @route   GET /api/system/rules
+ * @desc    Get the active rule set (all rule packs and their rules)
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ */
+router.get('/rules',
+  rateLimiter.general,
+  requireAdmin,
+  (req, res) => {
+    res.json({
+      success: true,
+      data: ruleManager.getRuleSet()
+    });
+  }
+);
+
+/**
+ * @route   GET /api/system/rules/history
+ * @desc    Get the rule change audit trail (who changed what and when)
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ * @query   ruleId - only changes to this rule, limit - max entries (default: 50)
+ */
+router.get('/rules/history',
+  rateLimiter.general,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { ruleId, limit = 50 } = req.query;
+      const history = await ruleManager.getHistory({
+        ruleId,
+        limit: Math.min(parseInt(limit) || 50, 200)
+      });
+      
+      res.json({
+        success: true,
+        data: history
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to retrieve rule history');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/system/rules/versions/:version
+ * @desc    Get a stored rule set version (full snapshot), e.g. to explain an old decision
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ */
+router.get('/rules/versions/:version',
+  rateLimiter.general,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const version = await ruleManager.getVersion(parseInt(req.params.version));
+      
+      res.json({
+        success: true,
+        data: version
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to retrieve rule set version');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/system/rules/reload
+ * @desc    Reload rules from the latest stored version or import the rule pack files
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ * @body    source - database, files (default: database), reason
+ */
+router.post('/rules/reload',
+  rateLimiter.general,
+  requireAdmin,
+  validateRuleReload,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { source = 'database', reason } = req.body;
+      const result = await ruleManager.reload(source, { changedBy: req.admin.id, reason });
+      
+      res.json({
+        success: true,
+        message: `Rules reloaded from ${source}`,
+        data: result
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to reload rules');
+    }
+  }
+);
+
+/**
+ * @route   GET /api/system/rules/:ruleId
+ * @desc    Get a single rule
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ */
+router.get('/rules/:ruleId',
+  rateLimiter.general,
+  requireAdmin,
+  validateRuleId,
+  handleValidationErrors,
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: ruleManager.getRule(req.params.ruleId)
+      });
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to retrieve rule');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/system/rules
+ * @desc    Add a rule to a rule pack (creates a new rule set version)
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ * @body    pack, rule, reason
+ */
+router.post('/rules',
+  rateLimiter.general,
+  requireAdmin,
+  validateRuleCreate,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { pack, rule, reason } = req.body;
+      const change = await ruleManager.createRule(pack, rule, { changedBy: req.admin.id, reason });
+      
+      res.status(201).json({
+        success: true,
+        message: 'Rule created',
+        data: change
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to create rule');
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/system/rules/:ruleId
+ * @desc    Update a rule, e.g. disable it ({ enabled: false }) or re-weight it ({ impact: -30 })
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ * @body    rule (fields to change), reason
+ */
+router.put('/rules/:ruleId',
+  rateLimiter.general,
+  requireAdmin,
+  validateRuleUpdate,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { rule, reason } = req.body;
+      const change = await ruleManager.updateRule(req.params.ruleId, rule, { changedBy: req.admin.id, reason });
+      
+      res.json({
+        success: true,
+        message: 'Rule updated',
+        data: change
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to update rule');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/system/rules/:ruleId
+ * @desc    Delete a rule (creates a new rule set version)
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ * @body    reason (optional)
+ */
+router.delete('/rules/:ruleId',
+  rateLimiter.general,
+  requireAdmin,
+  validateRuleId,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { reason } = req.body || {};
+      const change = await ruleManager.deleteRule(req.params.ruleId, { changedBy: req.admin.id, reason });
+      
+      res.json({
+        success: true,
+        message: 'Rule deleted',
+        data: change
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Failed to delete rule');
+    }
+  }
+);
+
+/**
+ * @route   POST /api/system/backtest
+ * @desc    Replay a candidate rule set and/or weight profile against stored results (no LLM or external API calls)
+ * @access  Admin (Authorization: Bearer <admin JWT>)
+ * @body    packs, ruleSetVersion, weights, spamThreshold, timeframe (24h, 7d, 30d, 90d, all; default: 30d), limit (max 5000)
+ */
+router.post('/backtest',
+  rateLimiter.scoring,
+  requireAdmin,
+  validateBacktest,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { packs, ruleSetVersion, weights, spamThreshold, timeframe = '30d', limit } = req.body;
+      
+      const timeRanges = {
+        '24h': 24 * 60 * 60 * 1000,
+        '7d': 7 * 24 * 60 * 60 * 1000,
+        '30d': 30 * 24 * 60 * 60 * 1000,
+        '90d': 90 * 24 * 60 * 60 * 1000
+      };
+      const since = timeRanges[timeframe] ? new Date(Date.now() - timeRanges[timeframe]) : null;
+      
+      logger.info('Backtest triggered', { triggeredBy: req.ip, admin: req.admin.id, timeframe, ruleSetVersion });
+      
+      const report = await backtestService.run({
+        packs,
+        ruleSetVersion,
+        weights,
+        spamThreshold,
+        since,
+        limit
+      });
+      
+      res.json({
+        success: true,
+        data: {
+          ...report,
+          timeframe
+        }
+      });
+      
+    } catch (error) {
+      sendRuleError(res, error, 'Backtest failed');
+    }
+  }
+);
+
 // Helper functions
 
+function sendRuleError(res, error, message) {
+  const statusCode = error.statusCode || 500;
+  
+  if (statusCode >= 500) {
+    logger.error(message, { error: error.message });
+  }
+  
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode < 500 ? error.message : message,
+    error: {
+      code: error.code || 'RULE_OPERATION_FAILED',
+      details: error.message
+    }
+  });
+}
+
 async function checkDatabaseHealth() {
   try {
     const start = Date.now();
@@ -357,21 +737,31 @@ async function checkDatabaseHealth() {
 }
 
 async function checkExternalServices() {
+  const providers = await externalVerification.getProviderStatus();
   const services = {
-    gemini: !!process.env.GEMINI_API_KEY,
-    hunter: !!process.env.HUNTER_API_KEY,
-    clearbit: !!process.env.CLEARBIT_API_KEY,
-    numverify: !!process.env.NUMVERIFY_API_KEY
+    llm: llmScoring.provider.isConfigured()
+  };
+  const available = {
+    llm: services.llm
   };
+  for (const [name, provider] of Object.entries(providers)) {
+    services[name] = provider.configured;
+    available[name] = provider.available;
+  }
   
   const enabledServices = Object.values(services).filter(Boolean).length;
-  const status = enabledServices >= 2 ? 'healthy' : enabledServices >= 1 ? 'limited' : 'none';
+  const availableServices = Object.values(available).filter(Boolean).length;
+  const status = availableServices >= 2 ? 'healthy' : availableServices >= 1 ? 'limited' : 'none';
   
   return {
     status,
     enabled: services,
     enabledCount: enabledServices,
-    message: `${enabledServices} external services configured`
+    // Configured and not refused by an open circuit or exhausted quota
+    available,
+    availableCount: availableServices,
+    providers,
+    message: `${enabledServices} external services configured, ${availableServices} available`
   };
 }
 
@@ -482,7 +872,8 @@ function getSystemStats() {
       version: process.version,
       platform: process.platform,
       arch: process.arch
-    }
+    },
+    llm: llmScoring.getMetrics()
   };
 }
 
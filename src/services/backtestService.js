@@ -0,0 +1,270 @@
+const { Op } = require('sequelize');
+const Recruiter = require('../models/Recruiter');
+const VerificationResult = require('../models/VerificationResult');
+const RuleSetVersion = require('../models/RuleSetVersion');
+const ruleBasedScoring = require('./ruleBasedScoring');
+const rulePackLoader = require('./rulePackLoader');
+const scoringWorkflow = require('./scoringWorkflow');
+const { AppError } = require('../middleware/errorHandler');
+const { getReviewLabel } = require('../utils/reviewLabels');
+const logger = require('../utils/logger');
+
+const DECISIONS = ['approved', 'flagged', 'pending_review'];
+
+class BacktestService {
+  constructor() {
+    this.defaultLimit = 1000;
+    this.maxLimit = 10000;
+    // Verification results read per query while collecting recruiters
+    this.historyBatchSize = 1000;
+    this.maxFlipsReported = 100;
+  }
+
+  /**
+   * Replay a candidate rule set and/or weight profile against stored verification results.
+   * Only stored LLM and external verification scores are used - no model or API calls are made.
+   * @param {Object} options
+   * @param {Object[]} options.packs - Candidate rule pack definitions (replace active packs with the same name)
+   * @param {number} options.ruleSetVersion - Stored rule set version to start from (default: active)
+   * @param {Object} options.weights - Candidate weights (ruleBased, llm, external); missing keys keep current values
+   * @param {number} options.spamThreshold - Candidate approval threshold
+   * @param {Date} options.since - Only results created after this date
+   * @param {number} options.limit - Max recruiters to replay
+   * @returns {Object} - Decision flips and reviewer agreement
+   */
+  async run(options = {}) {
+    const timer = logger.startTimer('Rule backtest');
+
+    const candidate = await this.resolveCandidate(options);
+    const rows = await this.loadHistory(options);
+
+    const transitions = {};
+    DECISIONS.forEach(from => {
+      transitions[from] = {};
+      DECISIONS.forEach(to => { transitions[from][to] = 0; });
+    });
+
+    const decisions = { baseline: this.emptyCounts(), candidate: this.emptyCounts() };
+    const labeled = [];
+    const flips = [];
+    let flipped = 0;
+    let scoreDeltaSum = 0;
+
+    for (const row of rows) {
+      const replay = this.replay(row, candidate);
+      const from = row.decision;
+      const to = replay.decision;
+
+      transitions[from][to]++;
+      decisions.baseline[from]++;
+      decisions.candidate[to]++;
+      scoreDeltaSum += replay.finalScore - row.finalScore;
+
+      if (from !== to) {
+        flipped++;
+        if (flips.length < this.maxFlipsReported) {
+          flips.push({
+            recruiterId: row.recruiterId,
+            verificationId: row.id,
+            from,
+            to,
+            storedScore: row.finalScore,
+            candidateScore: replay.finalScore,
+            storedRuleScore: row.ruleBasedScore?.score,
+            candidateRuleScore: replay.ruleScore
+          });
+        }
+      }
+
+      const label = getReviewLabel(row);
+      if (label) {
+        labeled.push({ label, baseline: from, candidate: to });
+      }
+    }
+
+    const processingTime = timer.end();
+
+    logger.info('Rule backtest completed', {
+      replayed: rows.length,
+      flipped,
+      labeled: labeled.length,
+      processingTime
+    });
+
+    return {
+      candidate: {
+        ruleSetVersion: candidate.ruleSetVersion,
+        rulePacks: Object.fromEntries(candidate.packs.map(pack => [pack.pack, pack.version])),
+        weights: candidate.weights,
+        spamThreshold: candidate.spamThreshold
+      },
+      replayed: rows.length,
+      decisions,
+      transitions,
+      flipped,
+      flipRate: rows.length > 0 ? this.round(flipped / rows.length) : 0,
+      avgScoreDelta: rows.length > 0 ? this.round(scoreDeltaSum / rows.length) : 0,
+      flips,
+      reviewerAgreement: {
+        labeled: labeled.length,
+        baseline: this.computeAccuracy(labeled, 'baseline'),
+        candidate: this.computeAccuracy(labeled, 'candidate')
+      },
+      processingTime
+    };
+  }
+
+  /**
+   * Re-score one stored result with the candidate configuration
+   */
+  replay(row, candidate) {
+    const ruleResult = ruleBasedScoring.evaluateRuleSet(
+      scoringWorkflow.buildRuleData(row.recruiter.toJSON(), row.externalVerification),
+      candidate.packs,
+      candidate.ruleSetVersion
+    );
+
+    const finalResults = scoringWorkflow.calculateFinalScore({
+      ruleBasedScore: ruleResult,
+      llmScore: row.llmScore || {},
+      externalVerification: row.externalVerification
+    }, candidate.weights);
+
+    const { decision } = scoringWorkflow.makeDecision(
+      finalResults.finalScore,
+      finalResults.confidence,
+      candidate.spamThreshold
+    );
+
+    return {
+      ruleScore: ruleResult.score,
+      finalScore: finalResults.finalScore,
+      decision
+    };
+  }
+
+  /**
+   * Build the candidate packs, weights and threshold
+   */
+  async resolveCandidate({ packs, ruleSetVersion, weights, spamThreshold }) {
+    let basePacks = ruleBasedScoring.packs;
+    let version = ruleBasedScoring.ruleSetVersion;
+
+    if (ruleSetVersion) {
+      const stored = await RuleSetVersion.findOne({ where: { version: ruleSetVersion } });
+      if (!stored) {
+        throw new AppError(`Rule set version not found: ${ruleSetVersion}`, 404, 'RULE_SET_NOT_FOUND');
+      }
+      basePacks = this.compile(stored.packs);
+      version = stored.version;
+    }
+
+    let candidatePacks = basePacks;
+    if (Array.isArray(packs) && packs.length > 0) {
+      const overrides = new Map(this.compile(packs).map(pack => [pack.pack, pack]));
+      candidatePacks = basePacks.map(pack => overrides.get(pack.pack) || pack);
+      overrides.forEach((pack, name) => {
+        if (!basePacks.some(p => p.pack === name)) candidatePacks.push(pack);
+      });
+      version = null; // unsaved candidate
+    }
+
+    const candidateWeights = { ...scoringWorkflow.weights, ...(weights || {}) };
+    for (const [key, value] of Object.entries(candidateWeights)) {
+      if (typeof value !== 'number' || value < 0) {
+        throw new AppError(`Weight "${key}" must be a non-negative number`, 400, 'INVALID_WEIGHTS');
+      }
+    }
+
+    return {
+      packs: candidatePacks,
+      ruleSetVersion: version,
+      weights: candidateWeights,
+      spamThreshold: typeof spamThreshold === 'number' ? spamThreshold : scoringWorkflow.spamThreshold
+    };
+  }
+
+  compile(definitions) {
+    try {
+      return definitions.map(definition => rulePackLoader.compilePack(definition));
+    } catch (error) {
+      throw new AppError(error.message, 400, 'INVALID_RULE');
+    }
+  }
+
+  /**
+   * Latest stored result per recruiter, with the recruiter data needed to re-run the rules.
+   * Results are read newest first in pages until enough recruiters are collected.
+   */
+  async loadHistory({ since, limit = this.defaultLimit }) {
+    const where = {};
+    if (since) where.created_at = { [Op.gte]: since };
+
+    const maxRows = Math.min(limit, this.maxLimit);
+    const latest = new Map();
+
+    for (let offset = 0; latest.size < maxRows; offset += this.historyBatchSize) {
+      const results = await VerificationResult.findAll({
+        where,
+        include: [{
+          model: Recruiter,
+          as: 'recruiter',
+          attributes: { exclude: ['password'] }
+        }],
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: this.historyBatchSize,
+        offset
+      });
+
+      for (const result of results) {
+        if (latest.size >= maxRows) break;
+        // Skip failed workflow runs; their stored scores are placeholders
+        if (!result.recruiter || result.ruleBasedScore?.details?.error) continue;
+        if (!latest.has(result.recruiterId)) {
+          latest.set(result.recruiterId, result);
+        }
+      }
+
+      if (results.length < this.historyBatchSize) break;
+    }
+
+    return [...latest.values()];
+  }
+
+  /**
+   * Precision and recall of "flagged" decisions against reviewer labels
+   * (an entry with a count stands for that many results)
+   */
+  computeAccuracy(labeled, key) {
+    let tp = 0, fp = 0, fn = 0, tn = 0;
+
+    for (const entry of labeled) {
+      const predictedSpam = entry[key] === 'flagged';
+      const count = entry.count ?? 1;
+      if (entry.label === 'spam') {
+        if (predictedSpam) tp += count; else fn += count;
+      } else {
+        if (predictedSpam) fp += count; else tn += count;
+      }
+    }
+
+    return {
+      truePositives: tp,
+      falsePositives: fp,
+      falseNegatives: fn,
+      trueNegatives: tn,
+      precision: tp + fp > 0 ? this.round(tp / (tp + fp)) : null,
+      recall: tp + fn > 0 ? this.round(tp / (tp + fn)) : null
+    };
+  }
+
+  emptyCounts() {
+    return { approved: 0, flagged: 0, pending_review: 0 };
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new BacktestService();
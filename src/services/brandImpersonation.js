@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  normalizeHost,
+  isIpAddress,
+  getRegistrableDomain,
+  getDomainLabel,
+  getSubdomainLabels,
+  toUnicode
+} = require('../utils/domain');
+const { editDistance } = require('../utils/similarity');
+const logger = require('../utils/logger');
+
+const DEFAULT_BRAND_LIST = path.join(__dirname, '..', 'config', 'brands.json');
+
+// Characters commonly substituted for look-alikes, folded to one canonical letter.
+// Both candidate and brand labels are folded, so "i", "l" and "1" all compare equal.
+const CONFUSABLES = {
+  // Digits and symbols
+  '0': 'o', '1': 'l', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'l', '|': 'l',
+  // ASCII look-alikes
+  'i': 'l',
+  // Cyrillic
+  'а': 'a', 'е': 'e', 'ё': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x',
+  'і': 'l', 'ї': 'l', 'ј': 'j', 'һ': 'h', 'ԁ': 'd', 'ԛ': 'q', 'ѕ': 's', 'ԝ': 'w', 'к': 'k',
+  'м': 'm', 'т': 't', 'в': 'b', 'н': 'h', 'ɡ': 'g',
+  // Greek
+  'α': 'a', 'ο': 'o', 'ν': 'v', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'ι': 'l', 'κ': 'k', 'ε': 'e', 'ϲ': 'c',
+  // Other Latin
+  'ı': 'l', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h'
+};
+
+// Multi-character look-alikes, applied after single characters
+const CONFUSABLE_SEQUENCES = [
+  [/rn/g, 'm'],
+  [/vv/g, 'w']
+];
+
+// Stronger techniques win when a domain matches a brand in several ways
+const TECHNIQUE_PRIORITY = ['idn_homograph', 'homoglyph', 'lookalike_tld', 'typosquat', 'brand_keyword'];
+
+class BrandImpersonationService {
+  constructor() {
+    this.loadBrandList(process.env.BRAND_LIST_PATH || DEFAULT_BRAND_LIST);
+  }
+
+  /**
+   * Load the brand list and precompute skeletons and official domains
+   */
+  loadBrandList(filePath) {
+    const list = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    this.version = list.version;
+    this.recruitmentKeywords = new Set(list.recruitmentKeywords || []);
+    this.brands = list.brands.map(brand => ({
+      name: brand.name,
+      labels: brand.labels.map(label => ({ label, skeleton: this.skeleton(label) })),
+      domains: new Set(brand.domains.map(domain => normalizeHost(domain)))
+    }));
+    // A brand label on an employer TLD (e.g. accenture.jobs) can only be registered by the brand itself
+    const employerTlds = list.employerTlds || [];
+    for (const brand of this.brands) {
+      for (const { label } of brand.labels) {
+        employerTlds.forEach(tld => brand.domains.add(`${label}.${tld}`));
+      }
+    }
+    this.officialDomains = new Set(this.brands.flatMap(brand => [...brand.domains]));
+
+    logger.info('Brand list loaded', { version: this.version, brands: this.brands.length });
+  }
+
+  /**
+   * Brand whose name or label equals a normalized (lowercase, alphanumeric) company name
+   * @returns {string|null} - Brand name
+   */
+  findBrandByName(compactName) {
+    if (!compactName) return null;
+    const brand = this.brands.find(candidate =>
+      candidate.name.toLowerCase().replace(/[^a-z0-9]/g, '') === compactName ||
+      candidate.labels.some(({ label }) => label === compactName)
+    );
+    return brand ? brand.name : null;
+  }
+
+  /**
+   * Check a domain against the brand list
+   * @param {string} domain - Email or website domain
+   * @returns {Object[]} - One match per impersonated brand: { brand, technique, domain, matched, ... }
+   */
+  analyzeDomain(domain) {
+    const host = normalizeHost(domain);
+    if (!host || isIpAddress(host) || !host.includes('.')) return [];
+
+    // Brands' own domains (and their subdomains) are never impersonations
+    if (this.officialDomains.has(getRegistrableDomain(host))) return [];
+
+    const unicodeHost = toUnicode(host);
+    const isIdn = unicodeHost !== host;
+    const domainLabel = getDomainLabel(unicodeHost);
+    const labels = [...getSubdomainLabels(unicodeHost), domainLabel];
+
+    const parts = labels.flatMap(label => label.split('-').filter(Boolean));
+    const hasKeyword = parts.some(part => this.recruitmentKeywords.has(part));
+    const candidates = this.buildCandidates(labels);
+
+    const matches = [];
+    for (const brand of this.brands) {
+      let best = null;
+
+      for (const candidate of candidates) {
+        const match = this.matchBrand(brand, candidate, { domainLabel, hasKeyword, isIdn });
+        if (match && (!best || this.rank(match.technique) < this.rank(best.technique))) {
+          best = match;
+        }
+      }
+
+      if (best) {
+        matches.push({
+          brand: brand.name,
+          domain: host,
+          ...(isIdn && { unicodeDomain: unicodeHost }),
+          ...best
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Compare one candidate string with a brand
+   */
+  matchBrand(brand, candidate, { domainLabel, hasKeyword, isIdn }) {
+    const { text, keyword } = candidate;
+    const skeleton = this.skeleton(text);
+    const nonAscii = /[^\x00-\x7f]/.test(text);
+
+    for (const { label, skeleton: brandSkeleton } of brand.labels) {
+      if (text === label) {
+        // Brand name verbatim on another TLD, or next to a recruitment keyword
+        if (text === domainLabel && !keyword) {
+          return { technique: 'lookalike_tld', matched: text };
+        }
+        if (hasKeyword || keyword) {
+          return { technique: 'brand_keyword', matched: text };
+        }
+        continue;
+      }
+
+      if (skeleton === brandSkeleton) {
+        return {
+          technique: nonAscii || isIdn ? 'idn_homograph' : 'homoglyph',
+          matched: text
+        };
+      }
+
+      const maxDistance = this.allowedDistance(label);
+      if (maxDistance > 0 && Math.abs(skeleton.length - brandSkeleton.length) <= maxDistance) {
+        const distance = editDistance(skeleton, brandSkeleton);
+        if (distance <= maxDistance) {
+          return { technique: 'typosquat', matched: text, distance };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Strings to compare against brand labels: each label, its hyphen-separated parts,
+   * adjacent parts joined ("micro-soft"), and parts with a recruitment keyword
+   * prefix/suffix removed ("googlecareers")
+   */
+  buildCandidates(labels) {
+    const candidates = new Map();
+    const add = (text, keyword = null) => {
+      if (text && text.length >= 3 && !candidates.has(text) && !this.recruitmentKeywords.has(text)) {
+        candidates.set(text, { text, keyword });
+      }
+    };
+
+    for (const label of labels) {
+      const parts = label.split('-').filter(Boolean);
+      add(parts.join(''));
+
+      for (let start = 0; start < parts.length; start++) {
+        for (let end = start + 1; end <= Math.min(parts.length, start + 3); end++) {
+          const joined = parts.slice(start, end).join('');
+          add(joined);
+
+          for (const keyword of this.recruitmentKeywords) {
+            if (joined.length <= keyword.length + 2) continue;
+            if (joined.endsWith(keyword)) add(joined.slice(0, -keyword.length), keyword);
+            if (joined.startsWith(keyword)) add(joined.slice(keyword.length), keyword);
+          }
+        }
+      }
+    }
+
+    return [...candidates.values()];
+  }
+
+  /**
+   * Fold look-alike characters so "goog1e", "gооgle" (Cyrillic o) and "google" compare equal
+   */
+  skeleton(text) {
+    let folded = '';
+    for (const char of text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()) {
+      folded += CONFUSABLES[char] || char;
+    }
+    for (const [pattern, replacement] of CONFUSABLE_SEQUENCES) {
+      folded = folded.replace(pattern, replacement);
+    }
+    return folded;
+  }
+
+  /**
+   * Short brand names only match exactly; longer ones tolerate one or two edits
+   */
+  allowedDistance(label) {
+    if (label.length >= 9) return 2;
+    if (label.length >= 6) return 1;
+    return 0;
+  }
+
+  rank(technique) {
+    return TECHNIQUE_PRIORITY.indexOf(technique);
+  }
+}
+
+module.exports = new BrandImpersonationService();
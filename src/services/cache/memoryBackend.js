@@ -0,0 +1,67 @@
+/**
+ * Per-process cache. Entries are evicted oldest-first once maxEntries is reached.
+ */
+class MemoryCacheBackend {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= new Date()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, namespace, value, expiresAt) {
+    this.entries.delete(key);
+    this.entries.set(key, { namespace, value, expiresAt, storedAt: new Date() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every entry, or only those of one namespace
+   * @returns {number} - Entries removed
+   */
+  async clear(namespace = null) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (!namespace || entry.namespace === namespace) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async purgeExpired() {
+    const now = new Date();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryCacheBackend;
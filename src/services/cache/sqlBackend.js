@@ -0,0 +1,49 @@
+const { Op } = require('sequelize');
+const CacheEntry = require('../../models/CacheEntry');
+
+/**
+ * Cache shared by every instance, stored in the result_cache table
+ */
+class SqlCacheBackend {
+  constructor() {
+    this.name = 'sql';
+  }
+
+  async get(key) {
+    const entry = await CacheEntry.findByPk(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= new Date()) {
+      await entry.destroy();
+      return null;
+    }
+    return {
+      namespace: entry.namespace,
+      value: entry.value,
+      expiresAt: entry.expiresAt,
+      storedAt: entry.updatedAt
+    };
+  }
+
+  async set(key, namespace, value, expiresAt) {
+    await CacheEntry.upsert({ key, namespace, value, expiresAt });
+  }
+
+  async delete(key) {
+    await CacheEntry.destroy({ where: { key } });
+  }
+
+  async clear(namespace = null) {
+    return CacheEntry.destroy({ where: namespace ? { namespace } : {} });
+  }
+
+  async purgeExpired() {
+    return CacheEntry.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+  }
+
+  async size() {
+    return CacheEntry.count();
+  }
+}
+
+module.exports = SqlCacheBackend;
@@ -0,0 +1,133 @@
+const {
+  getRegistrableDomain,
+  getDomainLabel,
+  getHostFromUrl,
+  getEmailDomain
+} = require('../utils/domain');
+const { similarity } = require('../utils/similarity');
+
+// Legal-form and filler words ignored when comparing company names
+const COMPANY_STOP_WORDS = new Set([
+  'inc', 'incorporated', 'llc', 'llp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company',
+  'gmbh', 'ag', 'sa', 'sas', 'bv', 'nv', 'plc', 'pty', 'pvt', 'private', 'srl', 'oy', 'ab',
+  'group', 'holdings', 'the', 'and', 'of'
+]);
+
+// Minimum similarity between a company name and a domain label to count as a match
+const MIN_NAME_SIMILARITY = 0.8;
+
+class ConsistencyAnalyzerService {
+  /**
+   * Cross-check email domain, website domain, company name and scraped website title
+   * @param {Object} data - Recruiter data, optionally with websiteTitle from external verification
+   * @returns {Object} - Each check is true (consistent), false (inconsistent) or null (not enough data)
+   */
+  analyze(data) {
+    return {
+      emailWebsiteMatch: this.emailMatchesWebsite(data),
+      companyDomainMatch: this.companyMatchesDomain(data),
+      websiteTitleMatch: this.titleMentionsCompany(data)
+    };
+  }
+
+  /**
+   * Email domain and website share a registrable domain (jobs.acme.co.uk ~ acme.co.uk),
+   * or the same label under another public suffix (acme.com ~ acme.de)
+   */
+  emailMatchesWebsite(data) {
+    const emailDomain = getEmailDomain(data.businessEmail);
+    const websiteHost = getHostFromUrl(data.websiteUrl);
+    if (!emailDomain || !websiteHost) return null;
+
+    if (getRegistrableDomain(emailDomain) === getRegistrableDomain(websiteHost)) return true;
+    return getDomainLabel(emailDomain) === getDomainLabel(websiteHost);
+  }
+
+  /**
+   * Company name fuzzy-matches the website domain label, or the email domain label
+   */
+  companyMatchesDomain(data) {
+    const name = this.normalizeCompanyName(data.companyName);
+    const labels = [getHostFromUrl(data.websiteUrl), getEmailDomain(data.businessEmail)]
+      .filter(Boolean)
+      .map(host => getDomainLabel(host).replace(/-/g, ''));
+
+    if (name.words.length === 0 || labels.length === 0) return null;
+    return labels.some(label => this.nameMatchesLabel(name, label));
+  }
+
+  /**
+   * Scraped <title> mentions the company name or the website's domain label
+   */
+  titleMentionsCompany(data) {
+    const name = this.normalizeCompanyName(data.companyName);
+    const title = this.tokenize(data.websiteTitle);
+    if (name.words.length === 0 || title.length === 0) return null;
+
+    const compactTitle = title.join('');
+    if (compactTitle.includes(name.compact)) return true;
+
+    const websiteHost = getHostFromUrl(data.websiteUrl);
+    const label = websiteHost ? getDomainLabel(websiteHost).replace(/-/g, '') : null;
+    if (label && label.length >= 3 && compactTitle.includes(label)) return true;
+
+    // Every significant word of the name appears (possibly misspelled) in the title
+    return name.words.every(word =>
+      title.some(token => token === word || (word.length >= 5 && similarity(token, word) >= MIN_NAME_SIMILARITY))
+    );
+  }
+
+  /**
+   * Compare a normalized company name with a domain label
+   */
+  nameMatchesLabel(name, label) {
+    if (!label) return false;
+    if (label === name.compact || label === name.acronym) return true;
+
+    // "acme" in "acmecareers", or "acmesolutions" vs label "acme"
+    const shorter = label.length < name.compact.length ? label : name.compact;
+    const longer = shorter === label ? name.compact : label;
+    if (shorter.length >= 4 && longer.includes(shorter)) return true;
+
+    // Distinctive first word, e.g. "Globex" for "Globex International Trading"
+    if (name.words[0].length >= 4 && label.includes(name.words[0])) return true;
+
+    return similarity(label, name.compact) >= MIN_NAME_SIMILARITY;
+  }
+
+  /**
+   * Lowercased words without legal forms, plus compact and acronym forms
+   */
+  normalizeCompanyName(companyName) {
+    const tokens = this.tokenize(companyName);
+    const words = tokens.filter(token => !COMPANY_STOP_WORDS.has(token));
+    // Names made only of stop words ("The Company") are kept as-is
+    const significant = words.length > 0 ? words : tokens;
+
+    return {
+      words: significant,
+      compact: significant.join(''),
+      acronym: significant.length > 1 ? significant.map(word => word[0]).join('') : null
+    };
+  }
+
+  tokenize(text) {
+    if (!text) return [];
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+  }
+
+  /**
+   * Scraped website title from stored external verification results
+   */
+  getWebsiteTitle(externalVerification) {
+    return externalVerification?.company?.details?.website?.title || null;
+  }
+}
+
+module.exports = new ConsistencyAnalyzerService();
@@ -0,0 +1,331 @@
+const net = require('net');
+const axios = require('axios');
+const resultCache = require('./resultCache');
+const providerGuard = require('./providerGuard');
+const fixtureRecorder = require('./fixtureRecorder');
+const { getRegistrableDomain, isIpAddress } = require('../utils/domain');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IANA_BOOTSTRAP_URL = 'https://data.iana.org/rdap/dns.json';
+const IANA_WHOIS_SERVER = 'whois.iana.org';
+
+// Registrant names of privacy/proxy services (GDPR redaction alone is not a proxy)
+const PRIVACY_PROXY_PATTERN = /privacy|proxy|whoisguard|withheld|anonymi[sz]ed|private registration|identity protect/i;
+const REDACTED_PATTERN = /redacted|not disclosed|data protected/i;
+
+// WHOIS field labels differ per registry
+const WHOIS_FIELDS = {
+  createdAt: /^\s*(?:creation date|created on|created|registered on|registration time|domain registration date)\s*:\s*(.+)$/im,
+  updatedAt: /^\s*(?:updated date|last updated on|last-modified|changed|modified)\s*:\s*(.+)$/im,
+  expiresAt: /^\s*(?:registry expiry date|registrar registration expiration date|expiration date|expiry date|expires on|expires|paid-till)\s*:\s*(.+)$/im,
+  registrar: /^\s*registrar(?: name)?\s*:\s*(.+)$/im,
+  registrant: /^\s*registrant(?: organization| name)?\s*:\s*(.+)$/im
+};
+const httpClient = fixtureRecorder.instrumentAxios(axios.create());
+
+const WHOIS_NOT_FOUND = /^\s*(?:no match|not found|no entries found|no data found|domain not found|status:\s*free)/im;
+
+/**
+ * Default transport: RDAP over HTTPS, WHOIS over TCP port 43.
+ * Replace it with setTransport() to serve lookups from a local stand-in server or fixtures.
+ */
+const defaultTransport = {
+  async getJson(url, { timeout }) {
+    const response = await httpClient.get(url, {
+      timeout,
+      headers: {
+        'Accept': 'application/rdap+json, application/json',
+        'User-Agent': 'RecruitSpamDetector/1.0'
+      }
+    });
+    return response.data;
+  },
+
+  queryWhois(server, query, { timeout }) {
+    return fixtureRecorder.wrap('whois', { server, query }, () => new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: server, port: 43 });
+      let data = '';
+
+      socket.setTimeout(timeout, () => {
+        socket.destroy();
+        const error = new Error(`WHOIS query to ${server} timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      });
+      socket.on('connect', () => socket.write(`${query}\r\n`));
+      socket.on('data', chunk => { data += chunk.toString('utf8'); });
+      socket.on('end', () => resolve(data));
+      socket.on('error', reject);
+    }));
+  }
+};
+
+/**
+ * Domain registration facts (creation and expiry dates, registrar, privacy proxy) from RDAP,
+ * falling back to WHOIS for TLDs without an RDAP service
+ */
+class DomainRegistrationService {
+  constructor() {
+    // Ordered lookup sources; "none" disables registration lookups
+    this.sources = (process.env.DOMAIN_REGISTRATION_SOURCES || 'rdap,whois')
+      .split(',').map(source => source.trim().toLowerCase()).filter(source => source && source !== 'none');
+    this.bootstrapUrl = process.env.RDAP_BOOTSTRAP_URL || IANA_BOOTSTRAP_URL;
+    // Send every RDAP query to one server instead of the IANA bootstrap (e.g. a local stand-in)
+    this.rdapBaseUrl = process.env.RDAP_BASE_URL || null;
+    this.timeout = parseInt(process.env.DOMAIN_REGISTRATION_TIMEOUT) || 8000;
+
+    this.transport = defaultTransport;
+    this.rdapServers = null;
+    this.whoisServers = new Map();
+  }
+
+  /**
+   * Swap the network transport ({ getJson(url, options), queryWhois(server, query, options) })
+   */
+  setTransport(transport) {
+    this.transport = { ...defaultTransport, ...transport };
+    this.rdapServers = null;
+    this.whoisServers.clear();
+  }
+
+  isEnabled() {
+    return this.sources.length > 0;
+  }
+
+  /**
+   * Registration record of the registrable domain of a host
+   * @param {string} host - Hostname (subdomains are looked up as their registrable domain)
+   * @param {Object} options - { bypassCache }
+   * @returns {Object|null} - Record with ageDays and expiresInDays, or null for IP addresses and when disabled
+   */
+  async lookup(host, options = {}) {
+    if (!this.isEnabled() || !host || isIpAddress(host)) return null;
+
+    const domain = getRegistrableDomain(host);
+    const { value: record, cached } = await resultCache.wrap(
+      'registration',
+      { domain },
+      () => this.fetchRecord(domain),
+      { bypass: options.bypassCache }
+    );
+
+    // Ages are computed on read so cached records do not go stale
+    return { ...this.withAges(record), cached };
+  }
+
+  /**
+   * Try each configured source in turn
+   */
+  async fetchRecord(domain) {
+    const errors = [];
+
+    for (const source of this.sources) {
+      try {
+        const record = source === 'rdap'
+          ? await this.lookupRdap(domain)
+          : await this.lookupWhois(domain);
+        if (record) return record;
+        errors.push(`${source}: no server for .${this.getTld(domain)}`);
+      } catch (error) {
+        errors.push(`${source}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Registration lookup failed for ${domain} (${errors.join('; ')})`);
+  }
+
+  getTld(domain) {
+    return domain.split('.').pop();
+  }
+
+  /**
+   * RDAP base URL for a TLD from the IANA bootstrap registry
+   */
+  async getRdapServer(domain) {
+    if (this.rdapBaseUrl) return this.rdapBaseUrl;
+
+    if (!this.rdapServers) {
+      const bootstrap = await providerGuard.call('rdap', 'bootstrap', () =>
+        this.transport.getJson(this.bootstrapUrl, { timeout: this.timeout })
+      );
+      this.rdapServers = new Map();
+      for (const [tlds, urls] of bootstrap.services || []) {
+        const url = urls.find(candidate => candidate.startsWith('https://')) || urls[0];
+        for (const tld of tlds) this.rdapServers.set(tld.toLowerCase(), url);
+      }
+    }
+
+    return this.rdapServers.get(this.getTld(domain)) || null;
+  }
+
+  /**
+   * @returns {Object|null} - Parsed record; null when the TLD has no RDAP service
+   */
+  async lookupRdap(domain) {
+    const server = await this.getRdapServer(domain);
+    if (!server) return null;
+
+    const url = `${server.replace(/\/$/, '')}/domain/${encodeURIComponent(domain)}`;
+    try {
+      const data = await providerGuard.call('rdap', 'domain', () =>
+        this.transport.getJson(url, { timeout: this.timeout })
+      );
+      return this.parseRdap(domain, data);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { domain, registered: false, source: 'rdap' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * WHOIS server for a TLD, from the IANA referral
+   */
+  async getWhoisServer(domain) {
+    const tld = this.getTld(domain);
+    if (!this.whoisServers.has(tld)) {
+      const response = await this.transport.queryWhois(IANA_WHOIS_SERVER, tld, { timeout: this.timeout });
+      const match = response.match(/^\s*(?:refer|whois):\s*(\S+)/im);
+      this.whoisServers.set(tld, match ? match[1].toLowerCase() : null);
+    }
+    return this.whoisServers.get(tld);
+  }
+
+  /**
+   * @returns {Object|null} - Parsed record; null when the TLD has no WHOIS server
+   */
+  async lookupWhois(domain) {
+    const server = await this.getWhoisServer(domain);
+    if (!server) return null;
+
+    const text = await providerGuard.call('whois', server, () =>
+      this.transport.queryWhois(server, domain, { timeout: this.timeout })
+    );
+    return this.parseWhois(domain, text);
+  }
+
+  /**
+   * Extract dates, registrar, status and privacy use from an RDAP domain object
+   */
+  parseRdap(domain, data) {
+    const events = {};
+    for (const event of data.events || []) {
+      events[event.eventAction] = event.eventDate;
+    }
+
+    const entities = this.flattenEntities(data.entities || []);
+    const registrar = entities.find(entity => (entity.roles || []).includes('registrar'));
+    const registrantNames = entities
+      .filter(entity => (entity.roles || []).includes('registrant'))
+      .flatMap(entity => this.getVcardNames(entity));
+    const remarks = [...(data.remarks || []), ...entities.flatMap(entity => entity.remarks || [])]
+      .flatMap(remark => [remark.title, ...(remark.description || [])])
+      .filter(Boolean);
+
+    return {
+      domain,
+      registered: true,
+      source: 'rdap',
+      createdAt: this.parseDate(events.registration),
+      updatedAt: this.parseDate(events['last changed']),
+      expiresAt: this.parseDate(events.expiration),
+      registrar: registrar ? this.getVcardNames(registrar)[0] || registrar.handle || null : null,
+      privacyProxy: registrantNames.some(name => this.isPrivacyProxy(name)),
+      registrantRedacted: registrantNames.some(name => REDACTED_PATTERN.test(name)) ||
+        remarks.some(text => REDACTED_PATTERN.test(text)),
+      status: data.status || [],
+      nameservers: (data.nameservers || []).map(ns => String(ns.ldhName || '').toLowerCase()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Extract the same fields from a WHOIS text response
+   */
+  parseWhois(domain, text) {
+    if (WHOIS_NOT_FOUND.test(text)) {
+      return { domain, registered: false, source: 'whois' };
+    }
+
+    const field = (name) => {
+      const match = text.match(WHOIS_FIELDS[name]);
+      return match ? match[1].trim() : null;
+    };
+    const registrant = field('registrant');
+
+    return {
+      domain,
+      registered: true,
+      source: 'whois',
+      createdAt: this.parseDate(field('createdAt')),
+      updatedAt: this.parseDate(field('updatedAt')),
+      expiresAt: this.parseDate(field('expiresAt')),
+      registrar: field('registrar'),
+      privacyProxy: Boolean(registrant && this.isPrivacyProxy(registrant)),
+      registrantRedacted: REDACTED_PATTERN.test(text),
+      status: [...text.matchAll(/^\s*(?:domain )?status:\s*(\S+)/gim)].map(match => match[1]),
+      nameservers: [...text.matchAll(/^\s*(?:name server|nserver):\s*(\S+)/gim)].map(match => match[1].toLowerCase())
+    };
+  }
+
+  /**
+   * Whether a registrant name is a privacy/proxy service ("REDACTED FOR PRIVACY" is only redaction)
+   */
+  isPrivacyProxy(name) {
+    return PRIVACY_PROXY_PATTERN.test(name) && !REDACTED_PATTERN.test(name);
+  }
+
+  /**
+   * Entities including those nested in other entities (e.g. the registrar's abuse contact)
+   */
+  flattenEntities(entities) {
+    return entities.flatMap(entity => [entity, ...this.flattenEntities(entity.entities || [])]);
+  }
+
+  /**
+   * fn and org values of an entity's jCard
+   */
+  getVcardNames(entity) {
+    const properties = Array.isArray(entity.vcardArray) ? entity.vcardArray[1] || [] : [];
+    return properties
+      .filter(([name]) => name === 'fn' || name === 'org')
+      .map(([, , , value]) => (Array.isArray(value) ? value.join(' ') : String(value || '')).trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * ISO string, or null for missing or unparseable dates
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Add ageDays and expiresInDays (whole days, as of now)
+   */
+  withAges(record, now = Date.now()) {
+    const daysBetween = (from, to) => Math.floor((to - from) / DAY_MS);
+    return {
+      ...record,
+      ageDays: record.createdAt ? daysBetween(new Date(record.createdAt).getTime(), now) : null,
+      expiresInDays: record.expiresAt ? daysBetween(now, new Date(record.expiresAt).getTime()) : null
+    };
+  }
+
+  /**
+   * Rule fields from the domain check's registration record (see the domainRegistration rule pack)
+   */
+  getRuleFields(externalVerification) {
+    const registration = externalVerification?.domain?.registration;
+    return {
+      domainRegistered: registration ? registration.registered : null,
+      domainAgeDays: registration?.ageDays ?? null,
+      domainExpiresInDays: registration?.expiresInDays ?? null,
+      domainPrivacyProxy: registration?.registered ? registration.privacyProxy : null
+    };
+  }
+}
+
+module.exports = new DomainRegistrationService();
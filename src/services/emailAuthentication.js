@@ -0,0 +1,252 @@
+const { Resolver } = require('dns').promises;
+const path = require('path');
+const resultCache = require('./resultCache');
+const fixtureRecorder = require('./fixtureRecorder');
+const emailClassifier = require('./emailClassifier');
+const brandImpersonation = require('./brandImpersonation');
+const consistencyAnalyzer = require('./consistencyAnalyzer');
+const { normalizeHost, getRegistrableDomain } = require('../utils/domain');
+const logger = require('../utils/logger');
+
+// SPF mechanisms and modifiers that cost a DNS lookup (RFC 7208 allows 10)
+const SPF_LOOKUP_TERMS = ['include', 'a', 'mx', 'ptr', 'exists', 'redirect'];
+const SPF_MAX_LOOKUPS = 10;
+const SPF_ALL_POLICIES = { '-': 'hardfail', '~': 'softfail', '?': 'neutral', '+': 'pass_all' };
+
+// MX categories that do not fit a large employer's own mail system
+const LOW_TRUST_MX_CATEGORIES = ['forwarding', 'free_mail', 'disposable'];
+const LARGE_COMPANY_EMPLOYEES = 1000;
+
+/**
+ * Email domain authentication posture: SPF and DMARC records, DKIM keys at known selectors,
+ * and the mail provider behind the MX hosts (src/config/mxProviders.json)
+ */
+class EmailAuthenticationService {
+  constructor() {
+    this.loadProviders(process.env.MX_PROVIDERS_PATH || path.join(__dirname, '..', 'config', 'mxProviders.json'));
+
+    const timeout = parseInt(process.env.EMAIL_AUTH_DNS_TIMEOUT) || 3000;
+    this.resolver = new Resolver({ timeout, tries: 2 });
+  }
+
+  /**
+   * Load the MX provider fingerprints
+   */
+  loadProviders(filePath) {
+    const config = require(path.resolve(filePath));
+    this.commonDkimSelectors = config.commonDkimSelectors || [];
+    this.providers = config.providers.map(provider => ({
+      ...provider,
+      domains: provider.domains.map(domain => normalizeHost(domain)),
+      dkimSelectors: provider.dkimSelectors || []
+    }));
+  }
+
+  /**
+   * Analyze a mail domain
+   * @param {string} domain - Email domain
+   * @param {Object} options - { bypassCache }
+   * @returns {Object} - { domain, spf, dmarc, dkim, mx, cached }
+   */
+  async analyze(domain, options = {}) {
+    const normalized = normalizeHost(domain);
+    const { value, cached } = await resultCache.wrap(
+      'emailauth',
+      { domain: normalized },
+      () => this.lookup(normalized),
+      { bypass: options.bypassCache }
+    );
+    return { ...value, cached };
+  }
+
+  async lookup(domain) {
+    const [txtRecords, dmarcRecords, mxRecords] = await Promise.all([
+      this.resolveTxt(domain),
+      this.resolveTxt(`_dmarc.${domain}`),
+      this.resolveMx(domain)
+    ]);
+
+    const mx = this.fingerprintMx(domain, mxRecords);
+    const dkim = await this.probeDkim(domain, mx.provider);
+
+    return {
+      domain,
+      spf: this.parseSpf(txtRecords),
+      dmarc: this.parseDmarc(dmarcRecords),
+      dkim,
+      mx
+    };
+  }
+
+  /**
+   * TXT records joined into strings; a missing name yields no records, other DNS errors throw
+   */
+  async resolveTxt(name) {
+    try {
+      const records = await fixtureRecorder.wrap('dns', { type: 'TXT', name }, () => this.resolver.resolveTxt(name));
+      return records.map(chunks => chunks.join(''));
+    } catch (error) {
+      if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return [];
+      throw error;
+    }
+  }
+
+  async resolveMx(name) {
+    try {
+      return await fixtureRecorder.wrap('dns', { type: 'MX', name }, () => this.resolver.resolveMx(name));
+    } catch (error) {
+      if (['ENOTFOUND', 'ENODATA'].includes(error.code)) return [];
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object} - { record, policy, includes, lookups, tooManyLookups }; policy is the `all` qualifier
+   *                     (hardfail, softfail, neutral, pass_all), missing, invalid (several records) or no_all
+   */
+  parseSpf(txtRecords) {
+    const records = txtRecords.filter(record => /^v=spf1(\s|$)/i.test(record.trim()));
+    if (records.length === 0) {
+      return { record: null, policy: 'missing', includes: [], lookups: 0, tooManyLookups: false };
+    }
+
+    const record = records[0].trim();
+    const terms = record.split(/\s+/).slice(1);
+    const includes = [];
+    let lookups = 0;
+    let policy = 'no_all';
+
+    for (const term of terms) {
+      const match = term.match(/^([-~?+]?)([a-z0-9]+)(?:[:=](.*))?$/i);
+      if (!match) continue;
+
+      const [, qualifier, name, value] = match;
+      const mechanism = name.toLowerCase();
+      if (SPF_LOOKUP_TERMS.includes(mechanism)) lookups++;
+      if (mechanism === 'include' && value) includes.push(value.toLowerCase());
+      if (mechanism === 'redirect' && policy === 'no_all') policy = 'redirect';
+      if (mechanism === 'all') policy = SPF_ALL_POLICIES[qualifier || '+'];
+    }
+
+    return {
+      record,
+      // More than one SPF record is a permanent error for receivers
+      policy: records.length > 1 ? 'invalid' : policy,
+      includes,
+      lookups,
+      tooManyLookups: lookups > SPF_MAX_LOOKUPS
+    };
+  }
+
+  /**
+   * @returns {Object} - { record, policy (none, quarantine, reject, missing or invalid), subdomainPolicy, pct, reporting }
+   */
+  parseDmarc(txtRecords) {
+    const record = txtRecords.find(candidate => /^v=DMARC1(\s*;|$)/i.test(candidate.trim()));
+    if (!record) {
+      return { record: null, policy: 'missing', subdomainPolicy: null, pct: null, reporting: false };
+    }
+
+    const tags = {};
+    for (const part of record.split(';')) {
+      const [key, ...rest] = part.split('=');
+      if (key && rest.length > 0) tags[key.trim().toLowerCase()] = rest.join('=').trim();
+    }
+
+    const policy = ['none', 'quarantine', 'reject'].includes((tags.p || '').toLowerCase())
+      ? tags.p.toLowerCase()
+      : 'invalid';
+
+    return {
+      record: record.trim(),
+      policy,
+      subdomainPolicy: tags.sp ? tags.sp.toLowerCase() : null,
+      pct: tags.pct !== undefined ? parseInt(tags.pct) : 100,
+      reporting: Boolean(tags.rua || tags.ruf)
+    };
+  }
+
+  /**
+   * Identify the mail provider from the primary (lowest preference) MX host
+   * @returns {Object} - { hosts, primary, provider, category }; category is a provider category,
+   *                     self_hosted (MX under the mail domain), other, or none (no MX records)
+   */
+  fingerprintMx(domain, mxRecords) {
+    const hosts = [...mxRecords]
+      .sort((a, b) => a.priority - b.priority)
+      .map(record => normalizeHost(record.exchange))
+      .filter(Boolean);
+
+    if (hosts.length === 0) {
+      return { hosts, primary: null, provider: null, category: 'none' };
+    }
+
+    const primary = hosts[0];
+    const provider = this.providers.find(candidate =>
+      candidate.domains.some(providerDomain => primary === providerDomain || primary.endsWith(`.${providerDomain}`))
+    );
+
+    let category = provider ? provider.category : 'other';
+    if (!provider) {
+      if (getRegistrableDomain(primary) === getRegistrableDomain(domain)) category = 'self_hosted';
+      else if (emailClassifier.isListed(emailClassifier.disposableDomains, primary)) category = 'disposable';
+      else if (emailClassifier.isListed(emailClassifier.freeDomains, primary)) category = 'free_mail';
+    }
+
+    return { hosts, primary, provider: provider ? provider.name : null, category };
+  }
+
+  /**
+   * Look for DKIM keys at the provider's selectors and common ones. Selectors cannot be listed,
+   * so finding none does not prove the domain does not sign its mail.
+   */
+  async probeDkim(domain, providerName) {
+    const provider = this.providers.find(candidate => candidate.name === providerName);
+    const selectors = [...new Set([...(provider ? provider.dkimSelectors : []), ...this.commonDkimSelectors])];
+
+    const results = await Promise.all(selectors.map(async selector => {
+      try {
+        const records = await this.resolveTxt(`${selector}._domainkey.${domain}`);
+        return records.some(record => /(^|;)\s*(v=DKIM1|p=)/i.test(record)) ? selector : null;
+      } catch (error) {
+        logger.debug('DKIM selector lookup failed', { domain, selector, error: error.message });
+        return null;
+      }
+    }));
+
+    const found = results.filter(Boolean);
+    return { selectorsChecked: selectors, selectorsFound: found, found: found.length > 0 };
+  }
+
+  /**
+   * Whether the company looks like a large employer: a listed brand, or a large Clearbit headcount
+   */
+  isLargeEmployer(companyName, externalVerification) {
+    const employees = externalVerification?.company?.details?.clearbit?.employees;
+    if (typeof employees === 'number' && employees >= LARGE_COMPANY_EMPLOYEES) return true;
+
+    return brandImpersonation.findBrandByName(consistencyAnalyzer.normalizeCompanyName(companyName).compact) !== null;
+  }
+
+  /**
+   * Rule fields from the email check's authentication details (see the email rule pack)
+   */
+  getRuleFields(recruiterData, externalVerification) {
+    const authentication = externalVerification?.email?.details?.authentication;
+    if (!authentication || authentication.error) {
+      return { emailSpfPolicy: null, emailDmarcPolicy: null, emailMxCategory: null, emailMxMismatch: null };
+    }
+
+    const mxCategory = authentication.mx?.category || null;
+    return {
+      emailSpfPolicy: authentication.spf?.policy || null,
+      emailDmarcPolicy: authentication.dmarc?.policy || null,
+      emailMxCategory: mxCategory,
+      // A large employer receiving mail through forwarding, webmail or throwaway infrastructure
+      emailMxMismatch: LOW_TRUST_MX_CATEGORIES.includes(mxCategory) &&
+        this.isLargeEmployer(recruiterData.companyName, externalVerification)
+    };
+  }
+}
+
+module.exports = new EmailAuthenticationService();
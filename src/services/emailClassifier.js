@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const validator = require('validator');
+const { normalizeHost, getRegistrableDomain } = require('../utils/domain');
+const logger = require('../utils/logger');
+
+const LIST_DIR = path.join(__dirname, '..', 'config', 'email');
+
+// Providers that ignore dots in the local part (j.ane.doe@gmail.com == janedoe@gmail.com)
+const DOT_INSENSITIVE_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+// Domains that are aliases of another mailbox domain
+const DOMAIN_ALIASES = {
+  'googlemail.com': 'gmail.com'
+};
+
+class EmailClassifierService {
+  constructor() {
+    this.loadLists();
+  }
+
+  /**
+   * Load the bundled domain lists, plus an optional local disposable list (DISPOSABLE_DOMAINS_PATH)
+   */
+  loadLists() {
+    this.disposableDomains = this.readList(path.join(LIST_DIR, 'disposable-domains.txt'));
+    this.freeDomains = this.readList(path.join(LIST_DIR, 'free-domains.txt'));
+    this.roleAccounts = this.readList(path.join(LIST_DIR, 'role-accounts.txt'));
+
+    if (process.env.DISPOSABLE_DOMAINS_PATH) {
+      this.readList(process.env.DISPOSABLE_DOMAINS_PATH).forEach(domain => this.disposableDomains.add(domain));
+    }
+
+    // A domain on both lists is treated as free webmail
+    this.freeDomains.forEach(domain => this.disposableDomains.delete(domain));
+
+    logger.info('Email domain lists loaded', {
+      disposable: this.disposableDomains.size,
+      free: this.freeDomains.size,
+      roles: this.roleAccounts.size
+    });
+  }
+
+  /**
+   * Read a newline-separated list, ignoring blank lines and # comments
+   */
+  readList(filePath) {
+    return new Set(
+      fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.replace(/#.*$/, '').trim().toLowerCase())
+        .filter(Boolean)
+    );
+  }
+
+  /**
+   * Classify an email address
+   * @param {string} email - Email address
+   * @returns {Object} - category (invalid, disposable, free, corporate), role and alias details
+   */
+  classify(email) {
+    const address = email ? String(email).trim().toLowerCase() : '';
+
+    if (!address || !validator.isEmail(address)) {
+      return {
+        email: address || null,
+        category: 'invalid',
+        isValid: false,
+        isDisposable: false,
+        isFree: false,
+        isRole: false,
+        role: null,
+        subAddress: null,
+        canonical: null
+      };
+    }
+
+    const at = address.lastIndexOf('@');
+    const localPart = address.slice(0, at);
+    const domain = normalizeHost(address.slice(at + 1));
+    const mailboxDomain = DOMAIN_ALIASES[domain] || domain;
+
+    // Sub-addressing: user+tag@ delivers to user@
+    const plusIndex = localPart.indexOf('+');
+    const baseLocalPart = plusIndex > 0 ? localPart.slice(0, plusIndex) : localPart;
+    const subAddress = plusIndex > 0 ? localPart.slice(plusIndex + 1) : null;
+
+    const mailbox = DOT_INSENSITIVE_DOMAINS.has(mailboxDomain)
+      ? baseLocalPart.replace(/\./g, '')
+      : baseLocalPart;
+
+    const isDisposable = this.isListed(this.disposableDomains, domain);
+    const isFree = !isDisposable && this.isListed(this.freeDomains, domain);
+    const role = this.matchRole(baseLocalPart);
+
+    return {
+      email: address,
+      localPart,
+      domain,
+      registrableDomain: getRegistrableDomain(domain),
+      category: isDisposable ? 'disposable' : isFree ? 'free' : 'corporate',
+      isValid: true,
+      isDisposable,
+      isFree,
+      isRole: role !== null,
+      role,
+      subAddress,
+      isDottedAlias: mailbox !== baseLocalPart,
+      // Address the mail is actually delivered to; equal for aliases of the same mailbox
+      canonical: `${mailbox}@${mailboxDomain}`
+    };
+  }
+
+  /**
+   * Domain, or any parent domain, is on the list
+   */
+  isListed(list, domain) {
+    const labels = domain.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+      if (list.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Role mailbox name ("hr", "jobs", ...) for a local part, or null
+   */
+  matchRole(localPart) {
+    const normalized = localPart.replace(/[._-]?\d+$/, '');
+    if (this.roleAccounts.has(normalized)) return normalized;
+
+    const compact = normalized.replace(/[._-]/g, '');
+    return this.roleAccounts.has(compact) ? compact : null;
+  }
+
+  /**
+   * Canonical mailbox address, e.g. for duplicate detection
+   */
+  canonicalize(email) {
+    return this.classify(email).canonical;
+  }
+}
+
+module.exports = new EmailClassifierService();
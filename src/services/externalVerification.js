@@ -1,89 +1,102 @@
-const axios = require('axios');
 const validator = require('validator');
-const dns = require('dns').promises;
-const cheerio = require('cheerio');
+const { parsePhone } = require('../utils/phone');
+const emailClassifier = require('./emailClassifier');
+const providerGuard = require('./providerGuard');
+const emailAuthentication = require('./emailAuthentication');
+const { DEFAULT_PRIMARY, createVerifier, loadPlugins, getVerifierNames } = require('./verifiers');
 const logger = require('../utils/logger');
 
+const CHECKS = ['email', 'phone', 'company', 'domain'];
+
+// Provider refused by its circuit breaker or quota: skipped like an unconfigured verifier
+const UNAVAILABLE_STATUSES = {
+  CIRCUIT_OPEN: 'circuit_open',
+  QUOTA_EXHAUSTED: 'quota_exhausted'
+};
+
+/**
+ * Runs the email, phone, company and domain checks. Each check walks a chain of verifier plugins
+ * (see ./verifiers): unconfigured verifiers and providers refused by their circuit breaker or quota
+ * are skipped, and a failing one hands over to the next.
+ */
 class ExternalVerificationService {
   constructor() {
-    this.timeout = parseInt(process.env.API_TIMEOUT) || 10000; // 10 seconds
-    
-    // API configurations
-    this.apis = {
-      hunter: {
-        baseUrl: 'https://api.hunter.io/',
-        key: process.env.HUNTER_API_KEY
-      },
-      numverify: {
-        baseUrl: 'http://apilayer.net/api',
-        key: process.env.NUMVERIFY_API_KEY
-      },
-      clearbit: {
-        baseUrl: 'https://company.clearbit.com/v1',
-        key: process.env.CLEARBIT_API_KEY
-      }
-    };
+    loadPlugins();
+    this.verifiers = new Map(getVerifierNames().map(name => [name, createVerifier(name)]));
 
-    // Setup axios instances with timeouts
-    this.httpClient = axios.create({
-      timeout: this.timeout,
-      headers: {
-        'User-Agent': 'RecruitSpamDetector/1.0'
+    // Verifier chain per check: <CHECK>_VERIFIERS, or the default primary and its fallbacks
+    this.chains = {};
+    for (const check of CHECKS) {
+      this.chains[check] = this.resolveChain(check, process.env[`${check.toUpperCase()}_VERIFIERS`]);
+    }
+  }
+
+  /**
+   * Validate a comma-separated chain, or expand the default primary verifier's fallbacks
+   */
+  resolveChain(check, spec) {
+    const names = spec
+      ? spec.split(',').map(name => name.trim()).filter(Boolean)
+      : this.expandFallbacks(DEFAULT_PRIMARY[check]);
+
+    for (const name of names) {
+      const verifier = this.verifiers.get(name);
+      if (!verifier) {
+        throw new Error(`Unknown verifier "${name}" in ${check} chain. Available: ${[...this.verifiers.keys()].join(', ')}`);
       }
-    });
+      if (verifier.check !== check) {
+        throw new Error(`Verifier "${name}" performs the ${verifier.check} check, not ${check}`);
+      }
+    }
+    return names;
   }
 
   /**
-   * Check if API key is valid (not placeholder or empty)
+   * A verifier followed by its fallbacks, depth first, without repeats
    */
-  isValidApiKey(key) {
-    return key && 
-           key.trim() !== '' && 
-           !key.includes('placeholder') && 
-           !key.includes('your_') && 
-           !key.includes('demo_') &&
-           key !== 'your_gemini_api_key_here' &&
-           key !== 'your_hunter_io_api_key' &&
-           key !== 'your_clearbit_api_key' &&
-           key !== 'your_numverify_api_key';
+  expandFallbacks(name, seen = new Set()) {
+    if (seen.has(name)) return [];
+    seen.add(name);
+
+    const verifier = this.verifiers.get(name);
+    if (!verifier) {
+      throw new Error(`Unknown verifier "${name}"`);
+    }
+    return [name, ...verifier.fallback.flatMap(next => this.expandFallbacks(next, seen))];
   }
 
   /**
    * Verify all external data points
    * @param {Object} recruiterData - Recruiter data to verify
+   * @param {Object} options
+   * @param {boolean} options.bypassCache - Call the APIs even when a cached result exists
    * @returns {Object} - Complete verification results
    */
-  async verifyAll(recruiterData) {
+  async verifyAll(recruiterData, options = {}) {
     const timer = logger.startTimer('External verification');
     const startTime = Date.now();
     
     try {
-      // Run all verifications in parallel for speed
-      const [
-        emailResults,
-        phoneResults,
-        companyResults,
-        domainResults
-      ] = await Promise.allSettled([
-        this.verifyEmail(recruiterData.businessEmail),
-        this.verifyPhone(recruiterData.phoneNumber),
-        this.verifyCompany(recruiterData.companyName, recruiterData.websiteUrl),
-        this.verifyDomain(recruiterData.websiteUrl)
-      ]);
-
-      const results = {
-        email: this.handlePromiseResult(emailResults, 'email'),
-        phone: this.handlePromiseResult(phoneResults, 'phone'),
-        company: this.handlePromiseResult(companyResults, 'company'),
-        domain: this.handlePromiseResult(domainResults, 'domain'),
+      // Run all checks in parallel for speed
+      const outcomes = await Promise.allSettled(
+        CHECKS.map(check => this.runCheck(check, recruiterData, options))
+      );
+
+      const results = {};
+      CHECKS.forEach((check, index) => {
+        results[check] = this.handlePromiseResult(outcomes[index], check);
+      });
+      Object.assign(results, {
         processingTime: Date.now() - startTime,
         apiCallsCount: 0,
+        estimatedCost: 0,
         errors: []
-      };
+      });
 
       // Count successful API calls
       Object.values(results).forEach(result => {
         if (result && result.apiCalled) results.apiCallsCount++;
+        if (result && result.estimatedCost) results.estimatedCost += result.estimatedCost;
         if (result && result.error) {
           results.errors.push({
             source: result.source || 'unknown',
@@ -92,6 +105,7 @@ class ExternalVerificationService {
           });
         }
       });
+      results.estimatedCost = Math.round(results.estimatedCost * 10000) / 10000;
 
       timer.end();
 
@@ -110,428 +124,166 @@ class ExternalVerificationService {
   }
 
   /**
-   * Verify email address using Hunter.io
+   * Run one check through its verifier chain
+   * @returns {Object} - Result of the first verifier that answered, with verifier, verifierChain and estimatedCost
    */
-  async verifyEmail(email) {
-    if (!email || !validator.isEmail(email)) {
-      return {
-        isValid: false,
-        score: 0,
-        error: 'Invalid email format',
-        source: 'validation'
-      };
-    }
-
-    try {
-      // First, basic DNS check for domain
-      const domain = email.split('@')[1];
-      const dnsResult = await this.checkDNS(domain);
-      
-      if (!this.isValidApiKey(this.apis.hunter.key)) {
-        logger.info('Hunter.io API key not configured, using basic validation');
-        return {
-          isValid: dnsResult.isValid,
-          isDomainValid: dnsResult.isValid,
-          score: dnsResult.isValid ? 60 : 20,
-          provider: 'dns-only',
-          details: { dnsCheck: dnsResult },
-          source: 'dns'
-        };
+  async runCheck(check, recruiterData, options = {}) {
+    const prepared = this.prepareCheck(check, recruiterData);
+    if (prepared.result) return prepared.result;
+
+    const context = { ...prepared.context, bypassCache: options.bypassCache };
+    const chain = [];
+    let failure = null;
+
+    // Verifier-independent analysis, run alongside the chain and merged into the result details
+    const enrichment = this.startEnrichment(check, context);
+
+    for (const name of this.chains[check]) {
+      const verifier = this.verifiers.get(name);
+      if (!verifier.isConfigured()) {
+        logger.info('Verifier not configured, trying next in chain', { check, verifier: name });
+        chain.push({ verifier: name, status: 'not_configured' });
+        continue;
       }
 
-      // Use Hunter.io API
-      const response = await this.httpClient.get(
-        `${this.apis.hunter.baseUrl}/email-verifier`,
-        {
-          params: {
-            email: email,
-            api_key: this.apis.hunter.key
-          }
+      try {
+        const result = await this.withTimeout(
+          verifier.verify(
+            this.pickInputs(verifier, recruiterData),
+            failure ? { ...context, fallbackFrom: failure.verifier, fallbackError: failure.error } : context
+          ),
+          verifier
+        );
+
+        // null: the verifier does not apply to this recruiter (e.g. no website)
+        if (!result) {
+          chain.push({ verifier: name, status: 'skipped' });
+          continue;
         }
-      );
-
-      const data = response.data.data;
-      
-      // Calculate score based on Hunter.io results
-      let score = 50; // base score
-      if (data.result === 'deliverable') score = 90;
-      else if (data.result === 'undeliverable') score = 10;
-      else if (data.result === 'risky') score = 30;
-      else if (data.result === 'unknown') score = 50;
-
-      // Adjust based on additional factors
-      if (data.mx_records) score += 5;
-      if (data.smtp_server) score += 5;
-      if (data.smtp_check) score += 10;
-
-      logger.logExternalApiCall('hunter.io', 'email-verifier', true, Date.now());
-
-      return {
-        isValid: data.result === 'deliverable',
-        isDeliverable: data.result === 'deliverable',
-        isDomainValid: data.mx_records || dnsResult.isValid,
-        provider: 'hunter.io',
-        score: Math.min(100, score),
-        details: {
-          result: data.result,
-          score: data.score,
-          email: data.email,
-          regexp: data.regexp,
-          gibberish: data.gibberish,
-          disposable: data.disposable,
-          webmail: data.webmail,
-          mx_records: data.mx_records,
-          smtp_server: data.smtp_server,
-          smtp_check: data.smtp_check,
-          accept_all: data.accept_all,
-          block: data.block
-        },
-        apiCalled: true,
-        source: 'hunter'
-      };
-
-    } catch (error) {
-      logger.logExternalApiCall('hunter.io', 'email-verifier', false, Date.now(), error);
-      
-      // Fallback to DNS check
-      const dnsResult = await this.checkDNS(email.split('@')[1]);
-      return {
-        isValid: dnsResult.isValid,
-        isDomainValid: dnsResult.isValid,
-        score: dnsResult.isValid ? 40 : 10, // Lower score due to API failure
-        provider: 'dns-fallback',
-        error: error.message,
-        source: 'dns',
-        apiCalled: false
-      };
-    }
-  }
 
-  /**
-   * Verify phone number using Numverify
-   */
-  async verifyPhone(phoneNumber) {
-    if (!phoneNumber) {
-      return {
-        isValid: false,
-        score: 0,
-        error: 'Phone number not provided',
-        source: 'validation'
-      };
-    }
-
-    try {
-      // Clean phone number
-      const cleanPhone = phoneNumber.replace(/[\s\-\(\)\+]/g, '');
-      
-      if (!this.isValidApiKey(this.apis.numverify.key)) {
-        logger.info('Numverify API key not configured, using basic validation');
-        const isBasicValid = /^[\d]{10,15}$/.test(cleanPhone);
+        chain.push({ verifier: name, status: 'succeeded' });
+        const extraDetails = await enrichment;
         return {
-          isValid: isBasicValid,
-          score: isBasicValid ? 50 : 20,
-          provider: 'basic-validation',
-          source: 'validation'
+          ...result,
+          ...(extraDetails && { details: { ...result.details, ...extraDetails } }),
+          // A fallback result reports why the preferred verifier was not used
+          ...(failure && !result.error && { error: failure.error }),
+          verifier: name,
+          verifierChain: chain,
+          estimatedCost: result.apiCalled ? verifier.cost : 0
         };
-      }
-
-      // Use Numverify API
-      const response = await this.httpClient.get(
-        `${this.apis.numverify.baseUrl}/validate`,
-        {
-          params: {
-            access_key: this.apis.numverify.key,
-            number: phoneNumber,
-            country_code: '', // Let API detect
-            format: 1
-          }
+      } catch (error) {
+        if (UNAVAILABLE_STATUSES[error.code]) {
+          logger.info('Verifier unavailable, trying next in chain', { check, verifier: name, reason: error.message });
+          chain.push({ verifier: name, status: UNAVAILABLE_STATUSES[error.code], error: error.message });
+          continue;
         }
-      );
 
-      const data = response.data;
-      
-      if (data.error) {
-        throw new Error(data.error.info || 'Numverify API error');
+        logger.warn('Verifier failed, trying next in chain', { check, verifier: name, error: error.message });
+        chain.push({ verifier: name, status: 'failed', error: error.message });
+        failure = failure || { verifier: name, error: error.message };
       }
-
-      // Calculate score based on validation results
-      let score = data.valid ? 80 : 20;
-      if (data.line_type === 'mobile') score += 10;
-      if (data.carrier && data.carrier.length > 0) score += 5;
-
-      logger.logExternalApiCall('numverify', 'validate', true, Date.now());
-
-      return {
-        isValid: data.valid,
-        country: data.country_name,
-        countryCode: data.country_code,
-        carrier: data.carrier,
-        lineType: data.line_type,
-        provider: 'numverify',
-        score: Math.min(100, score),
-        details: {
-          valid: data.valid,
-          number: data.number,
-          local_format: data.local_format,
-          international_format: data.international_format,
-          country_prefix: data.country_prefix,
-          country_code: data.country_code,
-          country_name: data.country_name,
-          location: data.location,
-          carrier: data.carrier,
-          line_type: data.line_type
-        },
-        apiCalled: true,
-        source: 'numverify'
-      };
-
-    } catch (error) {
-      logger.logExternalApiCall('numverify', 'validate', false, Date.now(), error);
-      
-      // Basic validation fallback
-      const cleanPhone = phoneNumber.replace(/[\s\-\(\)\+]/g, '');
-      const isBasicValid = /^[\d]{10,15}$/.test(cleanPhone);
-      
-      return {
-        isValid: isBasicValid,
-        score: isBasicValid ? 30 : 10, // Lower score due to API failure
-        provider: 'basic-fallback',
-        error: error.message,
-        source: 'validation',
-        apiCalled: false
-      };
     }
+
+    throw new Error(`No ${check} verifier succeeded: ${chain.map(step => `${step.verifier} ${step.error || step.status}`).join('; ')}`);
   }
 
   /**
-   * Verify company information using Clearbit and web scraping
+   * Input checks shared by every verifier of a check
+   * @returns {Object} - { result } to answer without calling a verifier, or { context } for the verifiers
    */
-  async verifyCompany(companyName, websiteUrl) {
-    try {
-      let clearbitData = null;
-      let webScrapingData = null;
-
-      // Try Clearbit first (if available and properly configured)
-      if (this.isValidApiKey(this.apis.clearbit.key) && websiteUrl) {
-        try {
-          clearbitData = await this.getClearbitData(websiteUrl);
-        } catch (error) {
-          logger.warn('Clearbit lookup failed, continuing with web scraping', { error: error.message });
+  prepareCheck(check, recruiterData) {
+    switch (check) {
+      case 'email': {
+        const email = recruiterData.businessEmail;
+        if (!email || !validator.isEmail(email)) {
+          return { result: { isValid: false, score: 0, error: 'Invalid email format', source: 'validation' } };
         }
-      } else if (websiteUrl) {
-        logger.info('Clearbit API key not configured, skipping Clearbit verification');
-      }
 
-      // Web scraping as primary/fallback method
-      if (websiteUrl) {
-        try {
-          webScrapingData = await this.scrapeWebsiteData(websiteUrl);
-        } catch (error) {
-          logger.warn('Website scraping failed', { error: error.message });
+        const classification = emailClassifier.classify(email);
+
+        // Disposable mailboxes are not worth an API call
+        if (classification.isDisposable) {
+          return {
+            result: {
+              isValid: false,
+              isDisposable: true,
+              score: 5,
+              provider: 'email-classifier',
+              classification,
+              source: 'classification'
+            }
+          };
         }
+        return { context: { classification } };
       }
 
-      // Combine results
-      return this.combineCompanyData(companyName, clearbitData, webScrapingData);
-
-    } catch (error) {
-      logger.error('Company verification failed', { error: error.message });
-      return {
-        isValid: false,
-        score: 30,
-        error: error.message,
-        source: 'verification',
-        apiCalled: false
-      };
-    }
-  }
+      case 'phone':
+        if (!recruiterData.phoneNumber) {
+          return { result: { isValid: false, score: 0, error: 'Phone number not provided', source: 'validation' } };
+        }
+        // Offline parse: E.164, country and number type
+        return { context: { parsedPhone: parsePhone(recruiterData.phoneNumber) } };
 
-  /**
-   * Get company data from Clearbit
-   */
-  async getClearbitData(websiteUrl) {
-    const domain = new URL(websiteUrl).hostname;
-    
-    const response = await this.httpClient.get(
-      `${this.apis.clearbit.baseUrl}/domains/find`,
-      {
-        params: { domain },
-        headers: {
-          'Authorization': `Bearer ${this.apis.clearbit.key}`
+      case 'domain':
+        if (!recruiterData.websiteUrl || !validator.isURL(recruiterData.websiteUrl)) {
+          return { result: { isValid: false, score: 0, error: 'Invalid URL', source: 'validation' } };
         }
-      }
-    );
+        return { context: {} };
 
-    logger.logExternalApiCall('clearbit', 'domains/find', true, Date.now());
-    return response.data;
+      default:
+        return { context: {} };
+    }
   }
 
   /**
-   * Scrape basic website data
+   * Analysis that does not depend on which verifier answers: the email domain's SPF, DMARC, DKIM
+   * and MX provider (corporate domains only; free and disposable domains say nothing about the employer)
+   * @returns {Promise<Object|null>} - Details to merge into the result; never rejects
    */
-  async scrapeWebsiteData(websiteUrl) {
-    const response = await this.httpClient.get(websiteUrl, {
-      timeout: 5000, // Shorter timeout for web scraping
-      maxRedirects: 3
-    });
+  startEnrichment(check, context) {
+    if (check !== 'email' || context.classification.category !== 'corporate') {
+      return Promise.resolve(null);
+    }
 
-    const $ = cheerio.load(response.data);
-    
-    return {
-      title: $('title').text().trim(),
-      description: $('meta[name="description"]').attr('content') || '',
-      hasContactPage: $('a[href*="contact"]').length > 0,
-      hasAboutPage: $('a[href*="about"]').length > 0,
-      hasPrivacyPolicy: $('a[href*="privacy"]').length > 0,
-      hasTermsOfService: $('a[href*="terms"]').length > 0,
-      socialLinks: {
-        linkedin: $('a[href*="linkedin.com"]').length > 0,
-        twitter: $('a[href*="twitter.com"]').length > 0,
-        facebook: $('a[href*="facebook.com"]').length > 0
-      },
-      contentLength: response.data.length,
-      isSSL: websiteUrl.startsWith('https://'),
-      statusCode: response.status
-    };
+    return emailAuthentication.analyze(context.classification.domain, { bypassCache: context.bypassCache })
+      .then(authentication => ({ authentication }))
+      .catch(error => {
+        logger.warn('Email authentication analysis failed', { domain: context.classification.domain, error: error.message });
+        return { authentication: { error: error.message } };
+      });
   }
 
   /**
-   * Combine company verification data
+   * The recruiter fields a verifier declares as inputs
    */
-  combineCompanyData(companyName, clearbitData, webData) {
-    let score = 40; // Base score
-    let isValid = false;
-    const details = {};
-
-    // Process Clearbit data
-    if (clearbitData) {
-      isValid = true;
-      score = 85;
-      details.clearbit = {
-        name: clearbitData.name,
-        domain: clearbitData.domain,
-        founded: clearbitData.foundedYear,
-        employees: clearbitData.metrics?.employees,
-        industry: clearbitData.category?.industry
-      };
-      if (clearbitData.name && clearbitData.name.toLowerCase().includes(companyName.toLowerCase())) {
-        score += 10; // Name matches
-      }
-    }
-
-    // Process web scraping data
-    if (webData) {
-      isValid = true;
-      if (!clearbitData) score = 60; // Base score for web data only
-      
-      details.website = webData;
-      
-      // Score adjustments based on website quality
-      if (webData.hasContactPage) score += 5;
-      if (webData.hasAboutPage) score += 5;
-      if (webData.hasPrivacyPolicy) score += 3;
-      if (webData.isSSL) score += 5;
-      if (webData.socialLinks.linkedin) score += 8;
-      if (webData.socialLinks.twitter || webData.socialLinks.facebook) score += 3;
-      if (webData.contentLength > 5000) score += 5; // Substantial content
-    }
-
-    return {
-      isValid,
-      score: Math.min(100, score),
-      provider: clearbitData ? 'clearbit+scraping' : 'scraping',
-      details,
-      socialPresence: {
-        linkedin: webData?.socialLinks?.linkedin || false,
-        twitter: webData?.socialLinks?.twitter || false,
-        facebook: webData?.socialLinks?.facebook || false
-      },
-      apiCalled: !!clearbitData,
-      source: clearbitData ? 'clearbit' : 'scraping'
-    };
+  pickInputs(verifier, recruiterData) {
+    return Object.fromEntries(verifier.inputs.map(field => [field, recruiterData[field]]));
   }
 
   /**
-   * Verify domain information
+   * Reject when a verifier runs longer than its timeout allows, retries included
    */
-  async verifyDomain(websiteUrl) {
-    try {
-      if (!websiteUrl || !validator.isURL(websiteUrl)) {
-        return {
-          isValid: false,
-          score: 0,
-          error: 'Invalid URL',
-          source: 'validation'
-        };
-      }
-
-      const url = new URL(websiteUrl);
-      const domain = url.hostname;
-
-      // DNS and basic checks
-      const dnsResult = await this.checkDNS(domain);
-      
-      let score = dnsResult.isValid ? 70 : 20;
-      const details = { dns: dnsResult };
-
-      // SSL check
-      if (url.protocol === 'https:') {
-        score += 10;
-        details.ssl = true;
-      } else {
-        details.ssl = false;
-      }
-
-      // Domain age estimation (simplified)
-      // In a real implementation, you might use a domain age API
-      const domainParts = domain.split('.');
-      if (domainParts.length <= 2) {
-        score += 5; // Simpler domains might be more established
-      }
-
-      return {
-        isValid: dnsResult.isValid,
-        isSSL: url.protocol === 'https:',
-        score: Math.min(100, score),
-        domain,
-        details,
-        source: 'dns'
-      };
-
-    } catch (error) {
-      logger.error('Domain verification failed', { error: error.message });
-      return {
-        isValid: false,
-        score: 10,
-        error: error.message,
-        source: 'verification'
-      };
-    }
+  withTimeout(promise, verifier) {
+    const deadline = providerGuard.getDeadline(verifier.timeout) + (verifier.extraTime || 0);
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`${verifier.name} verifier timed out after ${deadline}ms`)),
+        deadline
+      );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
   }
 
   /**
-   * Check DNS records for a domain
+   * Registered verifiers and the chain each check runs, for the system config endpoint
    */
-  async checkDNS(domain) {
-    try {
-      const [mxRecords, aRecords] = await Promise.allSettled([
-        dns.resolveMx(domain),
-        dns.resolve4(domain)
-      ]);
-
-      return {
-        isValid: mxRecords.status === 'fulfilled' || aRecords.status === 'fulfilled',
-        hasMX: mxRecords.status === 'fulfilled',
-        hasA: aRecords.status === 'fulfilled',
-        mxRecords: mxRecords.status === 'fulfilled' ? mxRecords.value : [],
-        aRecords: aRecords.status === 'fulfilled' ? aRecords.value : []
-      };
-    } catch (error) {
-      return {
-        isValid: false,
-        error: error.message
-      };
-    }
+  getConfig() {
+    return {
+      chains: this.chains,
+      verifiers: [...this.verifiers.values()].map(verifier => verifier.describe())
+    };
   }
 
   /**
@@ -553,55 +305,41 @@ class ExternalVerificationService {
   }
 
   /**
-   * Test all external API connections
+   * Configuration, circuit and quota state of every verifier that calls a paid API
+   * @returns {Object} - name => { configured, available, circuit, quota }
+   */
+  async getProviderStatus() {
+    const status = {};
+
+    for (const [name, verifier] of this.verifiers) {
+      if (!verifier.requiresApiKey) continue;
+
+      const { circuit, quota } = await providerGuard.getStatus(name);
+      status[name] = {
+        configured: verifier.isConfigured(),
+        available: verifier.isConfigured() && circuit.state !== 'open' && !quota.exceeded,
+        circuit,
+        quota
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Test all external API connections. Tests bypass the circuit breakers; a successful one closes an open circuit.
    */
   async testConnections() {
     const results = {};
 
-    // Test Hunter.io
-    if (this.apis.hunter.key) {
-      try {
-        await this.httpClient.get(`${this.apis.hunter.baseUrl}/account`, {
-          params: { api_key: this.apis.hunter.key }
-        });
-        results.hunter = { status: 'success', message: 'Connected successfully' };
-      } catch (error) {
-        results.hunter = { status: 'error', message: error.message };
-      }
-    } else {
-      results.hunter = { status: 'not_configured', message: 'API key not provided' };
-    }
-
-    // Test Numverify
-    if (this.apis.numverify.key) {
-      try {
-        await this.httpClient.get(`${this.apis.numverify.baseUrl}/validate`, {
-          params: { 
-            access_key: this.apis.numverify.key,
-            number: '+1234567890' // Test number
-          }
-        });
-        results.numverify = { status: 'success', message: 'Connected successfully' };
-      } catch (error) {
-        results.numverify = { status: 'error', message: error.message };
-      }
-    } else {
-      results.numverify = { status: 'not_configured', message: 'API key not provided' };
-    }
+    for (const [name, verifier] of this.verifiers) {
+      if (!verifier.requiresApiKey) continue;
 
-    // Test Clearbit
-    if (this.apis.clearbit.key) {
-      try {
-        await this.httpClient.get(`${this.apis.clearbit.baseUrl}/domains/find`, {
-          params: { domain: 'clearbit.com' },
-          headers: { 'Authorization': `Bearer ${this.apis.clearbit.key}` }
-        });
-        results.clearbit = { status: 'success', message: 'Connected successfully' };
-      } catch (error) {
-        results.clearbit = { status: 'error', message: error.message };
+      const result = await verifier.testConnection();
+      if (result.status === 'success' && verifier.isConfigured()) {
+        providerGuard.getBreaker(name).recordSuccess();
       }
-    } else {
-      results.clearbit = { status: 'not_configured', message: 'API key not provided' };
+      results[name] = { ...result, ...(await providerGuard.getStatus(name)) };
     }
 
     return results;
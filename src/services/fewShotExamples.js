@@ -0,0 +1,213 @@
+const { Op } = require('sequelize');
+const Recruiter = require('../models/Recruiter');
+const VerificationResult = require('../models/VerificationResult');
+const emailClassifier = require('./emailClassifier');
+const promptInjectionDetector = require('./promptInjectionDetector');
+const { getRegistrableDomain, getHostFromUrl } = require('../utils/domain');
+const { REVIEW_LABELS, getReviewLabel } = require('../utils/reviewLabels');
+const logger = require('../utils/logger');
+
+// Share of the similarity score contributed by each signal
+const SIMILARITY_WEIGHTS = {
+  industry: 0.4,
+  emailCategory: 0.3,
+  flags: 0.3
+};
+
+// Longest role or industry text kept in an example
+const MAX_FIELD_LENGTH = 60;
+
+/**
+ * Retrieves past recruiters with reviewer-confirmed outcomes that resemble the recruiter being
+ * scored, and reduces them to anonymized examples for the LLM prompt.
+ */
+class FewShotExampleService {
+  constructor() {
+    // Examples per prompt; 0 disables few-shot prompting
+    this.maxExamples = parseInt(process.env.LLM_FEW_SHOT_EXAMPLES) || 0;
+    this.maxChars = parseInt(process.env.LLM_FEW_SHOT_MAX_CHARS) || 2000;
+    const minSimilarity = parseFloat(process.env.LLM_FEW_SHOT_MIN_SIMILARITY);
+    this.minSimilarity = Number.isNaN(minSimilarity) ? 0.3 : minSimilarity;
+    this.poolSize = parseInt(process.env.LLM_FEW_SHOT_POOL_SIZE) || 500;
+    this.refreshInterval = (parseInt(process.env.LLM_FEW_SHOT_REFRESH_SECONDS) || 600) * 1000;
+
+    // Reviewed candidates, reloaded after refreshInterval or when a review is recorded
+    this.pool = null;
+    this.loadedAt = 0;
+  }
+
+  isEnabled() {
+    return this.maxExamples > 0;
+  }
+
+  /**
+   * Most similar reviewed recruiters for the prompt, within the example and size limits
+   * @param {Object} recruiterData - Recruiter being scored (never selected as its own example)
+   * @param {Object} ruleBasedResults - Its rule-based results, for flag overlap
+   * @returns {Object[]} - { verificationId, recruiterId, label, similarity, example }
+   */
+  async selectExamples(recruiterData, ruleBasedResults = null) {
+    if (!this.isEnabled()) return [];
+
+    const pool = await this.getPool();
+    const profile = this.buildProfile(recruiterData, ruleBasedResults?.details?.flags);
+
+    const ranked = pool
+      .filter(candidate => candidate.recruiterId !== recruiterData.id)
+      .map(candidate => ({ ...candidate, similarity: this.similarity(profile, candidate.profile) }))
+      .filter(candidate => candidate.similarity >= this.minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity || b.reviewedAt - a.reviewedAt);
+
+    const selected = [];
+    let chars = 0;
+    for (const candidate of ranked) {
+      if (selected.length >= this.maxExamples) break;
+
+      const size = JSON.stringify(candidate.example).length;
+      if (chars + size > this.maxChars) continue;
+
+      chars += size;
+      selected.push({
+        verificationId: candidate.verificationId,
+        recruiterId: candidate.recruiterId,
+        label: candidate.label,
+        similarity: Math.round(candidate.similarity * 100) / 100,
+        example: candidate.example
+      });
+    }
+
+    return selected;
+  }
+
+  /**
+   * Cached candidate pool, reloaded when stale
+   */
+  async getPool() {
+    if (!this.pool || Date.now() - this.loadedAt > this.refreshInterval) {
+      this.pool = await this.loadPool();
+      this.loadedAt = Date.now();
+    }
+    return this.pool;
+  }
+
+  /**
+   * Force a reload on the next lookup (e.g. after a reviewer changes a status)
+   */
+  invalidate() {
+    this.pool = null;
+  }
+
+  /**
+   * Latest reviewed result per recruiter whose status is a final decision
+   */
+  async loadPool() {
+    const results = await VerificationResult.findAll({
+      where: { reviewedAt: { [Op.ne]: null } },
+      include: [{
+        model: Recruiter,
+        as: 'recruiter',
+        where: { status: Object.keys(REVIEW_LABELS) },
+        attributes: { exclude: ['password'] }
+      }],
+      order: [['reviewed_at', 'DESC']],
+      limit: this.poolSize
+    });
+
+    const latest = new Map();
+    for (const result of results) {
+      if (result.ruleBasedScore?.details?.error || latest.has(result.recruiterId)) continue;
+
+      const recruiter = result.recruiter.toJSON();
+      const label = getReviewLabel(result);
+      const flags = result.ruleBasedScore?.details?.flags;
+
+      latest.set(result.recruiterId, {
+        verificationId: result.id,
+        recruiterId: result.recruiterId,
+        reviewedAt: result.reviewedAt,
+        label,
+        profile: this.buildProfile(recruiter, flags),
+        example: this.anonymize(recruiter, result, label)
+      });
+    }
+
+    logger.info('Few-shot example pool loaded', { candidates: latest.size });
+    return [...latest.values()];
+  }
+
+  /**
+   * Signals compared between recruiters
+   */
+  buildProfile(data, flags = []) {
+    return {
+      industry: data.industry ? String(data.industry).trim().toLowerCase() : null,
+      emailCategory: emailClassifier.classify(data.businessEmail).category,
+      flags: new Set((flags || []).map(flag => flag.type).filter(Boolean))
+    };
+  }
+
+  /**
+   * Weighted match on industry, email category and Jaccard overlap of rule flags, from 0 to 1
+   */
+  similarity(a, b) {
+    const union = new Set([...a.flags, ...b.flags]);
+    const shared = [...a.flags].filter(flag => b.flags.has(flag)).length;
+    // Two recruiters without flags are alike in that respect
+    const flagOverlap = union.size === 0 ? 1 : shared / union.size;
+
+    return (a.industry && a.industry === b.industry ? SIMILARITY_WEIGHTS.industry : 0)
+      + (a.emailCategory === b.emailCategory ? SIMILARITY_WEIGHTS.emailCategory : 0)
+      + flagOverlap * SIMILARITY_WEIGHTS.flags;
+  }
+
+  /**
+   * Example without personal data: no name, company, email address, phone number or URL,
+   * only their shape, plus the stored rule outcome and the reviewer's label
+   */
+  anonymize(recruiter, result, label) {
+    const email = emailClassifier.classify(recruiter.businessEmail);
+    const websiteHost = recruiter.websiteUrl ? getHostFromUrl(recruiter.websiteUrl) : null;
+
+    let website = 'none';
+    if (websiteHost) {
+      website = email.isValid && getRegistrableDomain(websiteHost) === email.registrableDomain
+        ? 'matches_email_domain'
+        : 'different_domain';
+    }
+
+    return {
+      outcome: label,
+      industry: this.redactField(recruiter.industry),
+      role: this.redactField(recruiter.role),
+      emailType: email.category,
+      roleMailbox: email.isRole,
+      website,
+      phoneProvided: Boolean(recruiter.phoneNumber),
+      ruleScore: result.ruleBasedScore?.score ?? null,
+      ruleFlags: [...new Set((result.ruleBasedScore?.details?.flags || []).map(flag => flag.type))]
+    };
+  }
+
+  /**
+   * Redacted, truncated free-text field (role, industry); values carrying injection markers are left out entirely
+   */
+  redactField(value) {
+    if (!value) return null;
+    if (promptInjectionDetector.scanText(value).length > 0) return '[removed]';
+    return this.redactText(value).slice(0, MAX_FIELD_LENGTH);
+  }
+
+  /**
+   * Replace email addresses, URLs and phone-like digit runs in free text
+   */
+  redactText(text) {
+    return String(text)
+      .replace(/[^\s@]+@[^\s@]+/g, '[email]')
+      .replace(/\b(?:https?:\/\/|www\.)\S+/gi, '[url]')
+      .replace(/\+?\d[\d\s().-]{5,}\d/g, '[phone]')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+}
+
+module.exports = new FewShotExampleService();
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { stableStringify } = require('../utils/json');
+const logger = require('../utils/logger');
+
+const MODES = ['off', 'record', 'replay'];
+const REDACTED = '[REDACTED]';
+
+// Request fields, headers and query parameters holding credentials
+const SECRET_FIELD_PATTERN = /^(?:authorization|x-api-key|api[-_]?key|apikey|key|access[-_]?key|access[-_]?token|token|secret|password)$/i;
+const SECRET_QUERY_PATTERN = /([?&](?:api[-_]?key|apikey|key|access[-_]?key|access[-_]?token|token)=)[^&#\s"']+/gi;
+// Environment variables whose values never belong in a fixture
+const SECRET_ENV_PATTERN = /(?:API_KEY|TOKEN|SECRET|PASSWORD|_PASS)$/;
+
+/**
+ * Record/replay layer for everything that leaves the process: HTTP (axios), DNS lookups,
+ * TLS handshakes, WHOIS queries and LLM completions.
+ *
+ * FIXTURE_MODE=record performs each call and writes its redacted request and result
+ * (or error) to FIXTURE_DIR/<kind>/<hash>.json; FIXTURE_MODE=replay serves the stored
+ * result and never touches the network (a call without a fixture fails with FIXTURE_MISSING).
+ * Fixtures are keyed by the redacted request, so they replay with any API key.
+ */
+class FixtureRecorderService {
+  constructor() {
+    const mode = (process.env.FIXTURE_MODE || 'off').toLowerCase();
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown FIXTURE_MODE "${mode}". Available: ${MODES.join(', ')}`);
+    }
+    this.mode = mode;
+    this.directory = path.resolve(process.env.FIXTURE_DIR || path.join(__dirname, '..', '..', 'fixtures'));
+    this.stats = { recorded: 0, replayed: 0, missing: 0 };
+
+    if (this.mode !== 'off') {
+      logger.info('External call fixtures enabled', { mode: this.mode, directory: this.directory });
+    }
+  }
+
+  isActive() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Run an outgoing call through the fixture layer
+   * @param {string} kind - http, dns, tls, whois or llm (fixture subdirectory)
+   * @param {Object} request - Everything that identifies the call (redacted before hashing and storing)
+   * @param {Function} perform - () => Promise, the real call; its result must be JSON-serializable
+   * @returns {Promise<*>} - The call's result, live or replayed; recorded errors are rethrown
+   */
+  async wrap(kind, request, perform) {
+    if (this.mode === 'off') return perform();
+
+    const redactedRequest = this.redact(request);
+    const key = crypto.createHash('sha256').update(stableStringify({ kind, request: redactedRequest })).digest('hex').slice(0, 32);
+    const filePath = path.join(this.directory, kind, `${key}.json`);
+
+    if (this.mode === 'replay') {
+      return this.replay(filePath, kind, redactedRequest);
+    }
+
+    let outcome;
+    try {
+      outcome = { result: await perform() };
+    } catch (error) {
+      outcome = { error: this.serializeError(error) };
+    }
+
+    this.write(filePath, { kind, request: redactedRequest, ...outcome, recordedAt: new Date().toISOString() });
+    this.stats.recorded++;
+
+    if (outcome.error) throw this.deserializeError(outcome.error);
+    return outcome.result;
+  }
+
+  replay(filePath, kind, request) {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      this.stats.missing++;
+      logger.warn('No fixture for external call', { kind, request, file: filePath });
+      const missing = new Error(`No ${kind} fixture for ${JSON.stringify(request).slice(0, 200)}`);
+      missing.code = 'FIXTURE_MISSING';
+      throw missing;
+    }
+
+    this.stats.replayed++;
+    if (fixture.error) throw this.deserializeError(fixture.error);
+    return fixture.result;
+  }
+
+  write(filePath, fixture) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    // Secret values can also appear in responses (e.g. an error message quoting the request URL)
+    fs.writeFileSync(filePath, `${this.scrubSecrets(JSON.stringify(fixture, null, 2))}\n`);
+  }
+
+  /**
+   * Copy with credential fields and query parameters replaced
+   */
+  redact(value) {
+    if (typeof value === 'string') return this.scrubSecrets(value.replace(SECRET_QUERY_PATTERN, `$1${REDACTED}`));
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([field, item]) => [
+        field,
+        SECRET_FIELD_PATTERN.test(field) && item ? REDACTED : this.redact(item)
+      ]));
+    }
+    return value;
+  }
+
+  /**
+   * Replace the values of secret environment variables wherever they appear
+   */
+  scrubSecrets(text) {
+    return Object.entries(process.env)
+      .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= 8)
+      .reduce((scrubbed, [, value]) => scrubbed.split(value).join(REDACTED), text);
+  }
+
+  serializeError(error) {
+    return {
+      name: error.name,
+      message: error.message,
+      code: error.code || null,
+      isAxiosError: Boolean(error.isAxiosError),
+      response: error.response
+        ? { status: error.response.status, headers: this.plainHeaders(error.response.headers), data: error.response.data }
+        : null
+    };
+  }
+
+  /**
+   * Error with the recorded message, code and HTTP response, for callers that inspect them
+   * (an AxiosError again when one was recorded, so axios.isAxiosError() checks still hold)
+   */
+  deserializeError(recorded) {
+    if (recorded.isAxiosError) {
+      return new axios.AxiosError(recorded.message, recorded.code || undefined, undefined, undefined, recorded.response || undefined);
+    }
+
+    const error = new Error(recorded.message);
+    error.name = recorded.name || 'Error';
+    if (recorded.code) error.code = recorded.code;
+    if (recorded.response) error.response = recorded.response;
+    return error;
+  }
+
+  plainHeaders(headers) {
+    if (!headers) return {};
+    return typeof headers.toJSON === 'function' ? headers.toJSON() : { ...headers };
+  }
+
+  /**
+   * Route an axios instance's requests through the fixture layer (a no-op while FIXTURE_MODE=off)
+   * @returns {Object} - The instance
+   */
+  instrumentAxios(instance) {
+    instance.defaults.adapter = (config) => this.axiosAdapter(config);
+    return instance;
+  }
+
+  async axiosAdapter(config) {
+    const adapter = axios.getAdapter(axios.defaults.adapter);
+    if (this.mode === 'off') return adapter(config);
+
+    const request = {
+      method: (config.method || 'get').toUpperCase(),
+      url: axios.getUri(config),
+      data: config.data ?? null
+    };
+
+    // Responses are stored before status validation, so HTTP errors replay as responses too
+    const response = await this.wrap('http', request, async () => {
+      try {
+        return this.pickResponse(await adapter(config));
+      } catch (error) {
+        if (error.response) return this.pickResponse(error.response);
+        throw error;
+      }
+    });
+
+    const full = { ...response, config, request: null };
+    if (!config.validateStatus || config.validateStatus(full.status)) return full;
+    throw new axios.AxiosError(
+      `Request failed with status code ${full.status}`,
+      full.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      config,
+      null,
+      full
+    );
+  }
+
+  pickResponse(response) {
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: this.plainHeaders(response.headers),
+      data: response.data
+    };
+  }
+
+  getStats() {
+    return { mode: this.mode, directory: this.directory, ...this.stats };
+  }
+}
+
+module.exports = new FixtureRecorderService();
@@ -0,0 +1,106 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Interface every LLM provider implements. Subclasses override generate() and,
+ * where the backend supports it, listModels().
+ */
+class BaseLLMProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Provider name (gemini, openai, local, ...)
+   * @param {string} config.model - Default model id
+   * @param {number} config.temperature
+   * @param {number} config.maxTokens - Max completion tokens
+   * @param {number} config.timeout - Request timeout in ms
+   */
+  constructor(config = {}) {
+    this.name = config.name;
+    this.model = config.model;
+    this.temperature = config.temperature;
+    this.maxTokens = config.maxTokens;
+    this.timeout = config.timeout;
+  }
+
+  /**
+   * Whether the provider has the credentials/endpoint it needs
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Generate a completion for a prompt
+   * @param {string} prompt
+   * @param {Object} options - Per-call overrides: model, temperature, maxTokens
+   * @returns {Object} - { text, model, tokenUsage: { promptTokens, completionTokens, totalTokens } }
+   */
+  async generate(prompt, options = {}) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Models the provider can serve
+   * @returns {Object[]} - [{ id, description, recommended }]
+   */
+  async listModels() {
+    return [{ id: this.model, description: `Configured ${this.name} model`, recommended: true }];
+  }
+
+  /**
+   * Send a minimal prompt to confirm credentials and connectivity
+   */
+  async testConnection() {
+    if (!this.isConfigured()) {
+      return {
+        status: 'not_configured',
+        success: false,
+        provider: this.name,
+        model: this.model,
+        message: `${this.name} provider is not configured`
+      };
+    }
+
+    try {
+      const result = await this.generate('Reply with just "OK" to confirm connection.', {
+        temperature: 0,
+        maxTokens: 10
+      });
+      const response = result.text.trim();
+
+      logger.info('LLM connection test successful', { provider: this.name, model: result.model, response });
+      return {
+        status: 'success',
+        success: true,
+        provider: this.name,
+        model: result.model,
+        response,
+        message: 'Connected successfully'
+      };
+    } catch (error) {
+      logger.error('LLM connection test failed', { provider: this.name, error: error.message });
+      return {
+        status: 'error',
+        success: false,
+        provider: this.name,
+        model: this.model,
+        error: error.message,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Token usage in the shape stored on llmScore.tokenUsage
+   */
+  buildTokenUsage(promptTokens, completionTokens, totalTokens) {
+    const prompt = promptTokens || 0;
+    const completion = completionTokens || 0;
+    return {
+      promptTokens: prompt,
+      completionTokens: completion,
+      totalTokens: totalTokens || prompt + completion
+    };
+  }
+}
+
+module.exports = BaseLLMProvider;
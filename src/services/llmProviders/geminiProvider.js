@@ -0,0 +1,90 @@
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const BaseLLMProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+
+// Used when the models endpoint cannot be reached
+const STATIC_MODELS = [
+  {
+    id: 'gemini-pro',
+    description: 'Best model for text-only prompts',
+    maxTokens: 32768,
+    recommended: true
+  },
+  {
+    id: 'gemini-pro-vision',
+    description: 'Best model for text and image prompts',
+    maxTokens: 16384,
+    recommended: false
+  }
+];
+
+class GeminiProvider extends BaseLLMProvider {
+  constructor(config = {}) {
+    super({ name: 'gemini', ...config });
+    this.apiKey = config.apiKey;
+    this.baseUrl = config.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+    this.genAI = new GoogleGenerativeAI(this.apiKey);
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async generate(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Gemini API key not configured');
+    }
+
+    const modelId = options.model || this.model;
+    const model = this.genAI.getGenerativeModel({
+      model: modelId,
+      generationConfig: {
+        temperature: options.temperature ?? this.temperature,
+        maxOutputTokens: options.maxTokens ?? this.maxTokens
+      }
+    }, { timeout: this.timeout });
+
+    const result = await model.generateContent(prompt);
+    const response = result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      model: modelId,
+      tokenUsage: this.buildTokenUsage(
+        usage?.promptTokenCount,
+        usage?.candidatesTokenCount,
+        usage?.totalTokenCount
+      )
+    };
+  }
+
+  async listModels() {
+    if (!this.isConfigured()) return STATIC_MODELS;
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/models`, {
+        params: { key: this.apiKey },
+        timeout: this.timeout
+      });
+
+      return (response.data.models || [])
+        .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+        .map(model => {
+          const id = model.name.replace(/^models\//, '');
+          return {
+            id,
+            description: model.description || model.displayName || '',
+            maxTokens: model.inputTokenLimit,
+            recommended: id === this.model
+          };
+        });
+    } catch (error) {
+      logger.warn('Failed to list Gemini models, using static list', { error: error.message });
+      return STATIC_MODELS;
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,74 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const MockLLMProvider = require('./mockProvider');
+
+// Settings shared by every provider
+const commonConfig = () => ({
+  temperature: parseFloat(process.env.LLM_TEMPERATURE || process.env.GEMINI_TEMPERATURE) || 0.3,
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS || process.env.GEMINI_MAX_TOKENS) || 500,
+  timeout: parseInt(process.env.LLM_TIMEOUT) || 30000
+});
+
+// Provider name -> factory reading its configuration from the environment;
+// overrides (e.g. { model }) take precedence
+const providers = {
+  gemini: (overrides = {}) => new GeminiProvider({
+    ...commonConfig(),
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-pro',
+    ...overrides
+  }),
+
+  openai: (overrides = {}) => new OpenAICompatibleProvider({
+    ...commonConfig(),
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    ...overrides
+  }),
+
+  local: (overrides = {}) => new OpenAICompatibleProvider({
+    ...commonConfig(),
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    requiresApiKey: false,
+    ...overrides
+  }),
+
+  mock: (overrides = {}) => new MockLLMProvider({
+    ...commonConfig(),
+    scriptPath: process.env.MOCK_LLM_SCRIPT,
+    ...overrides
+  })
+};
+
+/**
+ * Register an additional provider factory
+ */
+const registerProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+/**
+ * Create the provider named by LLM_PROVIDER (default: gemini, or mock under NODE_ENV=test)
+ * @param {string} name - Provider name
+ * @param {Object} overrides - Config overriding the environment, e.g. { model }
+ */
+const createProvider = (name = process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'gemini'), overrides = {}) => {
+  const factory = providers[name.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return factory(overrides);
+};
+
+const getProviderNames = () => Object.keys(providers);
+
+module.exports = {
+  createProvider,
+  registerProvider,
+  getProviderNames
+};
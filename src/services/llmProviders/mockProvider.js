@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const BaseLLMProvider = require('./baseProvider');
+const consistencyAnalyzer = require('../consistencyAnalyzer');
+const emailClassifier = require('../emailClassifier');
+
+const FIXTURES = require('./fixtures/mockResponses.json');
+
+// Words that make the heuristic treat a company name or role as spam
+const SPAM_KEYWORDS = ['fake', 'scam', 'test', 'xxx', 'temp', 'sample', 'demo', 'placeholder', 'crypto', 'easy money'];
+
+/**
+ * Offline provider for tests, demos and development without API keys.
+ *
+ * Responses are deterministic: either a scripted response matched against the
+ * recruiter or prompt, or a heuristic assessment in the schema
+ * LLMScoringService.normalizeResponse() expects.
+ */
+class MockLLMProvider extends BaseLLMProvider {
+  /**
+   * @param {Object} config
+   * @param {Object[]} config.script - Scripted responses, see setScript()
+   * @param {string} config.scriptPath - JSON file with scripted responses (MOCK_LLM_SCRIPT)
+   */
+  constructor(config = {}) {
+    super({ name: 'mock', model: 'mock-heuristic-v1', ...config });
+    this.fixtures = FIXTURES;
+    this.setScript(config.script || (config.scriptPath ? this.loadScript(config.scriptPath) : []));
+  }
+
+  /**
+   * Read a script file: an array of entries, or { responses: [...] }
+   */
+  loadScript(scriptPath) {
+    const script = JSON.parse(fs.readFileSync(path.resolve(scriptPath), 'utf8'));
+    return Array.isArray(script) ? script : script.responses || [];
+  }
+
+  /**
+   * Replace the scripted responses. Entries are tried in order:
+   *   { match: { businessEmail: '/@spam\\./i', prompt: 'substring' },
+   *     respond: 'malformed_json' | { json } | { text } | { error, delayMs },
+   *     times: 1 }
+   * A match value is an exact (case-insensitive) value or a "/regex/flags" string;
+   * "prompt" matches a substring of the prompt. Entries without match apply to every call,
+   * and entries with times are used up after that many calls.
+   */
+  setScript(script = []) {
+    this.script = script.map(entry => ({ ...entry, remaining: entry.times ?? Infinity }));
+    this.calls = [];
+  }
+
+  /**
+   * Drop scripted responses and recorded calls
+   */
+  reset() {
+    this.setScript([]);
+  }
+
+  async generate(prompt, options = {}) {
+    const recruiterData = options.context?.recruiterData || {};
+    const entry = this.findScriptEntry(prompt, recruiterData);
+
+    this.calls.push({ prompt, options, scripted: !!entry });
+
+    let text;
+    if (entry) {
+      entry.remaining -= 1;
+      text = await this.resolveResponse(entry.respond);
+    } else {
+      text = JSON.stringify(this.assess(recruiterData, options.context?.ruleBasedResults));
+    }
+
+    return {
+      text,
+      model: options.model || this.model,
+      // Rough approximation: ~4 characters per token
+      tokenUsage: this.buildTokenUsage(Math.ceil(prompt.length / 4), Math.ceil(text.length / 4))
+    };
+  }
+
+  async listModels() {
+    return [{ id: this.model, description: 'Deterministic offline heuristics', recommended: true }];
+  }
+
+  /**
+   * First scripted entry that applies to this call
+   */
+  findScriptEntry(prompt, recruiterData) {
+    return this.script.find(entry => {
+      if (entry.remaining <= 0) return false;
+
+      return Object.entries(entry.match || {}).every(([field, expected]) => {
+        if (field === 'prompt') return prompt.includes(expected);
+        return this.matchValue(recruiterData[field], expected);
+      });
+    });
+  }
+
+  matchValue(actual, expected) {
+    if (actual === undefined || actual === null) return false;
+
+    const regex = typeof expected === 'string' && expected.match(/^\/(.+)\/([a-z]*)$/);
+    if (regex) return new RegExp(regex[1], regex[2]).test(String(actual));
+
+    return String(actual).toLowerCase() === String(expected).toLowerCase();
+  }
+
+  /**
+   * Turn a scripted response (fixture name, { json }, { text } or { error }) into completion text
+   */
+  async resolveResponse(respond) {
+    const response = typeof respond === 'string' ? this.fixtures[respond] : respond;
+    if (!response) {
+      throw new Error(`Unknown mock LLM fixture "${respond}"`);
+    }
+
+    if (response.error) {
+      await this.simulateError(response);
+    }
+
+    return response.json !== undefined ? JSON.stringify(response.json) : String(response.text ?? '');
+  }
+
+  /**
+   * Fail the way a real provider would, after the configured delay
+   */
+  async simulateError(response) {
+    if (response.error === 'timeout') {
+      const delay = Math.min(response.delayMs ?? this.timeout, this.timeout || Infinity);
+      await new Promise(resolve => setTimeout(resolve, delay));
+
+      const error = new Error(`timeout of ${this.timeout}ms exceeded`);
+      error.code = 'ETIMEDOUT';
+      throw error;
+    }
+
+    if (response.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, response.delayMs));
+    }
+
+    if (response.error === 'rate_limited') {
+      const error = new Error('Request failed with status code 429');
+      error.status = 429;
+      throw error;
+    }
+
+    throw new Error(response.error);
+  }
+
+  /**
+   * Heuristic assessment: starts from the rule-based score when available and adjusts
+   * for spam keywords, free/disposable email and domain consistency
+   */
+  assess(recruiterData, ruleBasedResults) {
+    let score = typeof ruleBasedResults?.score === 'number' ? ruleBasedResults.score : 60;
+    const redFlags = [];
+    const positiveIndicators = [];
+
+    const text = `${recruiterData.companyName || ''} ${recruiterData.role || ''}`.toLowerCase();
+    const keyword = SPAM_KEYWORDS.find(word => text.includes(word));
+    if (keyword) {
+      score -= 25;
+      redFlags.push(`Suspicious keyword "${keyword}" in company name or role`);
+    }
+
+    const email = emailClassifier.classify(recruiterData.businessEmail);
+    if (email.category === 'invalid') {
+      score -= 20;
+      redFlags.push('Invalid business email');
+    } else if (email.category === 'disposable') {
+      score -= 30;
+      redFlags.push('Disposable email address');
+    } else if (email.category === 'free') {
+      score -= 10;
+      redFlags.push('Free email provider instead of a business domain');
+    } else {
+      score += 5;
+      positiveIndicators.push('Corporate email domain');
+    }
+
+    if (!recruiterData.websiteUrl) {
+      score -= 10;
+      redFlags.push('No company website');
+    }
+
+    const consistency = consistencyAnalyzer.analyze(recruiterData);
+    if (consistency.emailWebsiteMatch === true) {
+      score += 10;
+      positiveIndicators.push('Email domain matches company website');
+    } else if (consistency.emailWebsiteMatch === false) {
+      score -= 10;
+      redFlags.push('Email domain does not match company website');
+    }
+    if (consistency.companyDomainMatch === true) {
+      score += 5;
+      positiveIndicators.push('Company name matches domain');
+    }
+
+    score = Math.max(0, Math.min(100, Math.round(score)));
+    const confidence = Math.min(95, Math.round(60 + Math.abs(score - 50) / 2));
+    const recommendation = score >= 80 ? 'approve' : score < 40 ? 'flag' : 'manual_review';
+
+    return {
+      score,
+      confidence,
+      reasoning: `Offline heuristic assessment: ${redFlags.length} concern(s), ${positiveIndicators.length} positive indicator(s).`,
+      redFlags,
+      positiveIndicators,
+      recommendation
+    };
+  }
+}
+
+module.exports = MockLLMProvider;
@@ -0,0 +1,67 @@
+const axios = require('axios');
+const BaseLLMProvider = require('./baseProvider');
+
+/**
+ * Chat Completions API: OpenAI itself, hosted OpenAI-compatible endpoints,
+ * and self-hosted servers (Ollama, vLLM, llama.cpp, LM Studio)
+ */
+class OpenAICompatibleProvider extends BaseLLMProvider {
+  constructor(config = {}) {
+    super({ name: 'openai', ...config });
+    this.apiKey = config.apiKey;
+    this.baseUrl = (config.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    // Self-hosted servers usually accept unauthenticated requests
+    this.requiresApiKey = config.requiresApiKey !== false;
+
+    this.httpClient = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}
+    });
+  }
+
+  isConfigured() {
+    return !this.requiresApiKey || !!this.apiKey;
+  }
+
+  async generate(prompt, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error(`${this.name} API key not configured`);
+    }
+
+    const response = await this.httpClient.post('/chat/completions', {
+      model: options.model || this.model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature: options.temperature ?? this.temperature,
+      max_tokens: options.maxTokens ?? this.maxTokens
+    });
+
+    const data = response.data;
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error(`Empty response from ${this.name}`);
+    }
+
+    return {
+      text: choice.message.content || '',
+      model: data.model || options.model || this.model,
+      tokenUsage: this.buildTokenUsage(
+        data.usage?.prompt_tokens,
+        data.usage?.completion_tokens,
+        data.usage?.total_tokens
+      )
+    };
+  }
+
+  async listModels() {
+    const response = await this.httpClient.get('/models');
+
+    return (response.data.data || []).map(model => ({
+      id: model.id,
+      description: model.owned_by ? `Owned by ${model.owned_by}` : '',
+      recommended: model.id === this.model
+    }));
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,88 @@
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Recruiter fields interpolated into the LLM prompt
+const LLM_INPUT_FIELDS = ['fullName', 'companyName', 'websiteUrl', 'businessEmail', 'phoneNumber', 'role', 'industry'];
+
+// Zero-width and bidi control characters used to split trigger words
+const INVISIBLE_CHARS = /[\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+class PromptInjectionDetectorService {
+  constructor() {
+    this.loadMarkers(process.env.PROMPT_INJECTION_PATTERNS_PATH || path.join(__dirname, '..', 'config', 'promptInjection.json'));
+  }
+
+  /**
+   * Load and compile injection markers
+   */
+  loadMarkers(filePath) {
+    const config = require(path.resolve(filePath));
+    this.markers = config.markers.map(marker => ({
+      ...marker,
+      regex: new RegExp(marker.pattern, 'im')
+    }));
+
+    logger.info('Prompt injection markers loaded', { markers: this.markers.length });
+  }
+
+  /**
+   * Fold text so obfuscated instructions match: NFKC (fullwidth letters), no invisible characters,
+   * collapsed horizontal whitespace
+   */
+  normalize(text) {
+    return String(text)
+      .normalize('NFKC')
+      .replace(INVISIBLE_CHARS, '')
+      .replace(/[^\S\n]+/g, ' ');
+  }
+
+  /**
+   * Markers found in a single value
+   * @returns {Object[]} - [{ marker, description, excerpt }]
+   */
+  scanText(text) {
+    if (text === null || text === undefined || text === '') return [];
+
+    const normalized = this.normalize(text);
+    return this.markers
+      .map(marker => {
+        const match = normalized.match(marker.regex);
+        return match && {
+          marker: marker.id,
+          description: marker.description,
+          excerpt: match[0].trim().slice(0, 80)
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Scan every recruiter field that is sent to the LLM
+   * @param {Object} data - Recruiter data
+   * @returns {Object} - { detected, markers: [{ field, marker, description, excerpt }] }
+   */
+  scan(data) {
+    const markers = [];
+    for (const [field, value] of Object.entries(this.pickFields(data))) {
+      for (const found of this.scanText(value)) {
+        markers.push({ field, ...found });
+      }
+    }
+    return { detected: markers.length > 0, markers };
+  }
+
+  /**
+   * The recruiter fields interpolated into the LLM prompt
+   */
+  pickFields(data) {
+    const fields = {};
+    for (const field of LLM_INPUT_FIELDS) {
+      if (data && data[field] !== undefined && data[field] !== null) {
+        fields[field] = data[field];
+      }
+    }
+    return fields;
+  }
+}
+
+module.exports = new PromptInjectionDetectorService();
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'config', 'prompts');
+const SUPPORTED_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Placeholders a template may use; recruiterData is required
+const TEMPLATE_VARIABLES = ['recruiterData', 'ruleBasedContext', 'fewShotExamples', 'variantInstructions'];
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Versioned LLM prompt templates and the traffic split that assigns recruiters to them.
+ * Templates are read from src/config/prompts and PROMPT_TEMPLATES_DIR (same version replaces a built-in).
+ */
+class PromptTemplateService {
+  constructor() {
+    this.builtInDir = BUILT_IN_DIR;
+    this.extraDir = process.env.PROMPT_TEMPLATES_DIR || null;
+    this.salt = process.env.PROMPT_SPLIT_SALT || 'prompt-split';
+
+    this.templates = this.loadAll();
+    this.split = this.parseSplit(process.env.PROMPT_VERSION_SPLIT || process.env.PROMPT_VERSION || 'v1');
+  }
+
+  /**
+   * Load built-in templates, then templates from PROMPT_TEMPLATES_DIR
+   * @returns {Map} - version => { version, description, template, source }
+   */
+  loadAll() {
+    const templates = new Map();
+
+    for (const dir of [this.builtInDir, this.extraDir]) {
+      if (!dir) continue;
+
+      if (!fs.existsSync(dir)) {
+        logger.warn('Prompt template directory not found', { dir });
+        continue;
+      }
+
+      const files = fs.readdirSync(dir)
+        .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+
+      for (const file of files) {
+        const filePath = path.join(dir, file);
+        try {
+          const template = this.loadFile(filePath);
+          templates.set(template.version, template);
+        } catch (error) {
+          logger.error('Failed to load prompt template', { file: filePath, error: error.message });
+        }
+      }
+    }
+
+    logger.info('Prompt templates loaded', { versions: [...templates.keys()] });
+    return templates;
+  }
+
+  /**
+   * Parse and validate a single template file
+   */
+  loadFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const definition = path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(raw)
+      : yaml.load(raw);
+
+    const errors = this.validateTemplate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid prompt template "${definition && definition.version}": ${errors.join('; ')}`);
+    }
+
+    return {
+      version: String(definition.version),
+      description: definition.description || '',
+      template: definition.template,
+      source: filePath
+    };
+  }
+
+  /**
+   * @returns {string[]} - Validation errors (empty when valid)
+   */
+  validateTemplate(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return ['definition must be an object'];
+    }
+
+    const errors = [];
+    if (definition.version === undefined || !/^[\w.-]+$/.test(String(definition.version))) {
+      errors.push('version is required and may only contain letters, digits, ".", "_" and "-"');
+    }
+    if (typeof definition.template !== 'string' || !definition.template.trim()) {
+      errors.push('template must be a non-empty string');
+      return errors;
+    }
+
+    const used = [...definition.template.matchAll(PLACEHOLDER)].map(match => match[1]);
+    for (const name of new Set(used)) {
+      if (!TEMPLATE_VARIABLES.includes(name)) {
+        errors.push(`unknown variable {{${name}}} (available: ${TEMPLATE_VARIABLES.join(', ')})`);
+      }
+    }
+    if (!used.includes('recruiterData')) {
+      errors.push('template must include {{recruiterData}}');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse PROMPT_VERSION_SPLIT: comma-separated version[:weight], e.g. "v1:90,v2:10".
+   * Weights are relative; a version without a weight counts as 1.
+   * @returns {Object[]} - [{ version, share }] with shares summing to 1
+   */
+  parseSplit(spec) {
+    const entries = spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [version, weight = '1'] = entry.split(':').map(part => part.trim());
+      const parsedWeight = Number(weight);
+
+      if (!this.templates.has(version)) {
+        throw new Error(`Unknown prompt version "${version}". Available: ${[...this.templates.keys()].join(', ')}`);
+      }
+      if (!Number.isFinite(parsedWeight) || parsedWeight <= 0) {
+        throw new Error(`Invalid weight "${weight}" for prompt version "${version}"`);
+      }
+      return { version, weight: parsedWeight };
+    });
+
+    if (entries.length === 0) {
+      throw new Error('PROMPT_VERSION_SPLIT must name at least one prompt version');
+    }
+
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    return entries.map(({ version, weight }) => ({ version, share: weight / total }));
+  }
+
+  /**
+   * Prompt version for a recruiter. The same recruiter always gets the same version
+   * (also when rescored) as long as the split and PROMPT_SPLIT_SALT are unchanged.
+   */
+  assignVersion(recruiterId) {
+    if (this.split.length === 1 || recruiterId === undefined || recruiterId === null) {
+      return this.split[0].version;
+    }
+
+    const hash = crypto.createHash('sha256').update(`${this.salt}:${recruiterId}`).digest();
+    const bucket = hash.readUInt32BE(0) / 0x100000000;
+
+    let cumulative = 0;
+    for (const { version, share } of this.split) {
+      cumulative += share;
+      if (bucket < cumulative) return version;
+    }
+    return this.split[this.split.length - 1].version;
+  }
+
+  /**
+   * Fill a template's placeholders; missing variables render as empty strings
+   */
+  render(version, variables) {
+    const template = this.templates.get(version);
+    if (!template) {
+      throw new Error(`Unknown prompt version "${version}"`);
+    }
+
+    return template.template.replace(PLACEHOLDER, (placeholder, name) => variables[name] ?? '');
+  }
+
+  /**
+   * Loaded versions and the active split, for the system config endpoint
+   */
+  getConfig() {
+    return {
+      versions: [...this.templates.values()].map(({ version, description }) => ({ version, description })),
+      split: this.split.map(({ version, share }) => ({ version, share: Math.round(share * 1000) / 1000 }))
+    };
+  }
+}
+
+module.exports = new PromptTemplateService();
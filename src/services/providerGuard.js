@@ -0,0 +1,210 @@
+const { Op, fn, col } = require('sequelize');
+const ExternalApiCall = require('../models/ExternalApiCall');
+const CircuitBreaker = require('./verifiers/circuitBreaker');
+const { retryWithBackoff, isProviderFailure } = require('../utils/retry');
+const { getPeriodStarts } = require('../utils/periods');
+const logger = require('../utils/logger');
+
+const parseCount = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+/**
+ * Wraps every external API request with a per-provider circuit breaker, jittered retries and
+ * daily/monthly request quotas. An open circuit or an exhausted quota refuses the call at once,
+ * so the verifier chain moves on to its fallback without waiting for a timeout.
+ * Quota usage is counted from the external_api_calls table, so it holds across restarts and instances
+ * (within the sync interval); breaker state is per process.
+ */
+class ProviderGuardService {
+  constructor() {
+    this.breakerConfig = {
+      failureThreshold: parseCount(process.env.CIRCUIT_FAILURE_THRESHOLD, 5),
+      resetTimeout: parseCount(process.env.CIRCUIT_RESET_SECONDS, 30) * 1000
+    };
+    this.retryConfig = {
+      retries: parseCount(process.env.API_RETRIES, 2),
+      baseDelay: parseCount(process.env.API_RETRY_BASE_MS, 200),
+      maxDelay: parseCount(process.env.API_RETRY_MAX_MS, 2000)
+    };
+    this.syncInterval = parseCount(process.env.API_QUOTA_SYNC_SECONDS, 60) * 1000;
+
+    this.breakers = new Map();
+
+    // Requests per provider in the current day and month: last read from the table plus calls since
+    this.usage = null;
+    this.syncedAt = 0;
+  }
+
+  getBreaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, new CircuitBreaker({ name: provider, ...this.breakerConfig }));
+    }
+    return this.breakers.get(provider);
+  }
+
+  /**
+   * Request limits from <PROVIDER>_DAILY_QUOTA and <PROVIDER>_MONTHLY_QUOTA (0 or unset: no limit)
+   */
+  getQuotaLimits(provider) {
+    const prefix = provider.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    return {
+      daily: parseCount(process.env[`${prefix}_DAILY_QUOTA`], 0),
+      monthly: parseCount(process.env[`${prefix}_MONTHLY_QUOTA`], 0)
+    };
+  }
+
+  /**
+   * Longest a guarded call can take: every attempt timing out plus the longest backoff between them
+   */
+  getDeadline(timeout) {
+    const { retries, maxDelay } = this.retryConfig;
+    return timeout * (retries + 1) + maxDelay * retries;
+  }
+
+  /**
+   * Run an API request for a provider
+   * @param {string} provider - Provider (verifier) name
+   * @param {string} endpoint - Endpoint label for logs and the call table
+   * @param {Function} request - () => Promise, one HTTP request
+   * @throws {Error} - code CIRCUIT_OPEN or QUOTA_EXHAUSTED when refused, otherwise the request's error
+   */
+  async call(provider, endpoint, request) {
+    const quota = await this.getQuotaStatus(provider);
+    if (quota.exceeded) {
+      throw this.unavailable(provider, 'QUOTA_EXHAUSTED', `${provider} ${quota.exceededPeriods.join(' and ')} quota exhausted`);
+    }
+
+    const breaker = this.getBreaker(provider);
+    if (!breaker.canRequest()) {
+      throw this.unavailable(provider, 'CIRCUIT_OPEN', `${provider} circuit open until ${breaker.getRetryAt().toISOString()}`);
+    }
+
+    const startTime = Date.now();
+    let attempts = 0;
+    try {
+      const value = await retryWithBackoff(() => {
+        attempts++;
+        return request();
+      }, {
+        ...this.retryConfig,
+        onRetry: (error, attempt, delay) => logger.warn('Retrying external API call', {
+          provider, endpoint, attempt, delay, error: error.message
+        })
+      });
+
+      breaker.recordSuccess();
+      this.recordCall(provider, endpoint, true, attempts, Date.now() - startTime);
+      return value;
+    } catch (error) {
+      // A rejected request (4xx) still shows the provider is up
+      if (isProviderFailure(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      this.recordCall(provider, endpoint, false, attempts, Date.now() - startTime);
+      throw error;
+    }
+  }
+
+  unavailable(provider, code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.provider = provider;
+    return error;
+  }
+
+  /**
+   * Add a call to the call table. Failures are logged, never thrown.
+   */
+  async recordCall(provider, endpoint, success, attempts, durationMs) {
+    if (this.usage) {
+      for (const period of ['daily', 'monthly']) {
+        this.usage[period][provider] = (this.usage[period][provider] || 0) + attempts;
+      }
+    }
+
+    try {
+      await ExternalApiCall.create({ provider, endpoint, success, attempts, durationMs });
+    } catch (error) {
+      logger.error('Failed to record external API call', { provider, endpoint, error: error.message });
+    }
+  }
+
+  /**
+   * Re-read the current day's and month's request counts when stale or when the day rolled over
+   */
+  async syncUsage() {
+    const starts = getPeriodStarts();
+    const rolledOver = this.usage && this.usage.dayStart.getTime() !== starts.daily.getTime();
+    if (this.usage && !rolledOver && Date.now() - this.syncedAt < this.syncInterval) {
+      return this.usage;
+    }
+
+    const countSince = async (since) => {
+      const rows = await ExternalApiCall.findAll({
+        where: { created_at: { [Op.gte]: since } },
+        attributes: ['provider', [fn('SUM', col('attempts')), 'requests']],
+        group: ['provider'],
+        raw: true
+      });
+      return Object.fromEntries(rows.map(row => [row.provider, parseInt(row.requests) || 0]));
+    };
+
+    const [daily, monthly] = await Promise.all([countSince(starts.daily), countSince(starts.monthly)]);
+    this.usage = { dayStart: starts.daily, daily, monthly };
+    this.syncedAt = Date.now();
+    return this.usage;
+  }
+
+  /**
+   * Requests against a provider's quotas. If the call table cannot be read the last known counts
+   * are used, and calls are not blocked when there are none.
+   * @returns {Object} - { exceeded, exceededPeriods, daily: { limit, used, remaining }, monthly }
+   */
+  async getQuotaStatus(provider) {
+    const limits = this.getQuotaLimits(provider);
+    if (!limits.daily && !limits.monthly) {
+      return { exceeded: false, exceededPeriods: [], daily: null, monthly: null };
+    }
+
+    let usage = this.usage;
+    try {
+      usage = await this.syncUsage();
+    } catch (error) {
+      logger.warn('API quota check could not read the call table', { provider, error: error.message });
+    }
+
+    const status = { exceeded: false, exceededPeriods: [] };
+    for (const period of ['daily', 'monthly']) {
+      const limit = limits[period];
+      if (!limit) {
+        status[period] = null;
+        continue;
+      }
+
+      const used = usage ? usage[period][provider] || 0 : null;
+      status[period] = { limit, used, remaining: used === null ? null : Math.max(0, limit - used) };
+      if (used !== null && used >= limit) {
+        status.exceeded = true;
+        status.exceededPeriods.push(period);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Circuit and quota state of a provider, for health checks and connection tests
+   */
+  async getStatus(provider) {
+    return {
+      circuit: this.getBreaker(provider).getState(),
+      quota: await this.getQuotaStatus(provider)
+    };
+  }
+}
+
+module.exports = new ProviderGuardService();
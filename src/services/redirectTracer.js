@@ -0,0 +1,230 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const emailClassifier = require('./emailClassifier');
+const {
+  normalizeHost,
+  getRegistrableDomain,
+  getDomainLabel,
+  getHostFromUrl,
+  getEmailDomain
+} = require('../utils/domain');
+
+// Script redirects: location = '...', location.href = '...', location.replace('...'), location.assign('...')
+const JS_REDIRECT_PATTERNS = [
+  /(?:window\.|document\.|top\.|self\.)?location(?:\.href)?\s*=\s*['"]([^'"]+)['"]/i,
+  /location\.(?:replace|assign)\(\s*['"]([^'"]+)['"]\s*\)/i
+];
+// Script redirects count only on stub pages (little text, at most a "click here" link);
+// real sites also set location in click handlers
+const JS_REDIRECT_MAX_WORDS = 100;
+const JS_REDIRECT_MAX_LINKS = 1;
+// Simple function and arrow function bodies: navigation there runs on demand, not on load
+const FUNCTION_BODY_PATTERN = /(?:function\s*[\w$]*\s*\([^)]*\)|=>)\s*\{[^{}]*\}/g;
+
+/**
+ * Follows a website URL hop by hop (HTTP redirects, meta refresh and script redirects) and
+ * summarizes the chain: shorteners, cross-domain hops and the final landing domain
+ */
+class RedirectTracerService {
+  constructor() {
+    this.loadShorteners(process.env.URL_SHORTENERS_PATH || path.join(__dirname, '..', 'config', 'urlShorteners.json'));
+    this.maxHops = parseInt(process.env.REDIRECT_MAX_HOPS) || 10;
+  }
+
+  loadShorteners(filePath) {
+    const config = require(path.resolve(filePath));
+    this.shorteners = config.domains.map(domain => normalizeHost(domain));
+  }
+
+  /**
+   * Fetch a URL, following every hop within one time budget
+   * @param {Object} httpClient - axios instance
+   * @param {string} url
+   * @param {Object} options - { timeout } ms for the whole chain
+   * @returns {Object} - { response (final page), chain }
+   * @throws {Error} - On HTTP errors of the final page, loops, too many hops or an exhausted time budget
+   */
+  async trace(httpClient, url, { timeout }) {
+    const deadline = Date.now() + timeout;
+    const hops = [];
+    const visited = new Set();
+    let current = url;
+
+    for (;;) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new Error(`Website ${url} did not load within ${timeout}ms (${hops.length} redirects)`);
+      }
+
+      visited.add(current);
+      const response = await httpClient.get(current, {
+        timeout: remaining,
+        maxRedirects: 0,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      const hop = this.findNextHop(current, response);
+      if (!hop) {
+        if (response.status >= 400) {
+          throw new Error(`Request failed with status code ${response.status}`);
+        }
+        return { response, chain: this.summarize(url, current, hops) };
+      }
+
+      hops.push(hop);
+      if (visited.has(hop.to)) {
+        throw new Error(`Redirect loop at ${hop.to}`);
+      }
+      if (hops.length > this.maxHops) {
+        throw new Error(`More than ${this.maxHops} redirects from ${url}`);
+      }
+      current = hop.to;
+    }
+  }
+
+  /**
+   * The hop a response leads to, or null for a final page
+   */
+  findNextHop(url, response) {
+    const { status } = response;
+    if (status >= 300 && status < 400 && response.headers.location) {
+      const to = this.resolve(response.headers.location, url);
+      return to ? { url, statusCode: status, type: 'http', to } : null;
+    }
+
+    if (status >= 300 || typeof response.data !== 'string') return null;
+    const client = this.findClientRedirect(response.data, url);
+    return client ? { url, statusCode: status, ...client } : null;
+  }
+
+  /**
+   * Meta refresh or script redirect in an HTML page
+   * @returns {Object|null} - { type: 'meta_refresh' | 'javascript', to, delay }
+   */
+  findClientRedirect(html, baseUrl) {
+    const $ = cheerio.load(html);
+
+    const refresh = $('meta[http-equiv]')
+      .filter((index, element) => String($(element).attr('http-equiv')).toLowerCase() === 'refresh')
+      .attr('content');
+    const refreshMatch = refresh && refresh.match(/^\s*(\d+(?:\.\d+)?)\s*[;,]\s*url\s*=\s*['"]?([^'"]+)/i);
+    if (refreshMatch) {
+      const to = this.resolve(refreshMatch[2].trim(), baseUrl);
+      if (to) return { type: 'meta_refresh', to, delay: parseFloat(refreshMatch[1]) };
+    }
+
+    const scripts = $('script:not([src])')
+      .map((index, element) => $(element).html().replace(FUNCTION_BODY_PATTERN, ''))
+      .get()
+      .join('\n');
+    $('script, style, noscript').remove();
+    const wordCount = $('body').text().split(/\s+/).filter(Boolean).length;
+    const isStub = wordCount <= JS_REDIRECT_MAX_WORDS && $('a[href]').length <= JS_REDIRECT_MAX_LINKS;
+    if (!scripts || !isStub) return null;
+
+    for (const pattern of JS_REDIRECT_PATTERNS) {
+      const match = scripts.match(pattern);
+      const to = match && this.resolve(match[1], baseUrl);
+      if (to) return { type: 'javascript', to, delay: 0 };
+    }
+    return null;
+  }
+
+  /**
+   * Absolute http(s) URL, or null (javascript:, mailto:, unparseable)
+   */
+  resolve(target, baseUrl) {
+    try {
+      const url = new URL(target, baseUrl);
+      return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Chain from a rendered crawl: the browser's HTTP redirects, plus a client-side hop
+   * when the page navigated away from the URL the server answered with
+   */
+  fromBrowser(submittedUrl, crawl) {
+    const hops = crawl.redirects.map((redirect, index) => ({
+      url: redirect.url,
+      statusCode: redirect.statusCode,
+      type: 'http',
+      to: crawl.redirects[index + 1]?.url || crawl.responseUrl
+    }));
+
+    if (crawl.responseUrl && crawl.finalUrl !== crawl.responseUrl) {
+      // Chrome does not say whether a meta refresh or a script navigated
+      hops.push({ url: crawl.responseUrl, statusCode: crawl.statusCode, type: 'client', to: crawl.finalUrl });
+    }
+
+    return this.summarize(submittedUrl, crawl.finalUrl, hops);
+  }
+
+  /**
+   * @returns {Object} - { submittedUrl, finalUrl, finalDomain, hops, hopCount, shorteners, clientRedirect, crossDomain }
+   */
+  summarize(submittedUrl, finalUrl, hops) {
+    const finalHost = getHostFromUrl(finalUrl);
+    const hosts = [submittedUrl, ...hops.map(hop => hop.to)].map(getHostFromUrl).filter(Boolean);
+
+    return {
+      submittedUrl,
+      finalUrl,
+      finalDomain: finalHost ? getRegistrableDomain(finalHost) : null,
+      hops,
+      hopCount: hops.length,
+      shorteners: [...new Set(hosts.filter(host => this.isShortener(host)))],
+      clientRedirect: hops.some(hop => hop.type !== 'http'),
+      crossDomain: !this.sameSite(getHostFromUrl(submittedUrl), finalHost)
+    };
+  }
+
+  isShortener(host) {
+    return this.shorteners.some(shortener => host === shortener || host.endsWith(`.${shortener}`));
+  }
+
+  /**
+   * Same registrable domain, or the same name under another public suffix (acme.com ~ acme.de)
+   */
+  sameSite(hostA, hostB) {
+    if (!hostA || !hostB) return false;
+    return getRegistrableDomain(hostA) === getRegistrableDomain(hostB) ||
+      getDomainLabel(hostA) === getDomainLabel(hostB);
+  }
+
+  /**
+   * Rule fields from the company check's redirect chain (see the website rule pack)
+   */
+  getRuleFields(recruiterData, externalVerification) {
+    const chain = externalVerification?.company?.details?.redirectChain;
+    if (!chain) {
+      return {
+        websiteRedirectCount: null,
+        websiteShortener: null,
+        websiteClientRedirect: null,
+        websiteFinalDomainMismatch: null,
+        websiteFinalEmailMismatch: null
+      };
+    }
+
+    // Only redirects can move the landing page away from a corporate email domain;
+    // a submitted website on another domain is the consistency pack's concern
+    const emailDomain = getEmailDomain(recruiterData.businessEmail);
+    const corporateEmail = emailDomain && emailClassifier.classify(recruiterData.businessEmail).category === 'corporate';
+
+    return {
+      websiteRedirectCount: chain.hopCount,
+      websiteShortener: chain.shorteners.length > 0,
+      websiteClientRedirect: chain.clientRedirect,
+      websiteFinalDomainMismatch: chain.crossDomain,
+      websiteFinalEmailMismatch: corporateEmail && chain.hopCount > 0
+        ? !this.sameSite(emailDomain, getHostFromUrl(chain.finalUrl))
+        : null
+    };
+  }
+}
+
+module.exports = new RedirectTracerService();
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const MemoryCacheBackend = require('./cache/memoryBackend');
+const { stableStringify } = require('../utils/json');
+const logger = require('../utils/logger');
+
+const DAY = 24 * 60 * 60;
+
+// Seconds a result stays fresh, per provider (override with CACHE_TTL_<NAMESPACE>, 0 disables)
+const DEFAULT_TTLS = {
+  gemini: 7 * DAY,
+  openai: 7 * DAY,
+  local: 7 * DAY,
+  mock: 0,
+  hunter: 30 * DAY,
+  numverify: 30 * DAY,
+  clearbit: 30 * DAY,
+  website: DAY,
+  tls: DAY,
+  emailauth: DAY,
+  // Creation dates never change; expiry moves on renewal
+  registration: 7 * DAY
+};
+
+/**
+ * Content-addressed cache for paid or slow lookups (LLM completions, Hunter, Numverify, Clearbit).
+ * Keys hash the namespace and every input that affects the result, so changed recruiter data,
+ * another model or a new prompt simply misses.
+ */
+class ResultCacheService {
+  constructor() {
+    this.backend = this.createBackend(process.env.CACHE_BACKEND || 'memory');
+    this.defaultTtl = parseInt(process.env.CACHE_TTL_DEFAULT) || DAY;
+
+    // Hits, misses, writes and backend errors per namespace since startup
+    this.stats = {};
+  }
+
+  /**
+   * Backend by name: memory (per process), sql (result_cache table) or none
+   */
+  createBackend(name) {
+    switch (name.toLowerCase()) {
+      case 'memory':
+        return new MemoryCacheBackend({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 5000 });
+      case 'sql': {
+        const SqlCacheBackend = require('./cache/sqlBackend');
+        return new SqlCacheBackend();
+      }
+      case 'none':
+        return null;
+      default:
+        throw new Error(`Unknown cache backend "${name}". Available: memory, sql, none`);
+    }
+  }
+
+  /**
+   * Swap the backend (e.g. a shared store, or a fresh memory cache in tests)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  /**
+   * TTL in seconds for a namespace
+   */
+  getTtl(namespace) {
+    const override = parseInt(process.env[`CACHE_TTL_${namespace.toUpperCase()}`]);
+    if (!Number.isNaN(override)) return override;
+    return DEFAULT_TTLS[namespace] ?? this.defaultTtl;
+  }
+
+  /**
+   * SHA-256 of the namespace and inputs; object key order does not matter
+   */
+  buildKey(namespace, parts) {
+    return crypto.createHash('sha256').update(stableStringify({ namespace, parts })).digest('hex');
+  }
+
+  /**
+   * Return the cached result for these inputs, or run the producer and cache what it returns.
+   * Producer errors are not cached. Backend errors are logged and treated as a miss.
+   * @param {string} namespace - Provider name, selects the TTL
+   * @param {Object} parts - Every input that affects the result
+   * @param {Function} producer - async () => value
+   * @param {Object} options
+   * @param {boolean} options.bypass - Skip the lookup (the fresh result is still stored)
+   * @param {Function} options.shouldCache - value => boolean, e.g. to skip degraded results
+   * @returns {Object} - { value, cached, key, storedAt }
+   */
+  async wrap(namespace, parts, producer, options = {}) {
+    const ttl = this.getTtl(namespace);
+    if (!this.backend || ttl <= 0) {
+      return { value: await producer(), cached: false };
+    }
+
+    const stats = this.getNamespaceStats(namespace);
+    const key = this.buildKey(namespace, parts);
+
+    if (!options.bypass) {
+      try {
+        const entry = await this.backend.get(key);
+        if (entry) {
+          stats.hits++;
+          logger.debug('Result cache hit', { namespace, key });
+          return { value: entry.value, cached: true, key, storedAt: entry.storedAt };
+        }
+      } catch (error) {
+        stats.errors++;
+        logger.warn('Result cache read failed', { namespace, backend: this.backend.name, error: error.message });
+      }
+    }
+
+    stats.misses++;
+    const value = await producer();
+
+    if (!options.shouldCache || options.shouldCache(value)) {
+      try {
+        await this.backend.set(key, namespace, value, new Date(Date.now() + ttl * 1000));
+        stats.writes++;
+      } catch (error) {
+        stats.errors++;
+        logger.warn('Result cache write failed', { namespace, backend: this.backend.name, error: error.message });
+      }
+    }
+
+    return { value, cached: false, key };
+  }
+
+  /**
+   * Drop cached results, for one namespace or all
+   * @returns {number} - Entries removed
+   */
+  async clear(namespace = null) {
+    if (!this.backend) return 0;
+    const removed = await this.backend.clear(namespace);
+    logger.info('Result cache cleared', { namespace: namespace || 'all', removed });
+    return removed;
+  }
+
+  /**
+   * Remove expired entries (expired entries are also dropped when read)
+   * @returns {number} - Entries removed
+   */
+  async purgeExpired() {
+    return this.backend ? this.backend.purgeExpired() : 0;
+  }
+
+  getNamespaceStats(namespace) {
+    if (!this.stats[namespace]) {
+      this.stats[namespace] = { hits: 0, misses: 0, writes: 0, errors: 0 };
+    }
+    return this.stats[namespace];
+  }
+
+  /**
+   * Backend, size and per-namespace hit rates
+   */
+  async getStats() {
+    let size = null;
+    try {
+      size = this.backend ? await this.backend.size() : 0;
+    } catch (error) {
+      logger.warn('Result cache size unavailable', { error: error.message });
+    }
+
+    const namespaces = {};
+    for (const [namespace, stats] of Object.entries(this.stats)) {
+      const lookups = stats.hits + stats.misses;
+      namespaces[namespace] = {
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 1000 : 0,
+        ttl: this.getTtl(namespace)
+      };
+    }
+
+    return {
+      backend: this.backend ? this.backend.name : 'none',
+      size,
+      namespaces
+    };
+  }
+}
+
+module.exports = new ResultCacheService();
@@ -1,113 +1,147 @@
 const validator = require('validator');
+const rulePackLoader = require('./rulePackLoader');
+const brandImpersonation = require('./brandImpersonation');
+const consistencyAnalyzer = require('./consistencyAnalyzer');
+const emailClassifier = require('./emailClassifier');
+const promptInjectionDetector = require('./promptInjectionDetector');
+const { parsePhone } = require('../utils/phone');
+const { getHostFromUrl, getUrlProtocol } = require('../utils/domain');
 const logger = require('../utils/logger');
 
+/**
+ * Parsed phone number: parsedPhone when the rule data carries it (see scoringWorkflow.buildRuleData), else parsed here
+ */
+const getParsedPhone = (data) => (data.parsedPhone !== undefined ? data.parsedPhone : parsePhone(data.phoneNumber));
+
 class RuleBasedScoringService {
   constructor() {
-    // Suspicious keywords and patterns
-    this.suspiciousKeywords = {
-      company: [
-        'fake', 'scam', 'test', 'xxx', '123', 'temp', 'sample',
-        'demo', 'placeholder', 'example', 'null', 'undefined'
-      ],
-      role: [
-        'CEO', 'founder', 'owner', 'president', 'VP', 'director'
-      ],
-      industry: [
-        'adult', 'gambling', 'cryptocurrency', 'mlm', 'pyramid'
-      ]
+    // Final score penalty per flag, by severity
+    this.severityPenalties = {
+      high: 5,
+      medium: 2,
+      low: 1
     };
-    
-    // Trusted email domains (corporate domains)
-    this.trustedDomains = [
-      'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
-      'company.com', 'corp.com', 'inc.com'
-    ];
-    
-    // Free email providers (less trusted for business)
-    this.freeEmailProviders = [
-      'gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com',
-      'protonmail.com', 'mail.com', '10minutemail.com',
-      'tempmail.org', 'guerrillamail.com'
-    ];
-    
-    // Common spam patterns
-    this.spamPatterns = {
-      email: [
-        /^[a-z]+[0-9]{3,}@/i, // email + many numbers
-        /^(test|admin|info|contact)[\d]*@/i,
-        /noreply|no-reply|donotreply/i
-      ],
-      phone: [
-        /^(\+?1)?[0]{3,}/, // too many zeros
-        /^(\+?1)?[1]{3,}/, // too many ones
-        /^(\+?1)?[9]{3,}/  // too many nines
-      ],
-      website: [
-        /localhost/i,
-        /192\.168\./,
-        /127\.0\.0\.1/,
-        /example\.(com|org|net)/i,
-        /test\.(com|org|net)/i
-      ]
+
+    // Derived fields that rules can reference in addition to raw recruiter fields
+    this.fieldResolvers = {
+      emailDomain: (data) => data.businessEmail && data.businessEmail.includes('@')
+        ? data.businessEmail.split('@')[1].toLowerCase()
+        : null,
+      // null for unparseable URLs (the website pack flags those), so other packs can read them safely
+      websiteHost: (data) => data.websiteUrl ? getHostFromUrl(data.websiteUrl) : null,
+      websiteProtocol: (data) => data.websiteUrl ? getUrlProtocol(data.websiteUrl) : null,
+      phoneDigits: (data) => data.phoneNumber ? data.phoneNumber.replace(/[\s\-\(\)\+]/g, '') : null,
+      // Email classification: invalid, disposable, free or corporate
+      emailCategory: (data) => data.businessEmail ? emailClassifier.classify(data.businessEmail).category : null,
+      emailRole: (data) => data.businessEmail ? emailClassifier.classify(data.businessEmail).role : null,
+      emailSubAddress: (data) => data.businessEmail ? emailClassifier.classify(data.businessEmail).subAddress : null,
+      phoneE164: (data) => getParsedPhone(data)?.e164 ?? null,
+      phoneCountry: (data) => getParsedPhone(data)?.country ?? null,
+      phoneType: (data) => getParsedPhone(data)?.type ?? null,
+      phoneValid: (data) => data.phoneNumber ? Boolean(getParsedPhone(data)?.isValid) : null,
+      // Cross-field checks: true, false, or null when a field is missing
+      emailWebsiteMatch: (data) => consistencyAnalyzer.emailMatchesWebsite(data),
+      companyDomainMatch: (data) => consistencyAnalyzer.companyMatchesDomain(data),
+      websiteTitleMatch: (data) => consistencyAnalyzer.titleMentionsCompany(data),
+      // Fields interpolated into the LLM prompt
+      llmInput: (data) => promptInjectionDetector.pickFields(data)
+    };
+
+    // Inputs of derived fields that are not recruiter fields (see splitRuleSet)
+    this.derivedFieldInputs = {
+      websiteTitleMatch: ['websiteTitle']
+    };
+
+    // Keyword lists, patterns and impacts live in rule packs (src/config/rules)
+    this.packs = rulePackLoader.loadAll();
+
+    // Persisted rule-set version; null until ruleManager activates a stored version
+    this.ruleSetVersion = null;
+  }
+
+  /**
+   * Replace the active rule packs (hot reload)
+   * @param {Object[]} packs - Compiled packs from rulePackLoader
+   * @param {number|null} version - Rule-set version the packs belong to
+   */
+  setRulePacks(packs, version = null) {
+    this.packs = packs;
+    this.ruleSetVersion = version;
+  }
+
+  /**
+   * Register a derived field that rules can reference by name
+   * @param {string[]} inputs - Fields other than recruiter fields the resolver reads (e.g. external verification fields)
+   */
+  registerField(name, resolver, inputs = []) {
+    this.fieldResolvers[name] = resolver;
+    this.derivedFieldInputs[name] = inputs;
+  }
+
+  /**
+   * The active packs and their version, as one snapshot
+   */
+  getActiveRuleSet() {
+    return { packs: this.packs, version: this.ruleSetVersion };
+  }
+
+  /**
+   * Split a rule set into the packs with rules reading any of `fields` (directly or through a
+   * derived field) and the other packs, so the latter can be scored before those fields are known
+   * @returns {Object} - { reading, other }, each { packs, version }
+   */
+  splitRuleSet(ruleSet, fields) {
+    const reads = (field) => fields.includes(field) ||
+      (this.derivedFieldInputs[field] || []).some(input => fields.includes(input));
+    const reading = ruleSet.packs.filter(pack => pack.rules.some(rule => reads(rule.field)));
+
+    return {
+      reading: { packs: reading, version: ruleSet.version },
+      other: { packs: ruleSet.packs.filter(pack => !reading.includes(pack)), version: ruleSet.version }
+    };
+  }
+
+  /**
+   * Combine the results of disjoint parts of a rule set into the result of the whole set
+   */
+  mergeResults(results, ruleSet) {
+    const details = { flags: [], rulePacks: {} };
+    for (const result of results) {
+      const { flags, rulePacks, ...components } = result.details;
+      Object.assign(details, components);
+      details.flags.push(...flags);
+    }
+    for (const pack of ruleSet.packs) {
+      details.rulePacks[pack.pack] = pack.version;
+    }
+
+    return {
+      score: this.calculateFinalScore(details, ruleSet.packs),
+      maxScore: 100,
+      ruleSetVersion: ruleSet.version,
+      details,
+      processingTime: results.reduce((total, result) => total + (result.processingTime || 0), 0)
     };
   }
 
   /**
    * Main scoring method
    * @param {Object} recruiterData - The recruiter data to score
+   * @param {Object} ruleSet - { packs, version } to score with (default: the active rule set)
    * @returns {Object} - Scoring results
    */
-  async scoreRecruiter(recruiterData) {
+  async scoreRecruiter(recruiterData, ruleSet = this.getActiveRuleSet()) {
     const timer = logger.startTimer('Rule-based scoring');
     
     try {
-      const results = {
-        score: 0,
-        maxScore: 100,
-        details: {
-          keywordScore: 0,
-          emailDomainScore: 0,
-          websiteScore: 0,
-          phoneScore: 0,
-          companyNameScore: 0,
-          industryScore: 0,
-          flags: []
-        }
-      };
-
-      // Individual scoring components
-      const keywordResult = this.checkKeywords(recruiterData);
-      const emailResult = this.analyzeEmail(recruiterData.businessEmail);
-      const websiteResult = await this.analyzeWebsite(recruiterData.websiteUrl);
-      const phoneResult = this.analyzePhone(recruiterData.phoneNumber);
-      const companyResult = this.analyzeCompanyName(recruiterData.companyName);
-      const industryResult = this.analyzeIndustry(recruiterData.industry);
-
-      // Combine results
-      results.details.keywordScore = keywordResult.score;
-      results.details.emailDomainScore = emailResult.score;
-      results.details.websiteScore = websiteResult.score;
-      results.details.phoneScore = phoneResult.score;
-      results.details.companyNameScore = companyResult.score;
-      results.details.industryScore = industryResult.score;
-
-      // Combine flags
-      results.details.flags = [
-        ...keywordResult.flags,
-        ...emailResult.flags,
-        ...websiteResult.flags,
-        ...phoneResult.flags,
-        ...companyResult.flags,
-        ...industryResult.flags
-      ];
-
-      // Calculate final score (weighted average)
-      results.score = this.calculateFinalScore(results.details);
+      // Snapshot so a hot reload mid-evaluation cannot mix rule-set versions
+      const results = this.evaluateRuleSet(recruiterData, ruleSet.packs, ruleSet.version);
       
       const processingTime = timer.end();
       
       logger.info('Rule-based scoring completed', {
         score: results.score,
+        packs: ruleSet.packs.length,
         flags: results.details.flags.length,
         processingTime
       });
@@ -121,382 +155,273 @@ class RuleBasedScoringService {
   }
 
   /**
-   * Check for suspicious keywords
+   * Score recruiter data with a given set of packs (active or candidate)
+   * @param {Object} recruiterData - The recruiter data to score
+   * @param {Object[]} packs - Compiled rule packs
+   * @param {number|null} version - Rule-set version the packs belong to
+   * @returns {Object} - Scoring results
    */
-  checkKeywords(data) {
-    const flags = [];
-    let score = 85; // Start with high score
-
-    // Check company name for suspicious keywords
-    const companyLower = data.companyName.toLowerCase();
-    for (const keyword of this.suspiciousKeywords.company) {
-      if (companyLower.includes(keyword)) {
-        flags.push({
-          type: 'suspicious_company_keyword',
-          severity: 'high',
-          message: `Company name contains suspicious keyword: "${keyword}"`,
-          impact: -15
-        });
-        score -= 15;
+  evaluateRuleSet(recruiterData, packs = this.packs, version = this.ruleSetVersion) {
+    const results = {
+      score: 0,
+      maxScore: 100,
+      ruleSetVersion: version,
+      details: {
+        flags: [],
+        rulePacks: {}
       }
-    }
+    };
 
-    // Check if role sounds too senior for new signups
-    const roleLower = data.role.toLowerCase();
-    for (const keyword of this.suspiciousKeywords.role) {
-      if (roleLower.includes(keyword)) {
-        flags.push({
-          type: 'senior_role_flag',
-          severity: 'medium',
-          message: `Role appears very senior: "${data.role}"`,
-          impact: -5
-        });
-        score -= 5;
-      }
+    // Each pack scores one component (keywordScore, emailDomainScore, ...)
+    for (const pack of packs) {
+      const packResult = this.evaluatePack(pack, recruiterData);
+      results.details[pack.component] = packResult.score;
+      results.details.flags.push(...packResult.flags);
+      results.details.rulePacks[pack.pack] = pack.version;
     }
 
-    // Check industry for high-risk sectors
-    const industryLower = data.industry.toLowerCase();
-    for (const keyword of this.suspiciousKeywords.industry) {
-      if (industryLower.includes(keyword)) {
-        flags.push({
-          type: 'high_risk_industry',
-          severity: 'high',
-          message: `Industry flagged as high-risk: "${data.industry}"`,
-          impact: -20
-        });
-        score -= 20;
-      }
-    }
+    // Calculate final score (weighted average)
+    results.score = this.calculateFinalScore(results.details, packs);
 
-    return { score: Math.max(0, score), flags };
+    return results;
   }
 
   /**
-   * Analyze email address
+   * Evaluate every enabled rule of a pack against recruiter data
+   * @returns {Object} - { score, flags }
    */
-  analyzeEmail(email) {
+  evaluatePack(pack, data) {
     const flags = [];
-    let score = 80; // Start with moderate score
-
-    if (!email || !validator.isEmail(email)) {
-      flags.push({
-        type: 'invalid_email',
-        severity: 'high',
-        message: 'Invalid email format',
-        impact: -50
-      });
-      return { score: 30, flags };
-    }
+    let score = pack.baseScore;
 
-    const domain = email.split('@')[1].toLowerCase();
-    
-    // Check for free email providers
-    if (this.freeEmailProviders.includes(domain)) {
-      flags.push({
-        type: 'free_email_provider',
-        severity: 'medium',
-        message: 'Using free email provider instead of business domain',
-        impact: -10
-      });
-      score -= 10;
-    }
+    try {
+      for (const rule of pack.rules) {
+        if (!rule.enabled) continue;
+
+        const value = this.resolveField(data, rule.field);
+        const matches = this.evaluateCondition(rule.condition, value);
+
+        // A rule fires once per matched keyword/pattern
+        for (const match of matches) {
+          score += rule.impact;
+          if (rule.flag) {
+            flags.push(this.buildFlag(rule, match, value));
+          }
+        }
 
-    // Check for spam patterns
-    for (const pattern of this.spamPatterns.email) {
-      if (pattern.test(email)) {
-        flags.push({
-          type: 'spam_email_pattern',
-          severity: 'high',
-          message: 'Email matches spam pattern',
-          impact: -25
-        });
-        score -= 25;
+        if (matches.length > 0 && rule.stop) break;
       }
+
+      return { score: Math.max(0, score), flags };
+    } catch (error) {
+      if (!pack.onError) throw error;
+
+      logger.error('Rule pack evaluation error', { pack: pack.pack, error: error.message });
+      return {
+        score: Math.max(0, pack.baseScore + pack.onError.impact),
+        flags: [{
+          type: pack.onError.flag,
+          severity: pack.onError.severity,
+          message: pack.onError.message,
+          impact: pack.onError.impact
+        }]
+      };
     }
+  }
 
-    // Check domain length and complexity
-    if (domain.length < 4 || domain.length > 50) {
-      flags.push({
-        type: 'suspicious_domain_length',
-        severity: 'medium',
-        message: 'Domain name has unusual length',
-        impact: -5
-      });
-      score -= 5;
+  /**
+   * Evaluate a pack by name against partial recruiter data
+   */
+  evaluatePackByName(name, data) {
+    const pack = this.packs.find(p => p.pack === name);
+    if (!pack) {
+      throw new Error(`Rule pack not loaded: ${name}`);
     }
+    return this.evaluatePack(pack, data);
+  }
 
-    return { score: Math.max(0, score), flags };
+  /**
+   * Resolve a raw or derived field value
+   */
+  resolveField(data, field) {
+    const resolver = this.fieldResolvers[field];
+    return resolver ? resolver(data) : data[field];
   }
 
   /**
-   * Analyze website URL
+   * Evaluate a rule condition
+   * @returns {Array} - Matched values (keywords, patterns or the value itself); empty when the rule does not fire
    */
-  async analyzeWebsite(websiteUrl) {
-    const flags = [];
-    let score = 75; // Start with moderate score
+  evaluateCondition(condition, value) {
+    const matches = this.matchCondition(condition, value);
+    if (condition.negate) {
+      return matches.length > 0 ? [] : [value];
+    }
+    return matches;
+  }
 
-    try {
-      if (!websiteUrl || !validator.isURL(websiteUrl, { require_protocol: true })) {
-        flags.push({
-          type: 'invalid_website_url',
-          severity: 'high',
-          message: 'Invalid or missing website URL',
-          impact: -30
+  matchCondition(condition, value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    const normalized = text.trim().toLowerCase();
+
+    switch (condition.type) {
+      case 'missing':
+        return text.trim().length < (condition.minLength || 1) ? [value] : [];
+
+      case 'is_email':
+        return text && validator.isEmail(text) ? [value] : [];
+
+      case 'is_url':
+        return text && validator.isURL(text, condition.options || {}) ? [value] : [];
+
+      case 'equals':
+        return normalized === String(condition.value).toLowerCase() ? [value] : [];
+
+      case 'in_list':
+        return condition.values.some(item => item.toLowerCase() === normalized) ? [value] : [];
+
+      case 'contains_any':
+        if (!normalized) return [];
+        return condition.values.filter(keyword => normalized.includes(keyword.toLowerCase()));
+
+      case 'starts_with_word':
+        return condition.values.filter(word => {
+          const lower = word.toLowerCase();
+          return normalized === lower || normalized.startsWith(lower + ' ');
         });
-        return { score: 45, flags };
-      }
 
-      const url = new URL(websiteUrl);
-      const domain = url.hostname.toLowerCase();
-
-      // Check for spam patterns in URL
-      for (const pattern of this.spamPatterns.website) {
-        if (pattern.test(websiteUrl)) {
-          flags.push({
-            type: 'spam_website_pattern',
-            severity: 'high',
-            message: 'Website URL matches spam pattern',
-            impact: -25
-          });
-          score -= 25;
-        }
+      case 'matches_any':
+        if (!text) return [];
+        return condition.regexes
+          .filter(regex => regex.test(text))
+          .map(regex => regex.source);
+
+      case 'length_outside': {
+        const tooShort = typeof condition.min === 'number' && text.length < condition.min;
+        const tooLong = typeof condition.max === 'number' && text.length > condition.max;
+        return tooShort || tooLong ? [value] : [];
       }
 
-      // Check for HTTPS
-      if (url.protocol === 'https:') {
-        score += 5; // Bonus for HTTPS
-      } else {
-        flags.push({
-          type: 'no_https',
-          severity: 'low',
-          message: 'Website does not use HTTPS',
-          impact: -5
-        });
-        score -= 5;
+      case 'number_in_range': {
+        // min inclusive, max exclusive; non-numeric values (e.g. no data) never match
+        if (typeof value !== 'number' || Number.isNaN(value)) return [];
+        const atLeastMin = typeof condition.min !== 'number' || value >= condition.min;
+        const belowMax = typeof condition.max !== 'number' || value < condition.max;
+        return atLeastMin && belowMax ? [value] : [];
       }
 
-      // Check domain length
-      if (domain.length < 4) {
-        flags.push({
-          type: 'domain_too_short',
-          severity: 'medium',
-          message: 'Website domain is very short',
-          impact: -10
-        });
-        score -= 10;
+      case 'label_count_above':
+        return text && text.split('.').length > condition.value ? [value] : [];
+
+      case 'max_char_frequency_above': {
+        const counts = {};
+        for (const char of text) {
+          counts[char] = (counts[char] || 0) + 1;
+        }
+        const maxRepeats = Math.max(0, ...Object.values(counts));
+        return maxRepeats > condition.value ? [value] : [];
       }
 
-      // Check for subdomain depth (too many subdomains can be suspicious)
-      const parts = domain.split('.');
-      if (parts.length > 4) {
-        flags.push({
-          type: 'too_many_subdomains',
-          severity: 'medium',
-          message: 'Website has many subdomains',
-          impact: -5
-        });
-        score -= 5;
+      case 'all_caps':
+        return text === text.toUpperCase() && text.length >= (condition.minLength || 1) ? [value] : [];
+
+      case 'impersonates_brand':
+        return text ? brandImpersonation.analyzeDomain(text) : [];
+
+      case 'prompt_injection': {
+        // One match per field, so a single payload tripping several markers flags once
+        const markers = value !== null && typeof value === 'object'
+          ? promptInjectionDetector.scan(value).markers
+          : promptInjectionDetector.scanText(text);
+        return markers.filter((marker, index) => markers.findIndex(other => other.field === marker.field) === index);
       }
 
-      return { score: Math.max(0, score), flags };
-    } catch (error) {
-      logger.error('Website analysis error', { error: error.message, websiteUrl });
-      flags.push({
-        type: 'website_analysis_error',
-        severity: 'medium',
-        message: 'Could not analyze website',
-        impact: -10
-      });
-      return { score: 65, flags };
+      default:
+        throw new Error(`Unknown condition type: ${condition.type}`);
     }
   }
 
   /**
-   * Analyze phone number
+   * Build a flag from a fired rule, filling {{match}} and {{value}} in the message.
+   * Object matches (e.g. brand impersonation) also fill {{match.<key>}} and are copied onto the flag.
    */
-  analyzePhone(phoneNumber) {
-    const flags = [];
-    let score = 80; // Start with good score
-
-    if (!phoneNumber) {
-      flags.push({
-        type: 'missing_phone',
-        severity: 'medium',
-        message: 'Phone number is missing',
-        impact: -15
-      });
-      return { score: 65, flags };
-    }
-
-    // Clean phone number for analysis
-    const cleanPhone = phoneNumber.replace(/[\s\-\(\)\+]/g, '');
-
-    // Check length
-    if (cleanPhone.length < 10 || cleanPhone.length > 15) {
-      flags.push({
-        type: 'invalid_phone_length',
-        severity: 'medium',
-        message: 'Phone number has invalid length',
-        impact: -10
-      });
-      score -= 10;
-    }
+  buildFlag(rule, match, value) {
+    const isObjectMatch = match !== null && typeof match === 'object';
+    const message = rule.message
+      .replace(/\{\{match\.(\w+)\}\}/g, (_, key) => isObjectMatch && match[key] !== undefined ? String(match[key]) : '')
+      .replace(/\{\{match\}\}/g, match === null || match === undefined || isObjectMatch ? '' : String(match))
+      .replace(/\{\{value\}\}/g, value === null || value === undefined ? '' : String(value));
+
+    return {
+      ...(isObjectMatch && match),
+      type: rule.flag,
+      severity: rule.severity,
+      message,
+      impact: rule.impact,
+      ruleId: rule.id
+    };
+  }
 
-    // Check for spam patterns
-    for (const pattern of this.spamPatterns.phone) {
-      if (pattern.test(phoneNumber)) {
-        flags.push({
-          type: 'spam_phone_pattern',
-          severity: 'high',
-          message: 'Phone number matches spam pattern',
-          impact: -20
-        });
-        score -= 20;
-      }
-    }
+  /**
+   * Check for suspicious keywords
+   */
+  checkKeywords(data) {
+    return this.evaluatePackByName('keywords', data);
+  }
 
-    // Check for repeated digits
-    const digitCounts = {};
-    for (const digit of cleanPhone) {
-      digitCounts[digit] = (digitCounts[digit] || 0) + 1;
-    }
+  /**
+   * Analyze email address
+   */
+  analyzeEmail(email) {
+    return this.evaluatePackByName('email', { businessEmail: email });
+  }
 
-    const maxRepeats = Math.max(...Object.values(digitCounts));
-    if (maxRepeats > 5) {
-      flags.push({
-        type: 'repeated_digits',
-        severity: 'medium',
-        message: 'Phone number has too many repeated digits',
-        impact: -15
-      });
-      score -= 15;
-    }
+  /**
+   * Analyze website URL
+   */
+  async analyzeWebsite(websiteUrl) {
+    return this.evaluatePackByName('website', { websiteUrl });
+  }
 
-    return { score: Math.max(0, score), flags };
+  /**
+   * Analyze phone number
+   */
+  analyzePhone(phoneNumber) {
+    return this.evaluatePackByName('phone', { phoneNumber });
   }
 
   /**
    * Analyze company name
    */
   analyzeCompanyName(companyName) {
-    const flags = [];
-    let score = 85; // Start with good score
-
-    if (!companyName || companyName.trim().length < 2) {
-      flags.push({
-        type: 'invalid_company_name',
-        severity: 'high',
-        message: 'Company name is too short or missing',
-        impact: -30
-      });
-      return { score: 55, flags };
-    }
-
-    // Check for suspicious patterns
-    const nameLower = companyName.toLowerCase().trim();
-    
-    // Check for numbers at the end (common in fake companies)
-    if (/\d{3,}$/.test(nameLower)) {
-      flags.push({
-        type: 'company_name_with_many_numbers',
-        severity: 'medium',
-        message: 'Company name ends with many numbers',
-        impact: -10
-      });
-      score -= 10;
-    }
-
-    // Check for very generic names
-    const genericNames = ['company', 'business', 'corp', 'inc', 'ltd', 'llc'];
-    if (genericNames.some(generic => nameLower === generic || nameLower.startsWith(generic + ' '))) {
-      flags.push({
-        type: 'generic_company_name',
-        severity: 'medium',
-        message: 'Company name is very generic',
-        impact: -5
-      });
-      score -= 5;
-    }
-
-    // Check for excessive capitalization
-    if (companyName === companyName.toUpperCase() && companyName.length > 10) {
-      flags.push({
-        type: 'excessive_caps',
-        severity: 'low',
-        message: 'Company name is all capitals',
-        impact: -3
-      });
-      score -= 3;
-    }
-
-    return { score: Math.max(0, score), flags };
+    return this.evaluatePackByName('companyName', { companyName });
   }
 
   /**
    * Analyze industry
    */
   analyzeIndustry(industry) {
-    const flags = [];
-    let score = 90; // Start with high score
-
-    if (!industry || industry.trim().length < 2) {
-      flags.push({
-        type: 'missing_industry',
-        severity: 'medium',
-        message: 'Industry information is missing or too short',
-        impact: -10
-      });
-      return { score: 80, flags };
-    }
-
-    // Industry is generally less problematic, so fewer checks
-    const industryLower = industry.toLowerCase().trim();
-    
-    // Check for vague industries
-    const vagueIndustries = ['other', 'various', 'multiple', 'general'];
-    if (vagueIndustries.includes(industryLower)) {
-      flags.push({
-        type: 'vague_industry',
-        severity: 'low',
-        message: 'Industry description is vague',
-        impact: -5
-      });
-      score -= 5;
-    }
-
-    return { score: Math.max(0, score), flags };
+    return this.evaluatePackByName('industry', { industry });
   }
 
   /**
    * Calculate final weighted score
    */
-  calculateFinalScore(details) {
-    const weights = {
-      keywordScore: 0.25,
-      emailDomainScore: 0.20,
-      websiteScore: 0.20,
-      phoneScore: 0.15,
-      companyNameScore: 0.15,
-      industryScore: 0.05
-    };
-
+  calculateFinalScore(details, packs = this.packs) {
     let weightedSum = 0;
     let totalWeight = 0;
 
-    for (const [component, weight] of Object.entries(weights)) {
-      if (details[component] !== undefined) {
-        weightedSum += details[component] * weight;
-        totalWeight += weight;
+    for (const pack of packs) {
+      if (details[pack.component] !== undefined) {
+        weightedSum += details[pack.component] * pack.weight;
+        totalWeight += pack.weight;
       }
     }
 
     // Apply penalty for high-severity flags
     let flagPenalty = 0;
     for (const flag of details.flags) {
-      if (flag.severity === 'high') flagPenalty += 5;
-      else if (flag.severity === 'medium') flagPenalty += 2;
-      else flagPenalty += 1;
+      flagPenalty += this.severityPenalties[flag.severity] || 1;
     }
 
     const baseScore = totalWeight > 0 ? (weightedSum / totalWeight) : 50;
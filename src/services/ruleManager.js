@@ -0,0 +1,258 @@
+const RuleSetVersion = require('../models/RuleSetVersion');
+const ruleBasedScoring = require('./ruleBasedScoring');
+const rulePackLoader = require('./rulePackLoader');
+const { AppError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+class RuleManagerService {
+  constructor() {
+    // Serializes rule changes so versions are assigned one at a time
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Activate the latest persisted rule set, seeding version 1 from the rule pack files
+   * when nothing has been stored yet. Falls back to the files if the database is unavailable.
+   */
+  async initialize() {
+    try {
+      const latest = await RuleSetVersion.findLatest();
+
+      if (latest) {
+        this.activate(latest.packs, latest.version);
+        this.warnOnFileDrift();
+        logger.info('Rule set activated', { version: latest.version });
+        return;
+      }
+
+      const definitions = ruleBasedScoring.packs.map(pack => pack.definition);
+      const seeded = await this.persistVersion(definitions, {
+        action: 'seed',
+        changedBy: 'system',
+        reason: 'Initial rule set from rule pack files'
+      });
+      this.activate(definitions, seeded.version);
+      logger.info('Rule set seeded from rule pack files', { version: seeded.version });
+    } catch (error) {
+      logger.warn('Rule set versioning unavailable, using rule pack files', { error: error.message });
+    }
+  }
+
+  /**
+   * Compile definitions and swap them into the rule-based scorer
+   */
+  activate(definitions, version) {
+    const packs = definitions.map(definition => rulePackLoader.compilePack(definition));
+    ruleBasedScoring.setRulePacks(packs, version);
+  }
+
+  /**
+   * Log packs whose file version differs from the active rule set
+   */
+  warnOnFileDrift() {
+    const active = new Map(ruleBasedScoring.packs.map(pack => [pack.pack, pack.version]));
+
+    for (const pack of rulePackLoader.loadAll()) {
+      if (active.get(pack.pack) !== pack.version) {
+        logger.warn('Rule pack file differs from active rule set; reload from files to import it', {
+          pack: pack.pack,
+          fileVersion: pack.version,
+          activeVersion: active.get(pack.pack) || null
+        });
+      }
+    }
+  }
+
+  /**
+   * Current rule set
+   */
+  getRuleSet() {
+    return {
+      version: ruleBasedScoring.ruleSetVersion,
+      packs: ruleBasedScoring.packs.map(pack => pack.definition)
+    };
+  }
+
+  /**
+   * Find a rule by id across all active packs
+   */
+  getRule(ruleId) {
+    for (const pack of ruleBasedScoring.packs) {
+      const rule = pack.definition.rules.find(r => r.id === ruleId);
+      if (rule) {
+        return { pack: pack.pack, rule };
+      }
+    }
+    throw new AppError(`Rule not found: ${ruleId}`, 404, 'RULE_NOT_FOUND');
+  }
+
+  /**
+   * Add a rule to an existing pack
+   */
+  createRule(packName, rule, { changedBy, reason } = {}) {
+    return this.applyChange((definitions) => {
+      const pack = definitions.find(p => p.pack === packName);
+      if (!pack) {
+        throw new AppError(`Rule pack not found: ${packName}`, 404, 'RULE_PACK_NOT_FOUND');
+      }
+      if (this.locateRule(definitions, rule.id)) {
+        throw new AppError(`Rule already exists: ${rule.id}`, 409, 'DUPLICATE_RULE');
+      }
+
+      pack.rules.push(rule);
+      return { action: 'create', pack: packName, ruleId: rule.id, before: null, after: rule };
+    }, { changedBy, reason });
+  }
+
+  /**
+   * Update fields of a rule, e.g. { enabled: false } to disable it or { impact: -30 } to re-weight it
+   */
+  updateRule(ruleId, changes, { changedBy, reason } = {}) {
+    return this.applyChange((definitions) => {
+      const location = this.requireRule(definitions, ruleId);
+      const before = location.pack.rules[location.index];
+      const after = { ...before, ...changes, id: ruleId };
+
+      location.pack.rules[location.index] = after;
+      return { action: 'update', pack: location.pack.pack, ruleId, before, after };
+    }, { changedBy, reason });
+  }
+
+  /**
+   * Remove a rule from its pack
+   */
+  deleteRule(ruleId, { changedBy, reason } = {}) {
+    return this.applyChange((definitions) => {
+      const location = this.requireRule(definitions, ruleId);
+      const [before] = location.pack.rules.splice(location.index, 1);
+
+      return { action: 'delete', pack: location.pack.pack, ruleId, before, after: null };
+    }, { changedBy, reason });
+  }
+
+  /**
+   * Re-read the rule set, either the latest stored version (e.g. changed by another instance)
+   * or the rule pack files, which are stored as a new version
+   */
+  reload(source = 'database', { changedBy, reason } = {}) {
+    if (source === 'files') {
+      return this.applyChange(() => {
+        const definitions = rulePackLoader.loadAll().map(pack => pack.definition);
+        return { action: 'import', definitions };
+      }, { changedBy, reason: reason || 'Imported rule pack files' });
+    }
+
+    return this.enqueue(async () => {
+      const latest = await RuleSetVersion.findLatest();
+      if (!latest) {
+        throw new AppError('No stored rule set version', 404, 'RULE_SET_NOT_FOUND');
+      }
+      this.activate(latest.packs, latest.version);
+      logger.info('Rule set reloaded', { version: latest.version });
+      return this.getRuleSet();
+    });
+  }
+
+  /**
+   * Audit trail of rule changes
+   */
+  getHistory(options = {}) {
+    return RuleSetVersion.getHistory(options);
+  }
+
+  /**
+   * Full snapshot of a stored version
+   */
+  async getVersion(version) {
+    const stored = await RuleSetVersion.findOne({ where: { version } });
+    if (!stored) {
+      throw new AppError(`Rule set version not found: ${version}`, 404, 'RULE_SET_NOT_FOUND');
+    }
+    return stored;
+  }
+
+  /**
+   * Apply a mutation to a copy of the active definitions, validate, persist as a new version
+   * and hot-swap it into the scorer
+   */
+  applyChange(mutate, { changedBy, reason }) {
+    return this.enqueue(async () => {
+      const definitions = JSON.parse(JSON.stringify(ruleBasedScoring.packs.map(pack => pack.definition)));
+      const change = mutate(definitions);
+      const nextDefinitions = change.definitions || definitions;
+
+      // Validate everything before anything is stored
+      try {
+        nextDefinitions.forEach(definition => rulePackLoader.compilePack(definition));
+      } catch (error) {
+        throw new AppError(error.message, 400, 'INVALID_RULE');
+      }
+
+      const stored = await this.persistVersion(nextDefinitions, {
+        action: change.action,
+        pack: change.pack,
+        ruleId: change.ruleId,
+        before: change.before,
+        after: change.after,
+        changedBy: changedBy || 'unknown',
+        reason
+      });
+
+      this.activate(nextDefinitions, stored.version);
+
+      logger.info('Rule set changed', {
+        version: stored.version,
+        action: change.action,
+        ruleId: change.ruleId,
+        changedBy: stored.changedBy
+      });
+
+      return {
+        version: stored.version,
+        action: change.action,
+        pack: change.pack || null,
+        ruleId: change.ruleId || null,
+        before: change.before || null,
+        after: change.after || null,
+        changedBy: stored.changedBy,
+        changedAt: stored.createdAt
+      };
+    });
+  }
+
+  async persistVersion(definitions, audit) {
+    const latest = await RuleSetVersion.findLatest();
+
+    return RuleSetVersion.create({
+      version: latest ? latest.version + 1 : 1,
+      packs: definitions,
+      ...audit
+    });
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  locateRule(definitions, ruleId) {
+    for (const pack of definitions) {
+      const index = pack.rules.findIndex(rule => rule.id === ruleId);
+      if (index !== -1) {
+        return { pack, index };
+      }
+    }
+    return null;
+  }
+
+  requireRule(definitions, ruleId) {
+    const location = this.locateRule(definitions, ruleId);
+    if (!location) {
+      throw new AppError(`Rule not found: ${ruleId}`, 404, 'RULE_NOT_FOUND');
+    }
+    return location;
+  }
+}
+
+module.exports = new RuleManagerService();
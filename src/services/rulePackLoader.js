@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+
+const BUILT_IN_DIR = path.join(__dirname, '..', 'config', 'rules');
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const CONDITION_TYPES = [
+  'missing',
+  'is_email',
+  'is_url',
+  'equals',
+  'in_list',
+  'contains_any',
+  'starts_with_word',
+  'matches_any',
+  'length_outside',
+  'number_in_range',
+  'label_count_above',
+  'max_char_frequency_above',
+  'all_caps',
+  'impersonates_brand',
+  'prompt_injection'
+];
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+class RulePackLoader {
+  constructor() {
+    this.builtInDir = BUILT_IN_DIR;
+    this.extraDir = process.env.RULE_PACKS_DIR || null;
+  }
+
+  /**
+   * Load built-in packs, then packs from RULE_PACKS_DIR.
+   * A pack from the extra directory replaces a built-in pack with the same name.
+   * @returns {Object[]} - Validated and compiled rule packs
+   */
+  loadAll() {
+    const packs = new Map();
+
+    for (const dir of [this.builtInDir, this.extraDir]) {
+      if (!dir) continue;
+
+      for (const pack of this.loadDirectory(dir)) {
+        if (packs.has(pack.pack)) {
+          logger.info('Rule pack overridden', {
+            pack: pack.pack,
+            previousVersion: packs.get(pack.pack).version,
+            version: pack.version,
+            source: pack.source
+          });
+        }
+        packs.set(pack.pack, pack);
+      }
+    }
+
+    logger.info('Rule packs loaded', {
+      packs: [...packs.values()].map(pack => `${pack.pack}@${pack.version}`)
+    });
+
+    return [...packs.values()];
+  }
+
+  /**
+   * Load every supported pack file in a directory
+   */
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      logger.warn('Rule pack directory not found', { dir });
+      return [];
+    }
+
+    const files = fs.readdirSync(dir)
+      .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    const packs = [];
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      try {
+        packs.push(this.loadFile(filePath));
+      } catch (error) {
+        logger.error('Failed to load rule pack', { file: filePath, error: error.message });
+      }
+    }
+    return packs;
+  }
+
+  /**
+   * Parse, validate and compile a single pack file
+   */
+  loadFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const definition = path.extname(filePath).toLowerCase() === '.json'
+      ? JSON.parse(raw)
+      : yaml.load(raw);
+
+    const pack = this.compilePack(definition);
+    pack.source = filePath;
+    return pack;
+  }
+
+  /**
+   * Validate a pack definition and precompile its rules
+   * @param {Object} definition - Raw pack definition (as read from JSON/YAML)
+   * @returns {Object} - Pack ready for evaluation
+   */
+  compilePack(definition) {
+    const errors = this.validatePack(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid rule pack "${definition && definition.pack}": ${errors.join('; ')}`);
+    }
+
+    return {
+      pack: definition.pack,
+      version: String(definition.version),
+      description: definition.description || '',
+      component: definition.component,
+      weight: definition.weight,
+      baseScore: definition.baseScore,
+      onError: definition.onError || null,
+      rules: definition.rules.map(rule => this.compileRule(rule)),
+      // Raw definition kept for persistence and editing
+      definition
+    };
+  }
+
+  /**
+   * Precompile regular expressions and normalize rule defaults
+   */
+  compileRule(rule) {
+    const condition = { ...rule.condition };
+
+    if (condition.type === 'matches_any') {
+      condition.regexes = condition.patterns.map(pattern => new RegExp(pattern, condition.flags || ''));
+    }
+
+    return {
+      ...rule,
+      enabled: rule.enabled !== false,
+      stop: rule.stop === true,
+      condition
+    };
+  }
+
+  /**
+   * Validate a pack definition
+   * @returns {string[]} - Validation errors (empty when valid)
+   */
+  validatePack(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+      return ['pack definition must be an object'];
+    }
+
+    if (!definition.pack || typeof definition.pack !== 'string') errors.push('"pack" name is required');
+    if (definition.version === undefined || definition.version === null) errors.push('"version" is required');
+    if (!definition.component || typeof definition.component !== 'string') errors.push('"component" is required');
+    if (typeof definition.weight !== 'number' || definition.weight < 0) errors.push('"weight" must be a non-negative number');
+    if (typeof definition.baseScore !== 'number') errors.push('"baseScore" must be a number');
+    if (!Array.isArray(definition.rules)) {
+      errors.push('"rules" must be an array');
+      return errors;
+    }
+
+    const ids = new Set();
+    definition.rules.forEach((rule, index) => {
+      const label = rule && rule.id ? rule.id : `rules[${index}]`;
+      for (const error of this.validateRule(rule)) {
+        errors.push(`${label}: ${error}`);
+      }
+      if (rule && rule.id) {
+        if (ids.has(rule.id)) errors.push(`${label}: duplicate rule id`);
+        ids.add(rule.id);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a single rule definition
+   * @returns {string[]} - Validation errors (empty when valid)
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+    if (!rule.id || typeof rule.id !== 'string') errors.push('"id" is required');
+    if (!rule.field || typeof rule.field !== 'string') errors.push('"field" is required');
+    if (typeof rule.impact !== 'number') errors.push('"impact" must be a number');
+
+    // Rules without a flag type only adjust the score (e.g. bonuses)
+    if (rule.flag !== undefined) {
+      if (typeof rule.flag !== 'string') errors.push('"flag" must be a string');
+      if (!SEVERITIES.includes(rule.severity)) errors.push(`"severity" must be one of: ${SEVERITIES.join(', ')}`);
+      if (typeof rule.message !== 'string') errors.push('"message" is required when "flag" is set');
+    }
+
+    const condition = rule.condition;
+    if (!condition || !CONDITION_TYPES.includes(condition.type)) {
+      errors.push(`"condition.type" must be one of: ${CONDITION_TYPES.join(', ')}`);
+      return errors;
+    }
+
+    switch (condition.type) {
+      case 'in_list':
+      case 'contains_any':
+      case 'starts_with_word':
+        if (!Array.isArray(condition.values) || condition.values.length === 0) {
+          errors.push('"condition.values" must be a non-empty array');
+        }
+        break;
+      case 'matches_any':
+        if (!Array.isArray(condition.patterns) || condition.patterns.length === 0) {
+          errors.push('"condition.patterns" must be a non-empty array');
+          break;
+        }
+        for (const pattern of condition.patterns) {
+          try {
+            new RegExp(pattern, condition.flags || '');
+          } catch (error) {
+            errors.push(`invalid pattern ${pattern}: ${error.message}`);
+          }
+        }
+        break;
+      case 'equals':
+        if (condition.value === undefined) errors.push('"condition.value" is required');
+        break;
+      case 'label_count_above':
+      case 'max_char_frequency_above':
+        if (typeof condition.value !== 'number') errors.push('"condition.value" must be a number');
+        break;
+      case 'length_outside':
+      case 'number_in_range':
+        if (typeof condition.min !== 'number' && typeof condition.max !== 'number') {
+          errors.push('"condition.min" or "condition.max" is required');
+        }
+        break;
+      default:
+        break;
+    }
+
+    return errors;
+  }
+}
+
+module.exports = new RulePackLoader();
+module.exports.CONDITION_TYPES = CONDITION_TYPES;
@@ -1,8 +1,17 @@
 const ruleBasedScoring = require('./ruleBasedScoring');
 const llmScoring = require('./llmScoring');
 const externalVerification = require('./externalVerification');
+const consistencyAnalyzer = require('./consistencyAnalyzer');
+const domainRegistration = require('./domainRegistration');
+const tlsInspector = require('./tlsInspector');
+const emailAuthentication = require('./emailAuthentication');
+const siteFingerprint = require('./siteFingerprint');
+const redirectTracer = require('./redirectTracer');
+const promptInjectionDetector = require('./promptInjectionDetector');
+const usageLedger = require('./usageLedger');
 const VerificationResult = require('../models/VerificationResult');
 const Recruiter = require('../models/Recruiter');
+const { parsePhone } = require('../utils/phone');
 const logger = require('../utils/logger');
 
 class ScoringWorkflowService {
@@ -15,6 +24,12 @@ class ScoringWorkflowService {
     };
     
     this.spamThreshold = parseInt(process.env.SPAM_THRESHOLD) || 70;
+
+    // Rule fields that are only known after external verification
+    this.externalRuleFields = Object.keys(this.buildExternalRuleFields({}, null));
+
+    // How far above the other signals an LLM score may be when recruiter fields contain injection markers
+    this.injectionMaxDivergence = parseInt(process.env.PROMPT_INJECTION_MAX_DIVERGENCE) || 20;
     
     // Validate weights sum to 1.0
     const totalWeight = Object.values(this.weights).reduce((sum, weight) => sum + weight, 0);
@@ -29,9 +44,11 @@ class ScoringWorkflowService {
   /**
    * Execute complete scoring workflow for a recruiter
    * @param {string} recruiterId - MongoDB ObjectId of the recruiter
+   * @param {Object} options
+   * @param {boolean} options.bypassCache - Re-query the LLM and external APIs instead of reusing cached results
    * @returns {Object} - Complete scoring results
    */
-  async scoreRecruiter(recruiterId) {
+  async scoreRecruiter(recruiterId, options = {}) {
     const workflowTimer = logger.startTimer('Complete scoring workflow');
     const startTime = Date.now();
     
@@ -48,18 +65,44 @@ class ScoringWorkflowService {
         company: recruiter.companyName
       });
 
-      // Execute scoring methods in parallel for better performance
-      const [ruleBasedResults, externalResults] = await Promise.allSettled([
-        this.executeRuleBasedScoring(recruiter),
-        this.executeExternalVerification(recruiter)
-      ]);
+      // Rule packs reading external verification fields (website title, domain age, TLS, ...) wait
+      // for it; the other packs are scored while the external checks run
+      const ruleSet = ruleBasedScoring.getActiveRuleSet();
+      const { reading: externalRuleSet, other: recruiterRuleSet } = ruleBasedScoring.splitRuleSet(
+        ruleSet,
+        this.externalRuleFields
+      );
 
-      // Handle the results
-      const processedRuleResults = this.handlePromiseResult(ruleBasedResults, 'rule-based');
+      const recruiterRuleData = this.buildRecruiterRuleData(recruiter.toJSON());
+      const [externalResults, recruiterRuleResults] = await Promise.allSettled([
+        this.executeExternalVerification(recruiter, options),
+        this.executeRuleBasedScoring(recruiterRuleData, recruiterRuleSet)
+      ]);
       const processedExternalResults = this.handlePromiseResult(externalResults, 'external');
 
-      // Execute LLM scoring with context from rule-based results
-      const llmResults = await this.executeLLMScoring(recruiter, processedRuleResults);
+      let processedRuleResults;
+      try {
+        if (recruiterRuleResults.status === 'rejected') throw recruiterRuleResults.reason;
+        const externalRuleResults = await this.executeRuleBasedScoring(
+          { ...recruiterRuleData, ...this.buildExternalRuleFields(recruiterRuleData, processedExternalResults) },
+          externalRuleSet
+        );
+        processedRuleResults = ruleBasedScoring.mergeResults([recruiterRuleResults.value, externalRuleResults], ruleSet);
+      } catch (error) {
+        processedRuleResults = this.buildFailedResult(error, 'rule-based');
+      }
+
+      // Execute LLM scoring with context from rule-based results, guarded against prompt injection.
+      // Once an LLM budget is spent, score without the LLM until the period ends.
+      const budget = await usageLedger.getBudgetStatus();
+      const llmResults = budget.exceeded
+        ? this.buildBudgetExceededResult(budget)
+        : this.applyInjectionGuard(
+          await this.executeLLMScoring(recruiter, processedRuleResults, options),
+          recruiter.toJSON(),
+          processedRuleResults,
+          processedExternalResults
+        );
 
       // Calculate final score
       const finalResults = this.calculateFinalScore({
@@ -81,13 +124,24 @@ class ScoringWorkflowService {
           score: processedRuleResults.score,
           details: processedRuleResults.details
         },
+        ruleSetVersion: processedRuleResults.ruleSetVersion ?? null,
         llmScore: {
           score: llmResults.score,
           model: llmResults.model,
+          provider: llmResults.provider,
+          promptVersion: llmResults.promptVersion || null,
           reasoning: llmResults.reasoning,
           confidence: llmResults.confidence,
           processingTime: llmResults.processingTime,
-          tokenUsage: llmResults.tokenUsage
+          tokenUsage: llmResults.tokenUsage,
+          estimatedCost: llmResults.estimatedCost || 0,
+          skipped: llmResults.skipped || false,
+          degraded: llmResults.degraded || null,
+          structuredOutput: llmResults.structuredOutput || null,
+          cached: llmResults.cached || false,
+          ensemble: llmResults.ensemble || null,
+          fewShotExamples: llmResults.fewShotExamples || [],
+          injectionGuard: llmResults.injectionGuard || null
         },
         externalVerification: processedExternalResults,
         processingMetrics: {
@@ -150,11 +204,13 @@ class ScoringWorkflowService {
 
   /**
    * Execute rule-based scoring
+   * @param {Object} ruleData - Recruiter data, plus external verification fields for packs that read them
+   * @param {Object} ruleSet - { packs, version } to score with
    */
-  async executeRuleBasedScoring(recruiter) {
+  async executeRuleBasedScoring(ruleData, ruleSet) {
     const timer = logger.startTimer('Rule-based scoring execution');
     try {
-      const results = await ruleBasedScoring.scoreRecruiter(recruiter.toJSON());
+      const results = await ruleBasedScoring.scoreRecruiter(ruleData, ruleSet);
       results.processingTime = timer.end();
       return results;
     } catch (error) {
@@ -163,13 +219,47 @@ class ScoringWorkflowService {
     }
   }
 
+  /**
+   * Recruiter data plus fields derived from external verification that rules can reference
+   */
+  buildRuleData(recruiterData, externalVerification) {
+    return {
+      ...this.buildRecruiterRuleData(recruiterData),
+      ...this.buildExternalRuleFields(recruiterData, externalVerification)
+    };
+  }
+
+  /**
+   * Recruiter data plus the phone number parsed once for all phone fields
+   */
+  buildRecruiterRuleData(recruiterData) {
+    return {
+      ...recruiterData,
+      parsedPhone: parsePhone(recruiterData.phoneNumber)
+    };
+  }
+
+  /**
+   * Rule fields derived from external verification (all null without it)
+   */
+  buildExternalRuleFields(recruiterData, externalVerification) {
+    return {
+      websiteTitle: consistencyAnalyzer.getWebsiteTitle(externalVerification),
+      ...domainRegistration.getRuleFields(externalVerification),
+      ...tlsInspector.getRuleFields(externalVerification),
+      ...emailAuthentication.getRuleFields(recruiterData, externalVerification),
+      ...siteFingerprint.getRuleFields(externalVerification),
+      ...redirectTracer.getRuleFields(recruiterData, externalVerification)
+    };
+  }
+
   /**
    * Execute LLM scoring
    */
-  async executeLLMScoring(recruiter, ruleBasedContext = null) {
+  async executeLLMScoring(recruiter, ruleBasedContext = null, options = {}) {
     const timer = logger.startTimer('LLM scoring execution');
     try {
-      const results = await llmScoring.scoreRecruiter(recruiter.toJSON(), ruleBasedContext);
+      const results = await llmScoring.scoreRecruiter(recruiter.toJSON(), ruleBasedContext, options);
       if (!results.processingTime) {
         results.processingTime = timer.end();
       }
@@ -180,13 +270,91 @@ class ScoringWorkflowService {
     }
   }
 
+  /**
+   * Stand-in LLM result when a daily or monthly LLM budget is exhausted (rule-only degraded mode):
+   * no model is called and calculateFinalScore leaves the LLM out
+   */
+  buildBudgetExceededResult(budget) {
+    logger.warn('LLM budget exceeded, scoring without the LLM', {
+      periods: budget.exceededPeriods,
+      daily: budget.daily,
+      monthly: budget.monthly
+    });
+
+    return {
+      score: null,
+      confidence: null,
+      reasoning: `LLM scoring skipped: ${budget.exceededPeriods.join(' and ')} LLM budget exceeded. Scored with rule-based and external verification results only.`,
+      redFlags: [],
+      positiveIndicators: [],
+      recommendation: 'manual_review',
+      model: null,
+      provider: null,
+      processingTime: 0,
+      tokenUsage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+      estimatedCost: 0,
+      skipped: true,
+      degraded: {
+        mode: 'rule_only',
+        reason: 'budget_exceeded',
+        periods: budget.exceededPeriods,
+        daily: budget.daily,
+        monthly: budget.monthly
+      }
+    };
+  }
+
+  /**
+   * Distrust an LLM score that sits well above the rule-based and external scores when the
+   * recruiter's fields contain prompt-injection markers: the model may have followed them.
+   * The score is capped at the other signals and confidence lowered so the decision goes to review.
+   */
+  applyInjectionGuard(llmResults, recruiterData, ruleBasedResults, externalResults) {
+    const scan = promptInjectionDetector.scan(recruiterData);
+    if (!scan.detected || llmResults.error) return llmResults;
+
+    const referenceScore = Math.round(
+      ((ruleBasedResults.score ?? 50) + this.calculateExternalScore(externalResults)) / 2
+    );
+    const divergence = llmResults.score - referenceScore;
+    const applied = divergence > this.injectionMaxDivergence;
+
+    const injectionGuard = {
+      applied,
+      markers: scan.markers.map(({ field, marker }) => ({ field, marker })),
+      originalScore: llmResults.score,
+      referenceScore,
+      divergence
+    };
+
+    if (!applied) {
+      return { ...llmResults, injectionGuard };
+    }
+
+    logger.warn('LLM score distrusted: prompt injection markers present', {
+      recruiterId: recruiterData.id,
+      ...injectionGuard
+    });
+
+    return {
+      ...llmResults,
+      score: referenceScore,
+      confidence: Math.min(llmResults.confidence, 30),
+      recommendation: 'manual_review',
+      redFlags: [...(llmResults.redFlags || []), 'PROMPT_INJECTION_SUSPECTED'],
+      injectionGuard
+    };
+  }
+
   /**
    * Execute external verification
    */
-  async executeExternalVerification(recruiter) {
+  async executeExternalVerification(recruiter, options = {}) {
     const timer = logger.startTimer('External verification execution');
     try {
-      const results = await externalVerification.verifyAll(recruiter.toJSON());
+      const results = await externalVerification.verifyAll(recruiter.toJSON(), options);
+      // Cloned sites can only be found against other recruiters' fingerprints
+      await siteFingerprint.matchClones(recruiter.toJSON(), results);
       if (!results.processingTime) {
         results.processingTime = timer.end();
       }
@@ -200,35 +368,40 @@ class ScoringWorkflowService {
   /**
    * Calculate final weighted score
    */
-  calculateFinalScore({ ruleBasedScore, llmScore, externalVerification }) {
+  calculateFinalScore({ ruleBasedScore, llmScore, externalVerification }, configuredWeights = this.weights) {
+    // Without an LLM score (budget exceeded) the other weights are scaled up to fill its share
+    const llmSkipped = Boolean(llmScore.skipped);
+    const weights = llmSkipped ? this.withoutLLMWeight(configuredWeights) : configuredWeights;
+
     // Extract individual scores
     const ruleScore = ruleBasedScore.score || 50;
-    const aiScore = llmScore.score || 50;
+    const aiScore = llmSkipped ? 0 : llmScore.score || 50;
     const externalScore = this.calculateExternalScore(externalVerification);
 
     // Calculate weighted score
     const weightedScore = (
-      ruleScore * this.weights.ruleBased +
-      aiScore * this.weights.llm +
-      externalScore * this.weights.external
+      ruleScore * weights.ruleBased +
+      aiScore * weights.llm +
+      externalScore * weights.external
     );
 
     // Calculate confidence based on score consistency and individual confidences
     const confidence = this.calculateConfidence({
       ruleScore,
-      aiScore,
+      aiScore: llmSkipped ? null : aiScore,
       externalScore,
-      aiConfidence: llmScore.confidence || 50
+      aiConfidence: llmSkipped ? 50 : llmScore.confidence || 50,
+      aiDisagreement: llmScore.ensemble?.succeeded > 1 ? llmScore.ensemble.stdDev : null
     });
 
     const breakdown = {
-      ruleBasedWeighted: ruleScore * this.weights.ruleBased,
-      llmWeighted: aiScore * this.weights.llm,
-      externalWeighted: externalScore * this.weights.external,
-      weights: this.weights,
+      ruleBasedWeighted: ruleScore * weights.ruleBased,
+      llmWeighted: aiScore * weights.llm,
+      externalWeighted: externalScore * weights.external,
+      weights,
       rawScores: {
         ruleBased: ruleScore,
-        llm: aiScore,
+        llm: llmSkipped ? null : aiScore,
         external: externalScore
       }
     };
@@ -240,6 +413,21 @@ class ScoringWorkflowService {
     };
   }
 
+  /**
+   * Weights with the LLM share redistributed proportionally over rule-based and external scoring
+   */
+  withoutLLMWeight(weights) {
+    const remaining = weights.ruleBased + weights.external;
+    if (remaining <= 0) {
+      return { ruleBased: 0.5, llm: 0, external: 0.5 };
+    }
+    return {
+      ruleBased: weights.ruleBased / remaining,
+      llm: 0,
+      external: weights.external / remaining
+    };
+  }
+
   /**
    * Calculate external verification score
    */
@@ -274,13 +462,22 @@ class ScoringWorkflowService {
 
   /**
    * Calculate overall confidence score
+   * @param {number|null} aiScore - LLM score, or null when the LLM was skipped
+   * @param {number|null} aiDisagreement - Standard deviation of LLM ensemble member scores, if any
    */
-  calculateConfidence({ ruleScore, aiScore, externalScore, aiConfidence }) {
+  calculateConfidence({ ruleScore, aiScore, externalScore, aiConfidence, aiDisagreement = null }) {
     // Base confidence from AI model
     let confidence = aiConfidence;
 
+    // Lower confidence when ensemble models disagree; reward unanimous ensembles
+    if (aiDisagreement !== null) {
+      if (aiDisagreement > 20) confidence -= 20;
+      else if (aiDisagreement > 10) confidence -= 10;
+      else if (aiDisagreement <= 5) confidence += 5;
+    }
+
     // Adjust based on score consistency
-    const scores = [ruleScore, aiScore, externalScore];
+    const scores = [ruleScore, aiScore, externalScore].filter(score => score !== null);
     const avg = scores.reduce((sum, score) => sum + score) / scores.length;
     const variance = scores.reduce((sum, score) => sum + Math.pow(score - avg, 2), 0) / scores.length;
     const standardDeviation = Math.sqrt(variance);
@@ -301,11 +498,11 @@ class ScoringWorkflowService {
   /**
    * Make final decision based on score and confidence
    */
-  makeDecision(finalScore, confidence) {
+  makeDecision(finalScore, confidence, spamThreshold = this.spamThreshold) {
     let decision = 'pending_review'; // default
     let recommendation = 'Manual review recommended due to uncertain score';
 
-    if (finalScore >= this.spamThreshold && confidence >= 70) {
+    if (finalScore >= spamThreshold && confidence >= 70) {
       decision = 'approved';
       recommendation = 'Recruiter appears legitimate and can be auto-approved';
     } else if (finalScore < 40 && confidence >= 60) {
@@ -346,15 +543,21 @@ class ScoringWorkflowService {
   handlePromiseResult(result, source) {
     if (result.status === 'fulfilled') {
       return result.value;
-    } else {
-      logger.error(`${source} scoring failed`, { error: result.reason.message });
-      return {
-        score: 50, // neutral score on failure
-        error: result.reason.message,
-        source,
-        details: { error: true }
-      };
     }
+    return this.buildFailedResult(result.reason, source);
+  }
+
+  /**
+   * Neutral stand-in for a failed scoring component
+   */
+  buildFailedResult(error, source) {
+    logger.error(`${source} scoring failed`, { error: error.message });
+    return {
+      score: 50, // neutral score on failure
+      error: error.message,
+      source,
+      details: { error: true }
+    };
   }
 
   /**
@@ -434,7 +637,7 @@ class ScoringWorkflowService {
    * Batch score multiple recruiters
    */
   async batchScoreRecruiters(recruiterIds, options = {}) {
-    const { concurrency = 3, continueOnError = true } = options;
+    const { concurrency = 3, continueOnError = true, bypassCache = false } = options;
     const results = [];
     
     logger.info('Starting batch scoring', { 
@@ -447,7 +650,7 @@ class ScoringWorkflowService {
       const batch = recruiterIds.slice(i, i + concurrency);
       const batchPromises = batch.map(async (recruiterId) => {
         try {
-          const result = await this.scoreRecruiter(recruiterId);
+          const result = await this.scoreRecruiter(recruiterId, { bypassCache });
           return { success: true, recruiterId, result };
         } catch (error) {
           logger.error('Batch scoring error', { recruiterId, error: error.message });
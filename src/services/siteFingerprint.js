@@ -0,0 +1,368 @@
+const crypto = require('crypto');
+const path = require('path');
+const cheerio = require('cheerio');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const SiteFingerprint = require('../models/SiteFingerprint');
+const SiteFingerprintBand = require('../models/SiteFingerprintBand');
+const { normalizeHost, getRegistrableDomain, getHostFromUrl } = require('../utils/domain');
+const logger = require('../utils/logger');
+
+// MinHash signature of 4-word shingles; similarity is the share of equal slots
+const SIGNATURE_SIZE = 64;
+const SHINGLE_WORDS = 4;
+// Signatures are indexed in bands of 4 slots: sites 85% alike share a band with near certainty, sites 30% alike rarely do
+const BAND_ROWS = 4;
+// Shorter texts have too few shingles for a stable similarity
+const MIN_SHINGLES = 10;
+// Simpler pages share a structure by chance
+const MIN_STRUCTURE_TAGS = 40;
+const MAX_STRUCTURE_TAGS = 3000;
+// Subtrees without visible text or layout of their own
+const IGNORED_TAGS = ['script', 'style', 'noscript', 'template', 'svg', 'iframe', 'head'];
+// Words of text that earn a site the substantial-content bonus when it matches no template
+const ORIGINAL_CONTENT_WORDS = 300;
+const PARKED_CATEGORIES = ['parked', 'coming_soon'];
+const MAX_CLONES_LISTED = 10;
+
+/**
+ * Lowercase, straight quotes, collapsed whitespace
+ */
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[‘’]/g, '\'')
+  .replace(/[“”]/g, '"')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * FNV-1a, 32 bits
+ */
+const hash32 = (text, seed) => {
+  let hash = (0x811c9dc5 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Website fingerprints: a hash of the page's tag structure and a MinHash signature of its text,
+ * matched against a local library of parked, coming-soon, placeholder and scam templates
+ * (src/config/siteTemplates.json) and against the sites of other recruiters
+ */
+class SiteFingerprintService {
+  constructor() {
+    this.loadLibrary(process.env.SITE_TEMPLATES_PATH || path.join(__dirname, '..', 'config', 'siteTemplates.json'));
+
+    const templateThreshold = parseFloat(process.env.TEMPLATE_MATCH_THRESHOLD);
+    this.templateThreshold = Number.isNaN(templateThreshold) ? 0.6 : templateThreshold;
+    const cloneThreshold = parseFloat(process.env.CLONE_SIMILARITY_THRESHOLD);
+    this.cloneThreshold = Number.isNaN(cloneThreshold) ? 0.85 : cloneThreshold;
+    // Most recent candidate fingerprints compared for clones
+    this.cloneWindow = parseInt(process.env.CLONE_SEARCH_WINDOW) || 5000;
+  }
+
+  /**
+   * Load the template library
+   */
+  loadLibrary(filePath) {
+    const config = require(path.resolve(filePath));
+    this.parkingNameservers = (config.parkingNameservers || []).map(host => normalizeHost(host));
+    this.templates = config.templates.map(template => ({
+      ...template,
+      markers: (template.markers || []).map(normalizeText),
+      structureHashes: template.structureHashes || [],
+      signature: template.text ? this.signatureOf(this.toWords(normalizeText(template.text))) : null
+    }));
+  }
+
+  /**
+   * Fingerprint a page
+   * @param {string} html
+   * @returns {Object} - { structureHash, tagCount, wordCount, signature, template, originalContent };
+   *                     template is the matched library entry ({ id, category, name, method }) or null
+   */
+  fingerprint(html) {
+    const $ = cheerio.load(html);
+    const tags = [];
+    const texts = [];
+
+    // Depth-first walk: tag names with their depth make the structure, text nodes the text
+    const walk = (node, depth) => {
+      for (const child of node.children || []) {
+        if (child.type === 'text') {
+          texts.push(child.data);
+        } else if (child.type === 'tag' && !IGNORED_TAGS.includes(child.name)) {
+          if (tags.length < MAX_STRUCTURE_TAGS) tags.push(`${depth}:${child.name}`);
+          walk(child, depth + 1);
+        }
+      }
+    };
+    walk($.root()[0], 0);
+
+    const text = normalizeText(texts.join(' '));
+    const words = this.toWords(text);
+    const fingerprint = {
+      structureHash: crypto.createHash('sha1').update(tags.join(' ')).digest('hex'),
+      tagCount: tags.length,
+      wordCount: words.length,
+      signature: this.signatureOf(words)
+    };
+
+    const template = this.matchTemplate(fingerprint, text);
+    return {
+      ...fingerprint,
+      template,
+      originalContent: !template && words.length >= ORIGINAL_CONTENT_WORDS
+    };
+  }
+
+  toWords(text) {
+    return text.replace(/[^\p{L}\p{N}\s'$]/gu, ' ').split(/\s+/).filter(Boolean);
+  }
+
+  /**
+   * MinHash signature of the word shingles, or null when the text is too short
+   */
+  signatureOf(words) {
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+      shingles.add(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    }
+    if (shingles.size < MIN_SHINGLES) return null;
+
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingle of shingles) {
+      // Double hashing stands in for SIGNATURE_SIZE independent hash functions
+      const a = hash32(shingle, 0);
+      const b = hash32(shingle, 0x5bd1e995) | 1;
+      for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        const value = (a + Math.imul(i, b)) >>> 0;
+        if (value < signature[i]) signature[i] = value;
+      }
+    }
+    return signature;
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures (0 when either is missing)
+   */
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * First library template the page matches: a listed structure hash, a marker phrase
+   * (on pages no longer than the template's maxWords), or text similar to the template's sample
+   */
+  matchTemplate(fingerprint, text) {
+    for (const template of this.templates) {
+      const describe = (method, extra = {}) => ({
+        id: template.id,
+        category: template.category,
+        name: template.name,
+        method,
+        ...extra
+      });
+
+      if (template.structureHashes.includes(fingerprint.structureHash)) {
+        return describe('structure');
+      }
+
+      if (!template.maxWords || fingerprint.wordCount <= template.maxWords) {
+        const marker = template.markers.find(candidate => text.includes(candidate));
+        if (marker) return describe('marker', { marker });
+      }
+
+      const similarity = this.similarity(fingerprint.signature, template.signature);
+      if (similarity >= this.templateThreshold) {
+        return describe('text', { similarity });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Hashes of the signature's bands (with their position), or none for pages without a signature
+   */
+  bandsOf(signature) {
+    if (!signature) return [];
+    const bands = [];
+    for (let i = 0; i < signature.length; i += BAND_ROWS) {
+      const slots = signature.slice(i, i + BAND_ROWS).join(',');
+      bands.push(crypto.createHash('sha1').update(`${i / BAND_ROWS}:${slots}`).digest('hex').slice(0, 16));
+    }
+    return bands;
+  }
+
+  /**
+   * Find other recruiters' sites on other domains that are near-duplicates of this recruiter's site,
+   * then record its fingerprint. Only sites sharing a signature band or the structure hash are loaded.
+   * The website fingerprint is replaced by a copy with clones and cloneCount (the scraped one may be cached).
+   * Sites that match a library template are neither compared nor recorded (they are flagged already).
+   * @param {Object} recruiter - Recruiter data (id, websiteUrl)
+   * @param {Object} externalVerification - verifyAll() results
+   */
+  async matchClones(recruiter, externalVerification) {
+    const website = externalVerification?.company?.details?.website;
+    const fingerprint = website?.fingerprint;
+    if (!fingerprint || fingerprint.template) return;
+
+    const host = getHostFromUrl(website.finalUrl || recruiter.websiteUrl);
+    if (!host) return;
+    const domain = getRegistrableDomain(host);
+    const bands = this.bandsOf(fingerprint.signature);
+
+    try {
+      const candidates = await this.findCandidates(recruiter.id, domain, fingerprint, bands);
+
+      const clones = new Map();
+      for (const candidate of candidates) {
+        const sameStructure = fingerprint.tagCount >= MIN_STRUCTURE_TAGS &&
+          candidate.structureHash === fingerprint.structureHash;
+        const similarity = this.similarity(fingerprint.signature, candidate.signature);
+        if (!sameStructure && similarity < this.cloneThreshold) continue;
+
+        const clone = clones.get(candidate.domain) || { domain: candidate.domain, recruiterIds: [], similarity: 0, sameStructure: false };
+        clone.recruiterIds.push(candidate.recruiterId);
+        clone.similarity = Math.max(clone.similarity, similarity);
+        clone.sameStructure = clone.sameStructure || sameStructure;
+        clones.set(candidate.domain, clone);
+      }
+
+      website.fingerprint = {
+        ...fingerprint,
+        cloneCount: clones.size,
+        clones: [...clones.values()]
+          .sort((a, b) => b.similarity - a.similarity)
+          .slice(0, MAX_CLONES_LISTED)
+      };
+
+      await this.record(recruiter.id, domain, fingerprint, bands);
+    } catch (error) {
+      logger.warn('Website clone search failed', { recruiterId: recruiter.id, error: error.message });
+    }
+  }
+
+  /**
+   * Most recent fingerprints of other recruiters on other domains that share a signature band
+   * or, for pages with enough tags, the structure hash
+   */
+  async findCandidates(recruiterId, domain, fingerprint, bands) {
+    const matches = [];
+
+    if (bands.length > 0) {
+      const sharingBand = await SiteFingerprintBand.findAll({
+        where: { band: { [Op.in]: bands }, recruiterId: { [Op.ne]: recruiterId } },
+        attributes: ['recruiterId'],
+        group: ['recruiterId'],
+        limit: this.cloneWindow,
+        raw: true
+      });
+      if (sharingBand.length > 0) {
+        matches.push({ recruiterId: { [Op.in]: sharingBand.map(row => row.recruiterId) } });
+      }
+    }
+    if (fingerprint.tagCount >= MIN_STRUCTURE_TAGS) {
+      matches.push({ structureHash: fingerprint.structureHash });
+    }
+    if (matches.length === 0) return [];
+
+    return SiteFingerprint.findAll({
+      where: { [Op.or]: matches, recruiterId: { [Op.ne]: recruiterId }, domain: { [Op.ne]: domain } },
+      order: [['updated_at', 'DESC']],
+      limit: this.cloneWindow
+    });
+  }
+
+  /**
+   * Store a recruiter's fingerprint and replace its signature bands
+   */
+  async record(recruiterId, domain, fingerprint, bands = this.bandsOf(fingerprint.signature)) {
+    await sequelize.transaction(async (transaction) => {
+      await SiteFingerprint.upsert({
+        recruiterId,
+        domain,
+        structureHash: fingerprint.structureHash,
+        tagCount: fingerprint.tagCount,
+        wordCount: fingerprint.wordCount,
+        signature: fingerprint.signature
+      }, { transaction });
+      await SiteFingerprintBand.destroy({ where: { recruiterId }, transaction });
+      await SiteFingerprintBand.bulkCreate(bands.map(band => ({ recruiterId, band })), { transaction });
+    });
+  }
+
+  /**
+   * Index the signature bands of fingerprints stored before bands existed
+   * @returns {Object} - { scanned, indexed }
+   */
+  async backfillBands({ batchSize = 500 } = {}) {
+    let scanned = 0;
+    let indexed = 0;
+    let lastId = 0;
+
+    for (;;) {
+      const rows = await SiteFingerprint.findAll({
+        where: { id: { [Op.gt]: lastId }, signature: { [Op.ne]: null } },
+        attributes: ['id', 'recruiterId', 'signature'],
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+      scanned += rows.length;
+
+      const banded = new Set((await SiteFingerprintBand.findAll({
+        where: { recruiterId: { [Op.in]: rows.map(row => row.recruiterId) } },
+        attributes: ['recruiterId'],
+        group: ['recruiterId'],
+        raw: true
+      })).map(row => row.recruiterId));
+
+      const missing = rows.filter(row => !banded.has(row.recruiterId));
+      await SiteFingerprintBand.bulkCreate(missing.flatMap(row =>
+        this.bandsOf(row.signature).map(band => ({ recruiterId: row.recruiterId, band }))
+      ));
+      indexed += missing.length;
+    }
+
+    return { scanned, indexed };
+  }
+
+  /**
+   * Whether the domain uses a parking service's name servers
+   */
+  usesParkingNameservers(nameservers = []) {
+    return nameservers.some(nameserver => this.parkingNameservers.some(parking =>
+      nameserver === parking || nameserver.endsWith(`.${parking}`)
+    ));
+  }
+
+  /**
+   * Rule fields from the company check's website fingerprint and the domain check's
+   * name servers (see the website rule pack)
+   */
+  getRuleFields(externalVerification) {
+    const fingerprint = externalVerification?.company?.details?.website?.fingerprint;
+    const parkingNameservers = this.usesParkingNameservers(externalVerification?.domain?.registration?.nameservers);
+    const category = fingerprint?.template?.category || null;
+
+    return {
+      websiteParked: fingerprint || parkingNameservers
+        ? parkingNameservers || PARKED_CATEGORIES.includes(category)
+        : null,
+      websiteTemplate: category && !PARKED_CATEGORIES.includes(category) ? category : null,
+      websiteCloneCount: typeof fingerprint?.cloneCount === 'number' ? fingerprint.cloneCount : null
+    };
+  }
+}
+
+module.exports = new SiteFingerprintService();
@@ -0,0 +1,175 @@
+const tls = require('tls');
+const net = require('net');
+const resultCache = require('./resultCache');
+const fixtureRecorder = require('./fixtureRecorder');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ACME CAs issuing free certificates within minutes of a request
+const FREE_CA_PATTERN = /let's encrypt|zerossl|buypass|google trust services/i;
+const FREE_CERT_MAX_LIFETIME_DAYS = 90;
+const SELF_SIGNED_ERRORS = ['DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN'];
+const HOSTNAME_MISMATCH_ERROR = 'ERR_TLS_CERT_ALTNAME_INVALID';
+
+/**
+ * Real TLS handshake with a website: certificate validity, issuer, age, SAN coverage,
+ * self-signed or expired status, and free short-lived certificates
+ */
+class TlsInspectorService {
+  constructor() {
+    this.enabled = process.env.TLS_INSPECTION !== 'false';
+    this.timeout = parseInt(process.env.TLS_TIMEOUT) || 5000;
+  }
+
+  /**
+   * Inspect the certificate a host presents
+   * @param {string} host - Hostname (also sent as SNI)
+   * @param {number} port
+   * @param {Object} options - { bypassCache }
+   * @returns {Object|null} - Certificate facts with `problem` (null when the certificate is fine),
+   *                          { handshake: false, problem: 'handshake_failed' } when no TLS connection could be made,
+   *                          or null when inspection is disabled
+   */
+  async inspect(host, port = 443, options = {}) {
+    if (!this.enabled) return null;
+
+    try {
+      const { value: certificate, cached } = await resultCache.wrap(
+        'tls',
+        { host: host.toLowerCase(), port },
+        () => fixtureRecorder.wrap('tls', { host, port }, () => this.handshake(host, port)),
+        { bypass: options.bypassCache }
+      );
+      return { ...this.evaluate(certificate), cached };
+    } catch (error) {
+      // Not cached: refused or timed-out connections are often transient
+      return {
+        host,
+        port,
+        handshake: false,
+        error: error.message,
+        problem: 'handshake_failed'
+      };
+    }
+  }
+
+  /**
+   * Connect without rejecting bad certificates, so their problems can be reported
+   */
+  handshake(host, port) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host,
+        port,
+        servername: net.isIP(host) ? undefined : host,
+        rejectUnauthorized: false
+      });
+
+      socket.setTimeout(this.timeout, () => {
+        socket.destroy();
+        const error = new Error(`TLS handshake with ${host}:${port} timed out after ${this.timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      });
+
+      socket.once('secureConnect', () => {
+        try {
+          resolve(this.parseCertificate(host, port, socket));
+        } catch (error) {
+          reject(error);
+        } finally {
+          socket.end();
+        }
+      });
+      socket.once('error', reject);
+    });
+  }
+
+  /**
+   * Plain (cacheable) facts from the peer certificate of a connected socket
+   */
+  parseCertificate(host, port, socket) {
+    const certificate = socket.getPeerCertificate(true);
+    if (!certificate || !certificate.subject) {
+      throw new Error('No certificate presented');
+    }
+
+    const issuer = certificate.issuer || {};
+    const authorizationError = socket.authorizationError ? String(socket.authorizationError.code || socket.authorizationError) : null;
+    const validFrom = new Date(certificate.valid_from);
+    const validTo = new Date(certificate.valid_to);
+    const issuerName = issuer.O || issuer.CN || null;
+    const chainTrusted = socket.authorized || authorizationError === HOSTNAME_MISMATCH_ERROR;
+
+    return {
+      host,
+      port,
+      handshake: true,
+      authorized: socket.authorized,
+      authorizationError,
+      protocol: socket.getProtocol(),
+      cipher: socket.getCipher()?.name || null,
+      subject: certificate.subject.CN || null,
+      issuer: issuerName,
+      issuerCommonName: issuer.CN || null,
+      validFrom: validFrom.toISOString(),
+      validTo: validTo.toISOString(),
+      lifetimeDays: Math.round((validTo - validFrom) / DAY_MS),
+      san: (certificate.subjectaltname || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.startsWith('DNS:'))
+        .map(entry => entry.slice(4).toLowerCase()),
+      coversDomain: tls.checkServerIdentity(host, certificate) === undefined,
+      // A self-signed leaf is its own issuer
+      selfSigned: SELF_SIGNED_ERRORS.includes(authorizationError) ||
+        Boolean(certificate.issuerCertificate && certificate.issuerCertificate.fingerprint256 === certificate.fingerprint256),
+      // Only a trusted chain proves the issuer name (a self-signed certificate can claim any)
+      freeCa: Boolean(chainTrusted && issuerName && FREE_CA_PATTERN.test(issuerName)),
+      fingerprint256: certificate.fingerprint256 || null
+    };
+  }
+
+  /**
+   * Add time-dependent facts (computed on read, so cached certificates do not go stale) and the main problem
+   */
+  evaluate(certificate, now = Date.now()) {
+    const validFrom = new Date(certificate.validFrom).getTime();
+    const validTo = new Date(certificate.validTo).getTime();
+    const expired = now > validTo;
+    const notYetValid = now < validFrom;
+    const freeShortLived = certificate.freeCa && certificate.lifetimeDays <= FREE_CERT_MAX_LIFETIME_DAYS;
+
+    let problem = null;
+    if (expired) problem = 'expired';
+    else if (notYetValid) problem = 'not_yet_valid';
+    else if (certificate.selfSigned) problem = 'self_signed';
+    else if (!certificate.coversDomain) problem = 'domain_mismatch';
+    else if (!certificate.authorized) problem = 'untrusted';
+
+    return {
+      ...certificate,
+      valid: problem === null,
+      expired,
+      notYetValid,
+      ageHours: Math.floor((now - validFrom) / HOUR_MS),
+      expiresInDays: Math.floor((validTo - now) / DAY_MS),
+      freeShortLived,
+      problem
+    };
+  }
+
+  /**
+   * Rule fields from the domain check's TLS facts (see the website rule pack)
+   */
+  getRuleFields(externalVerification) {
+    const certificate = externalVerification?.domain?.tls;
+    return {
+      tlsProblem: certificate ? certificate.problem : null,
+      tlsFreeCertAgeHours: certificate?.freeShortLived ? certificate.ageHours : null
+    };
+  }
+}
+
+module.exports = new TlsInspectorService();
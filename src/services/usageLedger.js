@@ -0,0 +1,206 @@
+const path = require('path');
+const { Op, fn, col } = require('sequelize');
+const LlmUsage = require('../models/LlmUsage');
+const { getPeriodStarts } = require('../utils/periods');
+const logger = require('../utils/logger');
+
+const TOKENS_PER_PRICE_UNIT = 1000000;
+
+/**
+ * Records tokens and estimated cost of every LLM call and enforces daily/monthly spending budgets.
+ * Spend is summed from the llm_usage table, so budgets hold across instances (within the sync interval).
+ */
+class UsageLedgerService {
+  constructor() {
+    this.loadPricing(process.env.LLM_PRICING_PATH || path.join(__dirname, '..', 'config', 'llmPricing.json'));
+
+    // USD; 0 means no limit
+    this.budgets = {
+      daily: parseFloat(process.env.LLM_DAILY_BUDGET_USD) || 0,
+      monthly: parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || 0
+    };
+    this.syncInterval = (parseInt(process.env.LLM_BUDGET_SYNC_SECONDS) || 60) * 1000;
+
+    // Spend in the current day and month: last value read from the ledger plus calls recorded since
+    this.spend = null;
+    this.syncedAt = 0;
+  }
+
+  /**
+   * Load the price table (USD per million tokens, per provider and model)
+   */
+  loadPricing(filePath) {
+    this.pricing = require(path.resolve(filePath)).providers;
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Price for a model: exact match, longest model-name prefix, then the provider default
+   * @returns {Object|null} - { input, output } in USD per million tokens
+   */
+  getPrice(provider, model) {
+    const providerPricing = this.pricing[provider];
+    if (!providerPricing) return null;
+
+    const models = providerPricing.models || {};
+    if (models[model]) return models[model];
+
+    const prefix = Object.keys(models)
+      .filter(name => model && model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? models[prefix] : providerPricing.default || null;
+  }
+
+  /**
+   * Estimated USD cost of a call
+   */
+  estimateCost(provider, model, tokenUsage = {}) {
+    const price = this.getPrice(provider, model);
+    if (!price) {
+      if (!this.unpricedModels.has(`${provider}:${model}`)) {
+        this.unpricedModels.add(`${provider}:${model}`);
+        logger.warn('No price configured for LLM model, cost recorded as 0', { provider, model });
+      }
+      return 0;
+    }
+
+    const cost = ((tokenUsage.promptTokens || 0) * price.input + (tokenUsage.completionTokens || 0) * price.output)
+      / TOKENS_PER_PRICE_UNIT;
+    return Math.round(cost * 1000000) / 1000000;
+  }
+
+  /**
+   * Add a call to the ledger. Failures are logged, never thrown: accounting must not fail scoring.
+   * @param {Object} call - { provider, model, tokenUsage, recruiterId, promptVersion, attempts }
+   * @returns {number} - Estimated cost in USD
+   */
+  async record({ provider, model, tokenUsage = {}, recruiterId = null, promptVersion = null, attempts = 1 }) {
+    const estimatedCost = this.estimateCost(provider, model, tokenUsage);
+
+    if (this.spend) {
+      this.spend.daily += estimatedCost;
+      this.spend.monthly += estimatedCost;
+    }
+
+    try {
+      await LlmUsage.create({
+        provider,
+        model,
+        recruiterId,
+        promptVersion,
+        attempts,
+        promptTokens: tokenUsage.promptTokens || 0,
+        completionTokens: tokenUsage.completionTokens || 0,
+        totalTokens: tokenUsage.totalTokens || 0,
+        estimatedCost
+      });
+    } catch (error) {
+      logger.error('Failed to record LLM usage', { provider, model, estimatedCost, error: error.message });
+    }
+
+    return estimatedCost;
+  }
+
+  /**
+   * Re-read the current day's and month's spend from the ledger when stale or when a period rolled over
+   */
+  async syncSpend() {
+    const starts = getPeriodStarts();
+    const rolledOver = this.spend && this.spend.dayStart.getTime() !== starts.daily.getTime();
+    if (this.spend && !rolledOver && Date.now() - this.syncedAt < this.syncInterval) {
+      return this.spend;
+    }
+
+    const [daily, monthly] = await Promise.all([
+      LlmUsage.sum('estimatedCost', { where: { created_at: { [Op.gte]: starts.daily } } }),
+      LlmUsage.sum('estimatedCost', { where: { created_at: { [Op.gte]: starts.monthly } } })
+    ]);
+
+    this.spend = {
+      dayStart: starts.daily,
+      daily: parseFloat(daily) || 0,
+      monthly: parseFloat(monthly) || 0
+    };
+    this.syncedAt = Date.now();
+    return this.spend;
+  }
+
+  /**
+   * Spend against the daily and monthly budgets. If the ledger cannot be read the last known
+   * spend is used, and scoring is not blocked when there is none.
+   * @returns {Object} - { exceeded, exceededPeriods, daily: { limit, spent, remaining }, monthly }
+   */
+  async getBudgetStatus() {
+    if (!this.budgets.daily && !this.budgets.monthly) {
+      return { exceeded: false, exceededPeriods: [], daily: null, monthly: null };
+    }
+
+    let spend = this.spend;
+    try {
+      spend = await this.syncSpend();
+    } catch (error) {
+      logger.warn('LLM budget check could not read the usage ledger', { error: error.message });
+    }
+
+    const status = { exceeded: false, exceededPeriods: [] };
+    for (const period of ['daily', 'monthly']) {
+      const limit = this.budgets[period];
+      if (!limit) {
+        status[period] = null;
+        continue;
+      }
+
+      const spent = spend ? Math.round(spend[period] * 10000) / 10000 : null;
+      status[period] = { limit, spent, remaining: spent === null ? null : Math.max(0, Math.round((limit - spent) * 10000) / 10000) };
+      if (spent !== null && spent >= limit) {
+        status.exceeded = true;
+        status.exceededPeriods.push(period);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Calls, tokens and cost since a date, in total and per provider/model
+   */
+  async getUsageSummary(since) {
+    const rows = await LlmUsage.findAll({
+      where: { created_at: { [Op.gte]: since } },
+      attributes: [
+        'provider',
+        'model',
+        [fn('COUNT', col('id')), 'calls'],
+        [fn('SUM', col('attempts')), 'attempts'],
+        [fn('SUM', col('prompt_tokens')), 'promptTokens'],
+        [fn('SUM', col('completion_tokens')), 'completionTokens'],
+        [fn('SUM', col('total_tokens')), 'totalTokens'],
+        [fn('SUM', col('estimated_cost')), 'estimatedCost']
+      ],
+      group: ['provider', 'model'],
+      raw: true
+    });
+
+    const byModel = rows.map(row => ({
+      provider: row.provider,
+      model: row.model,
+      calls: parseInt(row.calls) || 0,
+      attempts: parseInt(row.attempts) || 0,
+      promptTokens: parseInt(row.promptTokens) || 0,
+      completionTokens: parseInt(row.completionTokens) || 0,
+      totalTokens: parseInt(row.totalTokens) || 0,
+      estimatedCost: Math.round((parseFloat(row.estimatedCost) || 0) * 10000) / 10000
+    })).sort((a, b) => b.estimatedCost - a.estimatedCost);
+
+    const totals = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 };
+    for (const row of byModel) {
+      for (const key of Object.keys(totals)) totals[key] += row[key];
+    }
+    totals.estimatedCost = Math.round(totals.estimatedCost * 10000) / 10000;
+
+    return { ...totals, byModel };
+  }
+}
+
+module.exports = new UsageLedgerService();
@@ -0,0 +1,118 @@
+const axios = require('axios');
+const providerGuard = require('../providerGuard');
+const fixtureRecorder = require('../fixtureRecorder');
+
+// Placeholder values from env.example that must not be sent to an API
+const PLACEHOLDER_KEYS = [
+  'your_gemini_api_key_here',
+  'your_hunter_io_api_key',
+  'your_clearbit_api_key',
+  'your_numverify_api_key'
+];
+
+/**
+ * Interface every external verifier plugin implements. A verifier performs one check
+ * (email, phone, company or domain) from the recruiter fields it declares as inputs.
+ * Subclasses override verify() and, for remote APIs, testConnection().
+ */
+class BaseVerifier {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Verifier name used in chains (hunter, dns-email, ...)
+   * @param {string} config.check - email, phone, company or domain
+   * @param {string[]} config.inputs - Recruiter fields passed to verify()
+   * @param {string[]} config.outputs - Result fields the verifier fills in (besides score, isValid, provider, source)
+   * @param {number} config.cost - Estimated USD per uncached call (0 for offline checks)
+   * @param {number} config.timeout - Max ms per request (the orchestrator allows for retries on top)
+   * @param {number} config.extraTime - Ms the orchestrator allows on top of the request deadline (e.g. a rendered crawl)
+   * @param {string[]} config.fallback - Verifiers tried next when this one is not configured or fails
+   * @param {string} config.apiKey - Credential, for verifiers that call a paid API
+   * @param {boolean} config.requiresApiKey - Whether the verifier is unusable without apiKey
+   */
+  constructor(config = {}) {
+    this.name = config.name;
+    this.check = config.check;
+    this.inputs = config.inputs || [];
+    this.outputs = config.outputs || [];
+    this.cost = config.cost || 0;
+    this.timeout = config.timeout || 10000;
+    this.extraTime = config.extraTime || 0;
+    this.fallback = config.fallback || [];
+    this.apiKey = config.apiKey;
+    this.requiresApiKey = Boolean(config.requiresApiKey);
+
+    this.httpClient = fixtureRecorder.instrumentAxios(axios.create({
+      timeout: this.timeout,
+      headers: {
+        'User-Agent': 'RecruitSpamDetector/1.0'
+      }
+    }));
+  }
+
+  /**
+   * Whether the verifier has the credentials it needs
+   */
+  isConfigured() {
+    return !this.requiresApiKey || this.isValidApiKey(this.apiKey);
+  }
+
+  /**
+   * Check if API key is valid (not placeholder or empty)
+   */
+  isValidApiKey(key) {
+    return Boolean(key) &&
+           key.trim() !== '' &&
+           !key.includes('placeholder') &&
+           !key.includes('your_') &&
+           !key.includes('demo_') &&
+           !PLACEHOLDER_KEYS.includes(key);
+  }
+
+  /**
+   * Make one API request through the provider's circuit breaker, retries and quotas
+   * @param {string} endpoint - Endpoint label for logs and quota accounting
+   * @param {Function} request - () => Promise
+   */
+  callApi(endpoint, request) {
+    return providerGuard.call(this.name, endpoint, request);
+  }
+
+  /**
+   * Run the check
+   * @param {Object} input - The declared input fields of the recruiter
+   * @param {Object} context - Shared per-check data (classification, parsed phone, ...), bypassCache,
+   *                           and fallbackFrom/fallbackError when an earlier verifier in the chain failed
+   * @returns {Object} - Result with at least score, isValid, provider and source; apiCalled and cached for APIs
+   */
+  async verify(input, context = {}) {
+    throw new Error(`${this.name} verifier does not implement verify()`);
+  }
+
+  /**
+   * Confirm credentials and connectivity
+   */
+  async testConnection() {
+    if (!this.isConfigured()) {
+      return { status: 'not_configured', message: 'API key not provided' };
+    }
+    return { status: 'success', message: 'No remote service to test' };
+  }
+
+  /**
+   * Plugin metadata, for the system config endpoint
+   */
+  describe() {
+    return {
+      name: this.name,
+      check: this.check,
+      inputs: this.inputs,
+      outputs: this.outputs,
+      cost: this.cost,
+      timeout: this.timeout,
+      fallback: this.fallback,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = BaseVerifier;
@@ -0,0 +1,81 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Per-provider circuit breaker. After failureThreshold consecutive provider failures the circuit
+ * opens and calls are refused without a request; after resetTimeout one trial call is let through
+ * (half-open), which closes the circuit on success and reopens it on failure.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} config - { name, failureThreshold, resetTimeout (ms) }
+   */
+  constructor({ name, failureThreshold = 5, resetTimeout = 30000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a call may go ahead; moves an open circuit to half-open once resetTimeout has passed
+   */
+  canRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+      logger.info('Circuit half-open, allowing a trial call', { provider: this.name });
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      logger.info('Circuit closed', { provider: this.name });
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        logger.warn('Circuit opened', { provider: this.name, failures: this.failures, resetTimeout: this.resetTimeout });
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Time when an open circuit will allow a trial call
+   */
+  getRetryAt() {
+    return this.state === 'open' ? new Date(this.openedAt + this.resetTimeout) : null;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAt: this.getRetryAt()
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
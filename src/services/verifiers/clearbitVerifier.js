@@ -0,0 +1,96 @@
+const BaseVerifier = require('./baseVerifier');
+const resultCache = require('../resultCache');
+const websiteCrawler = require('../websiteCrawler');
+const { scrapeWebsiteData, combineCompanyData } = require('./helpers');
+const logger = require('../../utils/logger');
+
+/**
+ * Company profile from Clearbit, combined with a scrape of the company website
+ */
+class ClearbitVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'clearbit',
+      check: 'company',
+      inputs: ['companyName', 'websiteUrl'],
+      outputs: ['details', 'socialPresence'],
+      // A rendered crawl runs under its own time limit
+      extraTime: websiteCrawler.isRendered() ? websiteCrawler.totalTimeout : 0,
+      cost: 0.05,
+      fallback: ['website'],
+      requiresApiKey: true,
+      ...config
+    });
+    this.baseUrl = config.baseUrl || 'https://company.clearbit.com/v1';
+  }
+
+  async verify({ companyName, websiteUrl }, context = {}) {
+    // Clearbit looks companies up by domain
+    if (!websiteUrl) return null;
+
+    const domain = new URL(websiteUrl).hostname.toLowerCase();
+
+    // Lookup and scrape run side by side so the pair fits in one verifier timeout
+    const [lookup, scrape] = await Promise.allSettled([
+      resultCache.wrap('clearbit', { domain }, () => this.lookup(domain), { bypass: context.bypassCache }),
+      resultCache.wrap(
+        'website',
+        { url: websiteUrl, mode: websiteCrawler.getMode() },
+        () => scrapeWebsiteData(this.httpClient, websiteUrl),
+        { bypass: context.bypassCache }
+      )
+    ]);
+
+    if (lookup.status === 'rejected') throw lookup.reason;
+    const { value: clearbitData, cached } = lookup.value;
+
+    let webData = null;
+    if (scrape.status === 'fulfilled') {
+      webData = scrape.value.value;
+    } else {
+      logger.warn('Website scraping failed', { error: scrape.reason.message });
+    }
+
+    const result = combineCompanyData(companyName, clearbitData, webData);
+    if (cached) {
+      result.apiCalled = false;
+      result.cached = true;
+    }
+    return result;
+  }
+
+  /**
+   * Get company data from Clearbit
+   */
+  async lookup(domain) {
+    try {
+      const response = await this.callApi('domains/find', () => this.httpClient.get(`${this.baseUrl}/domains/find`, {
+        params: { domain },
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      }));
+      logger.logExternalApiCall('clearbit', 'domains/find', true, Date.now());
+      return response.data;
+    } catch (error) {
+      logger.logExternalApiCall('clearbit', 'domains/find', false, Date.now(), error);
+      throw error;
+    }
+  }
+
+  async testConnection() {
+    if (!this.isConfigured()) return super.testConnection();
+
+    try {
+      await this.httpClient.get(`${this.baseUrl}/domains/find`, {
+        params: { domain: 'clearbit.com' },
+        headers: { 'Authorization': `Bearer ${this.apiKey}` }
+      });
+      return { status: 'success', message: 'Connected successfully' };
+    } catch (error) {
+      return { status: 'error', message: error.message };
+    }
+  }
+}
+
+module.exports = ClearbitVerifier;
@@ -0,0 +1,66 @@
+const BaseVerifier = require('./baseVerifier');
+const domainRegistration = require('../domainRegistration');
+const tlsInspector = require('../tlsInspector');
+const { checkDNS } = require('./helpers');
+const logger = require('../../utils/logger');
+
+/**
+ * Website domain check: DNS records, TLS certificate and registration record (age, registrar, privacy proxy).
+ * Registration age is scored by the domainRegistration rule pack, certificate problems by the website pack.
+ */
+class DnsDomainVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'dns-domain',
+      check: 'domain',
+      inputs: ['websiteUrl'],
+      outputs: ['isSSL', 'domain', 'tls', 'registration', 'details'],
+      ...config
+    });
+  }
+
+  async verify({ websiteUrl }, context = {}) {
+    const url = new URL(websiteUrl);
+    const domain = url.hostname;
+    const isHttps = url.protocol === 'https:';
+
+    // DNS, TLS handshake and registration lookups
+    const [dnsResult, certificate, registrationResult] = await Promise.all([
+      checkDNS(domain),
+      isHttps ? tlsInspector.inspect(domain, parseInt(url.port) || 443, { bypassCache: context.bypassCache }) : null,
+      domainRegistration.lookup(domain, { bypassCache: context.bypassCache })
+        .then(record => ({ record }))
+        .catch(error => ({ error }))
+    ]);
+
+    let score = dnsResult.isValid ? 70 : 20;
+    const details = { dns: dnsResult };
+
+    // SSL check: an https URL only counts when the handshake presents a valid certificate
+    // (without inspection, e.g. TLS_INSPECTION=false, the scheme is taken at its word)
+    const isSSL = isHttps && (certificate ? certificate.valid : true);
+    if (isSSL) {
+      score += 10;
+    }
+    details.ssl = isSSL;
+
+    // A failed registration lookup does not fail the domain check
+    if (registrationResult.error) {
+      logger.warn('Domain registration lookup failed', { domain, error: registrationResult.error.message });
+      details.registrationError = registrationResult.error.message;
+    }
+
+    return {
+      isValid: dnsResult.isValid,
+      isSSL,
+      score: Math.min(100, score),
+      domain,
+      tls: certificate,
+      registration: registrationResult.record || null,
+      details,
+      source: 'dns'
+    };
+  }
+}
+
+module.exports = DnsDomainVerifier;
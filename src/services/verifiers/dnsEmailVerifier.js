@@ -0,0 +1,47 @@
+const BaseVerifier = require('./baseVerifier');
+const { checkDNS } = require('./helpers');
+
+/**
+ * Offline email check: the domain must have MX or A records
+ */
+class DnsEmailVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'dns-email',
+      check: 'email',
+      inputs: ['businessEmail'],
+      outputs: ['isDomainValid', 'details', 'classification'],
+      ...config
+    });
+  }
+
+  async verify(input, context = {}) {
+    const { classification } = context;
+    const dnsResult = await checkDNS(classification.domain);
+
+    // Standing in for a failed API scores lower than DNS-only by choice
+    if (context.fallbackFrom) {
+      return {
+        isValid: dnsResult.isValid,
+        isDomainValid: dnsResult.isValid,
+        score: dnsResult.isValid ? 40 : 10,
+        provider: 'dns-fallback',
+        classification,
+        source: 'dns',
+        apiCalled: false
+      };
+    }
+
+    return {
+      isValid: dnsResult.isValid,
+      isDomainValid: dnsResult.isValid,
+      score: dnsResult.isValid ? 60 : 20,
+      provider: 'dns-only',
+      details: { dnsCheck: dnsResult },
+      classification,
+      source: 'dns'
+    };
+  }
+}
+
+module.exports = DnsEmailVerifier;
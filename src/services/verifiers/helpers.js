@@ -0,0 +1,190 @@
+const dns = require('dns').promises;
+const cheerio = require('cheerio');
+const websiteCrawler = require('../websiteCrawler');
+const siteFingerprint = require('../siteFingerprint');
+const redirectTracer = require('../redirectTracer');
+const fixtureRecorder = require('../fixtureRecorder');
+const logger = require('../../utils/logger');
+
+/**
+ * Check DNS records for a domain
+ */
+const checkDNS = async (domain) => {
+  try {
+    const [mxRecords, aRecords] = await Promise.allSettled([
+      fixtureRecorder.wrap('dns', { type: 'MX', name: domain }, () => dns.resolveMx(domain)),
+      fixtureRecorder.wrap('dns', { type: 'A', name: domain }, () => dns.resolve4(domain))
+    ]);
+
+    return {
+      isValid: mxRecords.status === 'fulfilled' || aRecords.status === 'fulfilled',
+      hasMX: mxRecords.status === 'fulfilled',
+      hasA: aRecords.status === 'fulfilled',
+      mxRecords: mxRecords.status === 'fulfilled' ? mxRecords.value : [],
+      aRecords: aRecords.status === 'fulfilled' ? aRecords.value : []
+    };
+  } catch (error) {
+    return {
+      isValid: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Penalize premium-rate and VoIP numbers, which are cheap to obtain and common in scams
+ */
+const scoreLineType = (score, type) => {
+  if (type === 'premium_rate') return Math.max(0, score - 40);
+  if (type === 'voip') return Math.max(0, score - 20);
+  return score;
+};
+
+/**
+ * Scrape basic website data, rendered in headless Chrome when WEBSITE_SCRAPE_MODE=rendered
+ * @param {Object} httpClient - axios instance
+ */
+const scrapeWebsiteData = async (httpClient, websiteUrl) => {
+  if (websiteCrawler.isRendered()) {
+    try {
+      return renderWebsiteData(await websiteCrawler.crawl(websiteUrl), websiteUrl);
+    } catch (error) {
+      logger.warn('Rendered website crawl failed, using static scrape', { url: websiteUrl, error: error.message });
+      return { ...(await fetchStaticWebsiteData(httpClient, websiteUrl)), renderError: error.message };
+    }
+  }
+
+  return fetchStaticWebsiteData(httpClient, websiteUrl);
+};
+
+/**
+ * Home page fetched over HTTP (every redirect hop recorded) and parsed with cheerio:
+ * pages count as present when the home page links to them
+ */
+const fetchStaticWebsiteData = async (httpClient, websiteUrl) => {
+  const { response, chain } = await redirectTracer.trace(httpClient, websiteUrl, {
+    timeout: 5000 // Shorter timeout for web scraping, for the whole redirect chain
+  });
+
+  const $ = cheerio.load(response.data);
+
+  return {
+    title: $('title').text().trim(),
+    description: $('meta[name="description"]').attr('content') || '',
+    hasContactPage: $('a[href*="contact"]').length > 0,
+    hasAboutPage: $('a[href*="about"]').length > 0,
+    hasPrivacyPolicy: $('a[href*="privacy"]').length > 0,
+    hasTermsOfService: $('a[href*="terms"]').length > 0,
+    socialLinks: {
+      linkedin: $('a[href*="linkedin.com"]').length > 0,
+      twitter: $('a[href*="twitter.com"]').length > 0,
+      facebook: $('a[href*="facebook.com"]').length > 0
+    },
+    contentLength: response.data.length,
+    isSSL: websiteUrl.startsWith('https://'),
+    statusCode: response.status,
+    mode: 'static',
+    finalUrl: chain.finalUrl,
+    redirectChain: chain,
+    fingerprint: typeof response.data === 'string' ? siteFingerprint.fingerprint(response.data) : null
+  };
+};
+
+/**
+ * Same shape from a rendered crawl: pages count as present only when their link resolves to real content
+ */
+const renderWebsiteData = (crawl, websiteUrl) => {
+  const linksTo = (pattern) => crawl.links.some(href => pattern.test(href));
+
+  return {
+    title: crawl.title,
+    description: crawl.description,
+    hasContactPage: crawl.pages.contact.resolves,
+    hasAboutPage: crawl.pages.about.resolves,
+    hasCareersPage: crawl.pages.careers.resolves,
+    hasPrivacyPolicy: crawl.pages.privacy.resolves,
+    hasTermsOfService: linksTo(/terms/i),
+    socialLinks: {
+      linkedin: linksTo(/linkedin\.com/i),
+      twitter: linksTo(/twitter\.com|\/\/(www\.)?x\.com/i),
+      facebook: linksTo(/facebook\.com/i)
+    },
+    contentLength: crawl.contentLength,
+    isSSL: websiteUrl.startsWith('https://'),
+    statusCode: crawl.statusCode,
+    mode: 'rendered',
+    finalUrl: crawl.finalUrl,
+    redirects: crawl.redirects,
+    redirectChain: redirectTracer.fromBrowser(websiteUrl, crawl),
+    text: crawl.text,
+    pages: crawl.pages,
+    fingerprint: siteFingerprint.fingerprint(crawl.html)
+  };
+};
+
+/**
+ * Combine company verification data
+ */
+const combineCompanyData = (companyName, clearbitData, webData) => {
+  let score = 40; // Base score
+  let isValid = false;
+  const details = {};
+
+  // Process Clearbit data
+  if (clearbitData) {
+    isValid = true;
+    score = 85;
+    details.clearbit = {
+      name: clearbitData.name,
+      domain: clearbitData.domain,
+      founded: clearbitData.foundedYear,
+      employees: clearbitData.metrics?.employees,
+      industry: clearbitData.category?.industry
+    };
+    if (clearbitData.name && companyName && clearbitData.name.toLowerCase().includes(companyName.toLowerCase())) {
+      score += 10; // Name matches
+    }
+  }
+
+  // Process web scraping data
+  if (webData) {
+    isValid = true;
+    if (!clearbitData) score = 60; // Base score for web data only
+
+    // The redirect chain is kept next to the website data rather than inside it
+    const { redirectChain, ...website } = webData;
+    details.website = website;
+    if (redirectChain) details.redirectChain = redirectChain;
+
+    // Score adjustments based on website quality
+    if (webData.hasContactPage) score += 5;
+    if (webData.hasAboutPage) score += 5;
+    if (webData.hasPrivacyPolicy) score += 3;
+    if (webData.hasCareersPage) score += 3; // Only known from a rendered crawl
+    if (webData.isSSL) score += 5;
+    if (webData.socialLinks.linkedin) score += 8;
+    if (webData.socialLinks.twitter || webData.socialLinks.facebook) score += 3;
+    if (webData.fingerprint?.originalContent) score += 5; // Substantial text matching no parked or placeholder template
+  }
+
+  return {
+    isValid,
+    score: Math.min(100, score),
+    provider: clearbitData ? 'clearbit+scraping' : 'scraping',
+    details,
+    socialPresence: {
+      linkedin: webData?.socialLinks?.linkedin || false,
+      twitter: webData?.socialLinks?.twitter || false,
+      facebook: webData?.socialLinks?.facebook || false
+    },
+    apiCalled: !!clearbitData,
+    source: clearbitData ? 'clearbit' : 'scraping'
+  };
+};
+
+module.exports = {
+  checkDNS,
+  scoreLineType,
+  scrapeWebsiteData,
+  combineCompanyData
+};
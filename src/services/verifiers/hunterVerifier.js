@@ -0,0 +1,102 @@
+const BaseVerifier = require('./baseVerifier');
+const resultCache = require('../resultCache');
+const { checkDNS } = require('./helpers');
+const logger = require('../../utils/logger');
+
+/**
+ * Email deliverability from the Hunter.io email verifier
+ */
+class HunterVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'hunter',
+      check: 'email',
+      inputs: ['businessEmail'],
+      outputs: ['isDeliverable', 'isDomainValid', 'details', 'classification'],
+      cost: 0.01,
+      fallback: ['dns-email'],
+      requiresApiKey: true,
+      ...config
+    });
+    this.baseUrl = config.baseUrl || 'https://api.hunter.io/v2';
+  }
+
+  async verify({ businessEmail }, context = {}) {
+    const { classification } = context;
+    const dnsResult = await checkDNS(classification.domain);
+
+    const { value: data, cached } = await resultCache.wrap(
+      'hunter',
+      { email: businessEmail.toLowerCase() },
+      async () => {
+        try {
+          const response = await this.callApi('email-verifier', () => this.httpClient.get(`${this.baseUrl}/email-verifier`, {
+            params: {
+              email: businessEmail,
+              api_key: this.apiKey
+            }
+          }));
+          logger.logExternalApiCall('hunter.io', 'email-verifier', true, Date.now());
+          return response.data.data;
+        } catch (error) {
+          logger.logExternalApiCall('hunter.io', 'email-verifier', false, Date.now(), error);
+          throw error;
+        }
+      },
+      { bypass: context.bypassCache }
+    );
+
+    // Calculate score based on Hunter.io results
+    let score = 50; // base score
+    if (data.result === 'deliverable') score = 90;
+    else if (data.result === 'undeliverable') score = 10;
+    else if (data.result === 'risky') score = 30;
+    else if (data.result === 'unknown') score = 50;
+
+    // Adjust based on additional factors
+    if (data.mx_records) score += 5;
+    if (data.smtp_server) score += 5;
+    if (data.smtp_check) score += 10;
+
+    return {
+      isValid: data.result === 'deliverable',
+      isDeliverable: data.result === 'deliverable',
+      isDomainValid: data.mx_records || dnsResult.isValid,
+      provider: 'hunter.io',
+      score: Math.min(100, score),
+      details: {
+        result: data.result,
+        score: data.score,
+        email: data.email,
+        regexp: data.regexp,
+        gibberish: data.gibberish,
+        disposable: data.disposable || classification.isDisposable,
+        webmail: data.webmail || classification.isFree,
+        mx_records: data.mx_records,
+        smtp_server: data.smtp_server,
+        smtp_check: data.smtp_check,
+        accept_all: data.accept_all,
+        block: data.block
+      },
+      classification,
+      apiCalled: !cached,
+      cached,
+      source: 'hunter'
+    };
+  }
+
+  async testConnection() {
+    if (!this.isConfigured()) return super.testConnection();
+
+    try {
+      await this.httpClient.get(`${this.baseUrl}/account`, {
+        params: { api_key: this.apiKey }
+      });
+      return { status: 'success', message: 'Connected successfully' };
+    } catch (error) {
+      return { status: 'error', message: error.message };
+    }
+  }
+}
+
+module.exports = HunterVerifier;
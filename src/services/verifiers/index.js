@@ -0,0 +1,97 @@
+const path = require('path');
+const HunterVerifier = require('./hunterVerifier');
+const DnsEmailVerifier = require('./dnsEmailVerifier');
+const NumverifyVerifier = require('./numverifyVerifier');
+const PhoneParserVerifier = require('./phoneParserVerifier');
+const ClearbitVerifier = require('./clearbitVerifier');
+const WebsiteVerifier = require('./websiteVerifier');
+const DnsDomainVerifier = require('./dnsDomainVerifier');
+const logger = require('../../utils/logger');
+
+// Settings shared by every verifier
+const commonConfig = () => ({
+  timeout: parseInt(process.env.API_TIMEOUT) || 10000
+});
+
+// Verifier name -> factory reading its configuration from the environment;
+// overrides take precedence
+const verifiers = {
+  hunter: (overrides = {}) => new HunterVerifier({
+    ...commonConfig(),
+    apiKey: process.env.HUNTER_API_KEY,
+    ...overrides
+  }),
+
+  'dns-email': (overrides = {}) => new DnsEmailVerifier({ ...commonConfig(), ...overrides }),
+
+  numverify: (overrides = {}) => new NumverifyVerifier({
+    ...commonConfig(),
+    apiKey: process.env.NUMVERIFY_API_KEY,
+    ...overrides
+  }),
+
+  libphonenumber: (overrides = {}) => new PhoneParserVerifier({ ...commonConfig(), ...overrides }),
+
+  clearbit: (overrides = {}) => new ClearbitVerifier({
+    ...commonConfig(),
+    apiKey: process.env.CLEARBIT_API_KEY,
+    ...overrides
+  }),
+
+  website: (overrides = {}) => new WebsiteVerifier({ ...commonConfig(), ...overrides }),
+
+  'dns-domain': (overrides = {}) => new DnsDomainVerifier({ ...commonConfig(), ...overrides })
+};
+
+// Verifier tried first for each check; the rest of the chain follows its declared fallbacks
+const DEFAULT_PRIMARY = {
+  email: 'hunter',
+  phone: 'numverify',
+  company: 'clearbit',
+  domain: 'dns-domain'
+};
+
+/**
+ * Register an additional verifier factory (replaces a built-in with the same name)
+ */
+const registerVerifier = (name, factory) => {
+  verifiers[name] = factory;
+};
+
+/**
+ * Load verifier modules listed in VERIFIER_PLUGINS (comma-separated paths). Each module exports
+ * a factory (overrides) => verifier, usually a BaseVerifier subclass instance; it is registered
+ * under the verifier's name.
+ */
+const loadPlugins = (spec = process.env.VERIFIER_PLUGINS) => {
+  if (!spec) return;
+
+  for (const modulePath of spec.split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const factory = require(path.resolve(modulePath));
+    const { name, check } = factory();
+    registerVerifier(name, factory);
+    logger.info('Verifier plugin registered', { name, check, module: modulePath });
+  }
+};
+
+/**
+ * @param {string} name - Verifier name
+ * @param {Object} overrides - Config overriding the environment
+ */
+const createVerifier = (name, overrides = {}) => {
+  const factory = verifiers[name];
+  if (!factory) {
+    throw new Error(`Unknown verifier "${name}". Available: ${Object.keys(verifiers).join(', ')}`);
+  }
+  return factory(overrides);
+};
+
+const getVerifierNames = () => Object.keys(verifiers);
+
+module.exports = {
+  DEFAULT_PRIMARY,
+  createVerifier,
+  registerVerifier,
+  loadPlugins,
+  getVerifierNames
+};
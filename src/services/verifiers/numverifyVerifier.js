@@ -0,0 +1,110 @@
+const BaseVerifier = require('./baseVerifier');
+const resultCache = require('../resultCache');
+const { scoreLineType } = require('./helpers');
+const logger = require('../../utils/logger');
+
+/**
+ * Phone validity, carrier and line type from Numverify
+ */
+class NumverifyVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'numverify',
+      check: 'phone',
+      inputs: ['phoneNumber'],
+      outputs: ['e164', 'country', 'countryCode', 'carrier', 'lineType', 'details'],
+      cost: 0.002,
+      fallback: ['libphonenumber'],
+      requiresApiKey: true,
+      ...config
+    });
+    this.baseUrl = config.baseUrl || 'http://apilayer.net/api';
+  }
+
+  async verify({ phoneNumber }, context = {}) {
+    const parsed = context.parsedPhone;
+    const number = parsed?.e164 || phoneNumber;
+
+    const { value: data, cached } = await resultCache.wrap(
+      'numverify',
+      { number },
+      async () => {
+        try {
+          const response = await this.callApi('validate', async () => {
+            const apiResponse = await this.httpClient.get(`${this.baseUrl}/validate`, {
+              params: {
+                access_key: this.apiKey,
+                number,
+                country_code: '', // Let API detect
+                format: 1
+              }
+            });
+
+            // Numverify reports errors (bad key, usage limit) with a 200 response
+            if (apiResponse.data.error) {
+              throw new Error(apiResponse.data.error.info || 'Numverify API error');
+            }
+            return apiResponse;
+          });
+          logger.logExternalApiCall('numverify', 'validate', true, Date.now());
+          return response.data;
+        } catch (error) {
+          logger.logExternalApiCall('numverify', 'validate', false, Date.now(), error);
+          throw error;
+        }
+      },
+      { bypass: context.bypassCache }
+    );
+
+    // Calculate score based on validation results
+    let score = data.valid ? 80 : 20;
+    if (data.line_type === 'mobile') score += 10;
+    if (data.carrier && data.carrier.length > 0) score += 5;
+    if (data.valid) score = scoreLineType(score, parsed?.type);
+
+    return {
+      isValid: data.valid,
+      e164: parsed?.e164 || null,
+      country: data.country_name,
+      countryCode: data.country_code,
+      carrier: data.carrier,
+      lineType: data.line_type || parsed?.type || null,
+      provider: 'numverify',
+      score: Math.min(100, score),
+      details: {
+        valid: data.valid,
+        number: data.number,
+        local_format: data.local_format,
+        international_format: data.international_format,
+        country_prefix: data.country_prefix,
+        country_code: data.country_code,
+        country_name: data.country_name,
+        location: data.location,
+        carrier: data.carrier,
+        line_type: data.line_type,
+        parsed
+      },
+      apiCalled: !cached,
+      cached,
+      source: 'numverify'
+    };
+  }
+
+  async testConnection() {
+    if (!this.isConfigured()) return super.testConnection();
+
+    try {
+      await this.httpClient.get(`${this.baseUrl}/validate`, {
+        params: {
+          access_key: this.apiKey,
+          number: '+1234567890' // Test number
+        }
+      });
+      return { status: 'success', message: 'Connected successfully' };
+    } catch (error) {
+      return { status: 'error', message: error.message };
+    }
+  }
+}
+
+module.exports = NumverifyVerifier;
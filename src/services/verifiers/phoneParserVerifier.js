@@ -0,0 +1,38 @@
+const BaseVerifier = require('./baseVerifier');
+const { scoreLineType } = require('./helpers');
+
+/**
+ * Offline phone check with libphonenumber: validity, country and number type
+ */
+class PhoneParserVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'libphonenumber',
+      check: 'phone',
+      inputs: ['phoneNumber'],
+      outputs: ['e164', 'country', 'lineType', 'details'],
+      ...config
+    });
+  }
+
+  async verify(input, context = {}) {
+    const parsed = context.parsedPhone;
+    const isValid = Boolean(parsed?.isValid);
+    // Standing in for a failed API scores lower than offline-only by choice
+    const baseScore = context.fallbackFrom ? 30 : 50;
+
+    return {
+      isValid,
+      e164: parsed?.e164 || null,
+      country: parsed?.country || null,
+      lineType: parsed?.type || null,
+      score: isValid ? scoreLineType(baseScore, parsed.type) : context.fallbackFrom ? 10 : 20,
+      provider: context.fallbackFrom ? 'libphonenumber-fallback' : 'libphonenumber',
+      details: parsed,
+      source: 'validation',
+      apiCalled: false
+    };
+  }
+}
+
+module.exports = PhoneParserVerifier;
@@ -0,0 +1,43 @@
+const BaseVerifier = require('./baseVerifier');
+const resultCache = require('../resultCache');
+const websiteCrawler = require('../websiteCrawler');
+const { scrapeWebsiteData, combineCompanyData } = require('./helpers');
+const logger = require('../../utils/logger');
+
+/**
+ * Company check from the company website alone: title, legal pages, social links, size
+ */
+class WebsiteVerifier extends BaseVerifier {
+  constructor(config = {}) {
+    super({
+      name: 'website',
+      check: 'company',
+      inputs: ['companyName', 'websiteUrl'],
+      outputs: ['details', 'socialPresence'],
+      // A rendered crawl runs under its own time limit
+      extraTime: websiteCrawler.isRendered() ? websiteCrawler.totalTimeout : 0,
+      ...config
+    });
+  }
+
+  async verify({ companyName, websiteUrl }, context = {}) {
+    let webData = null;
+
+    if (websiteUrl) {
+      try {
+        webData = (await resultCache.wrap(
+          'website',
+          { url: websiteUrl, mode: websiteCrawler.getMode() },
+          () => scrapeWebsiteData(this.httpClient, websiteUrl),
+          { bypass: context.bypassCache }
+        )).value;
+      } catch (error) {
+        logger.warn('Website scraping failed', { error: error.message });
+      }
+    }
+
+    return combineCompanyData(companyName, null, webData);
+  }
+}
+
+module.exports = WebsiteVerifier;
@@ -0,0 +1,268 @@
+const { getRegistrableDomain, getHostFromUrl } = require('../utils/domain');
+const logger = require('../utils/logger');
+
+// Pages a real company site links to from its home page
+const PAGE_PATTERNS = {
+  about: /about|company|who-we-are|our-story/i,
+  contact: /contact/i,
+  careers: /careers?|jobs|join-us|work-with-us/i,
+  privacy: /privacy/i
+};
+// Images, fonts and media are never needed to read a page's text
+const BLOCKED_RESOURCES = ['image', 'media', 'font'];
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-extensions',
+  '--no-first-run',
+  '--mute-audio'
+];
+
+/**
+ * Rendered crawl of a company website in headless Chrome: renders the home page, follows its
+ * about, contact, careers and privacy links, and checks each resolves to a page with real content
+ */
+class WebsiteCrawlerService {
+  constructor() {
+    // static: one HTTP GET parsed with cheerio; rendered: this crawler
+    this.mode = process.env.WEBSITE_SCRAPE_MODE === 'rendered' ? 'rendered' : 'static';
+    this.totalTimeout = parseInt(process.env.RENDERED_CRAWL_TIMEOUT) || 20000;
+    this.pageTimeout = parseInt(process.env.RENDERED_PAGE_TIMEOUT) || 8000;
+    this.maxConcurrent = parseInt(process.env.RENDERED_MAX_CONCURRENT) || 2;
+    this.maxTextLength = parseInt(process.env.RENDERED_MAX_TEXT) || 10000;
+    this.minTextLength = parseInt(process.env.RENDERED_MIN_TEXT) || 200;
+    this.maxHeapMb = parseInt(process.env.RENDERED_MAX_HEAP_MB) || 256;
+    this.idleCloseMs = (parseInt(process.env.RENDERED_IDLE_CLOSE_SECONDS) || 60) * 1000;
+
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.waiting = [];
+    this.idleTimer = null;
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  isRendered() {
+    return this.mode === 'rendered';
+  }
+
+  /**
+   * Crawl a website within the total time limit
+   * @param {string} websiteUrl
+   * @returns {Object} - { statusCode, responseUrl, finalUrl, redirects, title, description, text, contentLength, html, links, pages }
+   */
+  async crawl(websiteUrl) {
+    await this.acquireSlot();
+    let context = null;
+
+    try {
+      const browser = await this.getBrowser();
+      // A fresh context per crawl: no cookies or storage shared between sites
+      context = await browser.createBrowserContext();
+
+      let timer;
+      const deadline = new Promise((resolve, reject) => {
+        timer = setTimeout(
+          () => reject(new Error(`Rendered crawl of ${websiteUrl} exceeded ${this.totalTimeout}ms`)),
+          this.totalTimeout
+        );
+      });
+
+      try {
+        return await Promise.race([this.crawlSite(context, websiteUrl), deadline]);
+      } finally {
+        clearTimeout(timer);
+      }
+    } finally {
+      if (context) await context.close().catch(() => {});
+      this.releaseSlot();
+    }
+  }
+
+  async crawlSite(context, websiteUrl) {
+    const home = await this.visit(context, websiteUrl, { collectLinks: true });
+    const homeHost = getHostFromUrl(home.finalUrl);
+    const pages = {};
+
+    // Same-site links first, so e.g. linkedin.com/company/... is not taken for the about page
+    const isSameSite = (href) => getRegistrableDomain(getHostFromUrl(href) || '') === getRegistrableDomain(homeHost || '');
+    const links = [
+      ...home.links.filter(link => isSameSite(link.href)),
+      ...home.links.filter(link => !isSameSite(link.href))
+    ];
+
+    for (const [type, pattern] of Object.entries(PAGE_PATTERNS)) {
+      const link = links.find(candidate => pattern.test(candidate.href) || pattern.test(candidate.text));
+      if (!link) {
+        pages[type] = { found: false, url: null, resolves: false };
+        continue;
+      }
+
+      const page = await this.visit(context, link.href).catch(error => ({ error: error.message }));
+      pages[type] = this.summarizePage(link, page, home, isSameSite(link.href));
+    }
+
+    return {
+      statusCode: home.statusCode,
+      responseUrl: home.responseUrl,
+      finalUrl: home.finalUrl,
+      redirects: home.redirects,
+      title: home.title,
+      description: home.description,
+      text: home.text,
+      contentLength: home.contentLength,
+      html: home.html,
+      links: home.links.map(link => link.href),
+      pages
+    };
+  }
+
+  /**
+   * Render one page
+   */
+  async visit(context, url, options = {}) {
+    const page = await context.newPage();
+
+    try {
+      await page.setRequestInterception(true);
+      page.on('request', request => {
+        if (BLOCKED_RESOURCES.includes(request.resourceType())) request.abort().catch(() => {});
+        else request.continue().catch(() => {});
+      });
+      page.on('dialog', dialog => dialog.dismiss().catch(() => {}));
+
+      const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: this.pageTimeout });
+      if (!response) {
+        throw new Error(`No response from ${url}`);
+      }
+
+      const redirects = response.request().redirectChain().map(request => ({
+        url: request.url(),
+        statusCode: request.response() ? request.response().status() : null
+      }));
+
+      const content = await page.evaluate((collectLinks) => ({
+        title: document.title || '',
+        description: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+        text: document.body ? document.body.innerText : '',
+        html: document.documentElement.outerHTML,
+        links: collectLinks
+          ? Array.from(document.querySelectorAll('a[href]')).map(anchor => ({
+            href: anchor.href,
+            text: (anchor.innerText || anchor.getAttribute('aria-label') || '').trim()
+          }))
+          : []
+      }), Boolean(options.collectLinks));
+
+      return {
+        statusCode: response.status(),
+        // URL the server answered from; the page can navigate on from there (meta refresh, script)
+        responseUrl: response.url(),
+        finalUrl: page.url(),
+        redirects,
+        title: content.title.trim(),
+        description: content.description,
+        text: content.text.replace(/\s+/g, ' ').trim().slice(0, this.maxTextLength),
+        contentLength: content.html.length,
+        html: options.collectLinks ? content.html : null,
+        links: content.links.filter(link => /^https?:/i.test(link.href))
+      };
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * A page resolves when it loads without an HTTP error and shows its own content:
+   * not a stub, and not the home page again (anchors to "#" or a catch-all route)
+   */
+  summarizePage(link, page, home, sameSite) {
+    const summary = {
+      found: true,
+      url: link.href,
+      sameSite,
+      resolves: false
+    };
+
+    if (page.error) {
+      return { ...summary, error: page.error };
+    }
+
+    const isHomePage = page.finalUrl.replace(/[#?].*$/, '') === home.finalUrl.replace(/[#?].*$/, '') ||
+      page.text === home.text;
+
+    return {
+      ...summary,
+      finalUrl: page.finalUrl,
+      statusCode: page.statusCode,
+      title: page.title,
+      textLength: page.text.length,
+      text: page.text,
+      resolves: page.statusCode < 400 && page.text.length >= this.minTextLength && !isHomePage
+    };
+  }
+
+  /**
+   * Shared browser, launched on first use and closed after sitting idle
+   */
+  async getBrowser() {
+    if (this.browser && this.browser.connected) return this.browser;
+
+    if (!this.launching) {
+      // Required lazily so static mode never loads puppeteer
+      const puppeteer = require('puppeteer');
+      this.launching = puppeteer.launch({
+        headless: true,
+        args: [...LAUNCH_ARGS, `--js-flags=--max-old-space-size=${this.maxHeapMb}`]
+      }).then(browser => {
+        this.browser = browser;
+        browser.on('disconnected', () => { this.browser = null; });
+        logger.info('Headless browser launched for rendered website crawls');
+        return browser;
+      }).finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Limit concurrent crawls; each one costs a renderer process
+   */
+  async acquireSlot() {
+    clearTimeout(this.idleTimer);
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    this.active--;
+    if (this.active === 0) {
+      this.idleTimer = setTimeout(() => this.close(), this.idleCloseMs);
+      this.idleTimer.unref();
+    }
+  }
+
+  async close() {
+    clearTimeout(this.idleTimer);
+    const browser = this.browser;
+    this.browser = null;
+    if (browser) await browser.close().catch(() => {});
+  }
+}
+
+module.exports = new WebsiteCrawlerService();
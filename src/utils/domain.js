@@ -0,0 +1,108 @@
+const net = require('net');
+const { domainToUnicode } = require('url');
+const tldts = require('tldts');
+
+// Public suffix list, including private suffixes (github.io, wixsite.com, herokuapp.com) under which
+// unrelated sites are registered, so each of them counts as its own registrable domain
+const PSL_OPTIONS = { allowPrivateDomains: true };
+
+/**
+ * Normalize a hostname: lowercase, no trailing dot, no port
+ */
+const normalizeHost = (host) => {
+  if (!host) return null;
+  return String(host).trim().toLowerCase().replace(/:\d+$/, '').replace(/\.$/, '');
+};
+
+const isIpAddress = (host) => net.isIP(normalizeHost(host) || '') !== 0;
+
+/**
+ * Public suffix of a hostname (e.g. "co.uk" for "jobs.acme.co.uk", "github.io" for "acme.github.io")
+ */
+const getPublicSuffix = (host) => {
+  const normalized = normalizeHost(host);
+  if (!normalized || isIpAddress(normalized) || !normalized.includes('.')) return null;
+  return tldts.getPublicSuffix(normalized, PSL_OPTIONS);
+};
+
+/**
+ * Registrable domain (e.g. "acme.co.uk" for "jobs.acme.co.uk"); the host itself for IP addresses and bare suffixes
+ */
+const getRegistrableDomain = (host) => {
+  const normalized = normalizeHost(host);
+  if (!normalized) return null;
+  if (isIpAddress(normalized)) return normalized;
+  return tldts.getDomain(normalized, PSL_OPTIONS) || normalized;
+};
+
+/**
+ * Label left of the public suffix (e.g. "acme" for "jobs.acme.co.uk")
+ */
+const getDomainLabel = (host) => {
+  const normalized = normalizeHost(host);
+  if (!normalized) return null;
+  if (isIpAddress(normalized)) return normalized;
+  return tldts.getDomainWithoutSuffix(normalized, PSL_OPTIONS) || normalized;
+};
+
+/**
+ * Labels below the registrable domain (e.g. ["careers", "eu"] for "careers.eu.acme.com")
+ */
+const getSubdomainLabels = (host) => {
+  const normalized = normalizeHost(host);
+  const registrable = getRegistrableDomain(normalized);
+  if (!normalized || !registrable || normalized === registrable) return [];
+  return normalized.slice(0, -(registrable.length + 1)).split('.').filter(Boolean);
+};
+
+/**
+ * Decode punycode (xn--) labels to Unicode
+ */
+const toUnicode = (host) => {
+  const normalized = normalizeHost(host);
+  if (!normalized) return null;
+  return domainToUnicode(normalized) || normalized;
+};
+
+/**
+ * Hostname of a URL, or null when the URL cannot be parsed
+ */
+const getHostFromUrl = (url) => {
+  try {
+    return normalizeHost(new URL(url).hostname);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Protocol of a URL ("https:"), or null when it does not parse
+ */
+const getUrlProtocol = (url) => {
+  try {
+    return new URL(url).protocol;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Domain part of an email address
+ */
+const getEmailDomain = (email) => {
+  if (!email || !String(email).includes('@')) return null;
+  return normalizeHost(String(email).split('@').pop());
+};
+
+module.exports = {
+  normalizeHost,
+  isIpAddress,
+  getPublicSuffix,
+  getRegistrableDomain,
+  getDomainLabel,
+  getSubdomainLabels,
+  toUnicode,
+  getHostFromUrl,
+  getUrlProtocol,
+  getEmailDomain
+};
@@ -0,0 +1,95 @@
+/**
+ * Balanced {...} segments of a string, outermost first, ignoring braces inside strings
+ */
+const findJsonObjects = (text) => {
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"' && depth > 0) {
+      inString = true;
+    } else if (char === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) objects.push(text.slice(start, i + 1));
+    }
+  }
+
+  return objects;
+};
+
+/**
+ * Parse JSON from a model response that may wrap it in a markdown fence or surround it with prose
+ * @param {string} text - Raw response text
+ * @returns {Object} - { value, extraction: 'raw'|'fenced'|'embedded' } or { error }
+ */
+const extractJson = (text) => {
+  const raw = String(text ?? '').trim();
+  if (!raw) return { error: 'Response is empty' };
+
+  const candidates = [{ text: raw, extraction: 'raw' }];
+
+  for (const match of raw.matchAll(/```[a-zA-Z]*\s*\n?([\s\S]*?)```/g)) {
+    candidates.push({ text: match[1].trim(), extraction: 'fenced' });
+  }
+
+  for (const object of findJsonObjects(raw)) {
+    candidates.push({ text: object, extraction: 'embedded' });
+  }
+
+  let lastError = null;
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate.text), extraction: candidate.extraction };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  return {
+    error: raw.includes('{')
+      ? `Response is not valid JSON: ${lastError.message}`
+      : 'Response does not contain a JSON object'
+  };
+};
+
+/**
+ * JSON with object keys sorted, so equal values always serialize identically (e.g. for hashing)
+ */
+const stableStringify = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (typeof value.toJSON === 'function') {
+    return stableStringify(value.toJSON());
+  }
+
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${entries.join(',')}}`;
+};
+
+module.exports = {
+  extractJson,
+  findJsonObjects,
+  stableStringify
+};
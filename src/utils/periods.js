@@ -0,0 +1,11 @@
+/**
+ * Start of the current UTC day and month, for daily and monthly budgets and quotas
+ */
+const getPeriodStarts = (now = new Date()) => ({
+  daily: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+  monthly: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+});
+
+module.exports = {
+  getPeriodStarts
+};
@@ -0,0 +1,36 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+
+// Region assumed for numbers entered without a +country prefix
+const DEFAULT_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'US').toUpperCase();
+
+/**
+ * Parse a phone number into E.164 with country, number type and validity
+ * @param {string} phoneNumber - Number as entered, e.g. "(415) 555-2671" or "+44 7911 123456"
+ * @param {string} defaultCountry - ISO 3166-1 alpha-2 region for national-format numbers
+ * @returns {Object|null} - null when nothing phone-like can be parsed
+ */
+const parsePhone = (phoneNumber, defaultCountry = DEFAULT_COUNTRY) => {
+  if (!phoneNumber) return null;
+
+  const parsed = parsePhoneNumberFromString(String(phoneNumber), defaultCountry);
+  if (!parsed) return null;
+
+  const type = parsed.getType();
+
+  return {
+    e164: parsed.number,
+    country: parsed.country || null,
+    countryCallingCode: parsed.countryCallingCode,
+    nationalNumber: parsed.nationalNumber,
+    // mobile, fixed_line, fixed_line_or_mobile, toll_free, premium_rate, voip, shared_cost, ...
+    type: type ? type.toLowerCase() : null,
+    isValid: parsed.isValid(),
+    isPossible: parsed.isPossible(),
+    international: parsed.formatInternational()
+  };
+};
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  parsePhone
+};
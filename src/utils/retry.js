@@ -0,0 +1,70 @@
+// Network errors worth another attempt. Timeouts are not retried: the request already waited the full timeout.
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Whether a failed request may succeed when repeated (connection reset, 429, 5xx)
+ */
+const isRetryableError = (error) => {
+  const status = error.response?.status;
+  if (status) return RETRYABLE_STATUS_CODES.includes(status);
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+};
+
+/**
+ * Whether an error says the provider itself is unhealthy (unreachable, timing out, rate-limiting
+ * or failing), as opposed to rejecting this particular request
+ */
+const isProviderFailure = (error) => {
+  const status = error.response?.status;
+  if (status) return status === 429 || status >= 500;
+  // No response at all: unreachable or timed out
+  return Boolean(error.isAxiosError) || [...TIMEOUT_ERROR_CODES, ...RETRYABLE_ERROR_CODES].includes(error.code);
+};
+
+/**
+ * Seconds from a Retry-After header, in ms (null when absent or an HTTP date)
+ */
+const getRetryAfter = (error) => {
+  const seconds = Number(error.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+};
+
+/**
+ * Run fn, repeating it after retryable errors with exponential backoff and full jitter
+ * (a random delay up to baseDelay * 2^attempt, capped at maxDelay). A Retry-After longer
+ * than maxDelay ends the retries.
+ * @param {Function} fn - (attempt) => Promise
+ * @param {Object} options - { retries, baseDelay, maxDelay, isRetryable, onRetry(error, attempt, delay) }
+ */
+const retryWithBackoff = async (fn, {
+  retries = 2,
+  baseDelay = 200,
+  maxDelay = 2000,
+  isRetryable = isRetryableError,
+  onRetry
+} = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const retryAfter = getRetryAfter(error);
+      if (retryAfter !== null && retryAfter > maxDelay) throw error;
+
+      const delay = retryAfter ?? Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt));
+      if (onRetry) onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = {
+  isRetryableError,
+  isProviderFailure,
+  retryWithBackoff
+};
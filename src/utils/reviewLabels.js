@@ -0,0 +1,20 @@
+// Reviewer-set recruiter statuses that count as ground truth
+const REVIEW_LABELS = {
+  approved: 'legit',
+  flagged: 'spam',
+  rejected: 'spam'
+};
+
+/**
+ * Reviewer label ('legit' or 'spam') of a verification result loaded with its recruiter,
+ * or null when it was not reviewed or the status is not a final decision
+ */
+const getReviewLabel = (result) => {
+  if (!result.reviewedAt || !result.recruiter) return null;
+  return REVIEW_LABELS[result.recruiter.status] || null;
+};
+
+module.exports = {
+  REVIEW_LABELS,
+  getReviewLabel
+};
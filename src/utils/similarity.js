@@ -0,0 +1,41 @@
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+  for (let i = 0; i < rows; i++) d[i][0] = i;
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return d[a.length][b.length];
+};
+
+/**
+ * Similarity between 0 (nothing in common) and 1 (identical), based on edit distance
+ */
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  const longest = Math.max(a.length, b.length);
+  return 1 - editDistance(a, b) / longest;
+};
+
+module.exports = {
+  editDistance,
+  similarity
+};
@@ -0,0 +1,182 @@
+const backtestService = require('../src/services/backtestService');
+const VerificationResult = require('../src/models/VerificationResult');
+const RuleSetVersion = require('../src/models/RuleSetVersion');
+
+// Stored rule set with a single pack, so rule scores are easy to follow: 90, or 25 for a "scam" company
+const keywordsPack = {
+  pack: 'keywords',
+  version: '1.0.0',
+  component: 'keywordScore',
+  weight: 1,
+  baseScore: 90,
+  rules: [{
+    id: 'keywords.company',
+    field: 'companyName',
+    condition: { type: 'contains_any', values: ['scam'] },
+    severity: 'high',
+    impact: -60,
+    flag: 'suspicious_company_keyword',
+    message: 'Company name contains suspicious keyword: "{{match}}"'
+  }]
+};
+
+const WEIGHTS = { ruleBased: 0.3, llm: 0.4, external: 0.3 };
+
+/**
+ * A stored verification result loaded with its recruiter, as loadHistory returns it
+ */
+const storedResult = (id, recruiterId, { companyName, status = 'pending', reviewed = false, llmScore = 90, decision, finalScore = 50, failed = false }) => {
+  const recruiter = { id: recruiterId, companyName, role: 'Recruiter', industry: 'Technology', status };
+  return {
+    id,
+    recruiterId,
+    decision,
+    finalScore,
+    ruleBasedScore: failed ? { score: 50, details: { error: true } } : { score: 90, details: { flags: [] } },
+    llmScore: { score: llmScore, confidence: 90 },
+    externalVerification: null,
+    reviewedAt: reviewed ? new Date('2024-05-01T00:00:00Z') : null,
+    recruiter: { ...recruiter, toJSON: () => ({ ...recruiter }) }
+  };
+};
+
+// Stored decisions as the weights and threshold above produce them (legit 78 approved, scam 27 flagged)
+const legit = storedResult(1, 101, { companyName: 'Northwind Traders', decision: 'approved', finalScore: 78 });
+const scam = storedResult(2, 102, { companyName: 'Scam Staffing', llmScore: 10, decision: 'flagged', finalScore: 27 });
+
+describe('backtestService', () => {
+  let history;
+
+  beforeEach(() => {
+    history = [legit, scam];
+    jest.spyOn(RuleSetVersion, 'findOne').mockResolvedValue({ version: 3, packs: [keywordsPack] });
+    jest.spyOn(VerificationResult, 'findAll').mockImplementation(async ({ limit, offset }) => history.slice(offset, offset + limit));
+  });
+
+  afterEach(() => {
+    backtestService.historyBatchSize = 1000;
+    jest.restoreAllMocks();
+  });
+
+  const run = (options = {}) => backtestService.run({ ruleSetVersion: 3, weights: WEIGHTS, spamThreshold: 70, ...options });
+
+  test('replays the stored configuration without flips', async () => {
+    const report = await run();
+
+    expect(report.replayed).toBe(2);
+    expect(report.flipped).toBe(0);
+    expect(report.avgScoreDelta).toBe(0);
+    expect(report.decisions.candidate).toEqual({ approved: 1, flagged: 1, pending_review: 0 });
+    expect(report.candidate).toMatchObject({ ruleSetVersion: 3, rulePacks: { keywords: '1.0.0' }, spamThreshold: 70 });
+  });
+
+  test('a higher threshold flips an approval to review', async () => {
+    const report = await run({ spamThreshold: 80 });
+
+    expect(report.flipped).toBe(1);
+    expect(report.flipRate).toBe(0.5);
+    expect(report.transitions.approved.pending_review).toBe(1);
+    expect(report.transitions.flagged.flagged).toBe(1);
+    expect(report.flips).toEqual([{
+      recruiterId: 101,
+      verificationId: 1,
+      from: 'approved',
+      to: 'pending_review',
+      storedScore: 78,
+      candidateScore: 78,
+      storedRuleScore: 90,
+      candidateRuleScore: 90
+    }]);
+  });
+
+  test('dropping the LLM weight flips both decisions to review', async () => {
+    const report = await run({ weights: { llm: 0, external: 0.7 } });
+
+    expect(report.candidate.weights).toEqual({ ruleBased: 0.3, llm: 0, external: 0.7 });
+    expect(report.transitions.approved.pending_review).toBe(1);
+    expect(report.transitions.flagged.pending_review).toBe(1);
+    expect(report.flips.map(flip => flip.candidateScore)).toEqual([62, 43]);
+    expect(report.avgScoreDelta).toBe(0);
+  });
+
+  test('precision and recall of flagged decisions against reviewer labels', async () => {
+    history = [
+      // Stored as flagged but approved by a reviewer; the candidate approves it
+      storedResult(1, 101, { companyName: 'Northwind Traders', status: 'approved', reviewed: true, decision: 'flagged', finalScore: 35 }),
+      storedResult(2, 102, { companyName: 'Scam Staffing', status: 'rejected', reviewed: true, llmScore: 10, decision: 'flagged', finalScore: 27 }),
+      // Spam that both configurations approve
+      storedResult(3, 103, { companyName: 'Contoso Talent', status: 'flagged', reviewed: true, decision: 'approved', finalScore: 78 }),
+      // Not reviewed: the status was set by the workflow
+      storedResult(4, 104, { companyName: 'Fabrikam', status: 'approved', decision: 'approved', finalScore: 78 })
+    ];
+
+    const { reviewerAgreement } = await run();
+
+    expect(reviewerAgreement.labeled).toBe(3);
+    expect(reviewerAgreement.baseline).toEqual({
+      truePositives: 1, falsePositives: 1, falseNegatives: 1, trueNegatives: 0, precision: 0.5, recall: 0.5
+    });
+    expect(reviewerAgreement.candidate).toEqual({
+      truePositives: 1, falsePositives: 0, falseNegatives: 1, trueNegatives: 1, precision: 1, recall: 0.5
+    });
+  });
+
+  test('computeAccuracy weights entries by their count and leaves undefined ratios null', () => {
+    const accuracy = backtestService.computeAccuracy([
+      { label: 'spam', baseline: 'flagged', count: 3 },
+      { label: 'legit', baseline: 'flagged' },
+      { label: 'spam', baseline: 'pending_review', count: 2 }
+    ], 'baseline');
+
+    expect(accuracy).toMatchObject({ truePositives: 3, falsePositives: 1, falseNegatives: 2, precision: 0.75, recall: 0.6 });
+    expect(backtestService.computeAccuracy([], 'baseline')).toMatchObject({ precision: null, recall: null });
+  });
+
+  test('a candidate pack replaces the pack of the same name and other packs are added', async () => {
+    const lenient = { ...keywordsPack, version: '2.0.0', rules: [{ ...keywordsPack.rules[0], impact: -10 }] };
+    const industry = {
+      pack: 'industry', version: '1.0.0', component: 'industryScore', weight: 0, baseScore: 90, rules: []
+    };
+
+    const report = await run({ packs: [lenient, industry] });
+
+    expect(report.candidate).toMatchObject({ ruleSetVersion: null, rulePacks: { keywords: '2.0.0', industry: '1.0.0' } });
+    expect(report.flips).toEqual([expect.objectContaining({
+      recruiterId: 102, from: 'flagged', to: 'pending_review', storedRuleScore: 90, candidateRuleScore: 75
+    })]);
+  });
+
+  test('rejects invalid candidate packs and unknown rule set versions', async () => {
+    RuleSetVersion.findOne.mockResolvedValueOnce(null);
+
+    await expect(run({ ruleSetVersion: 42 })).rejects.toMatchObject({ statusCode: 404, code: 'RULE_SET_NOT_FOUND' });
+    await expect(run({ packs: [{ ...keywordsPack, rules: [{ ...keywordsPack.rules[0], condition: { type: 'nope' } }] }] }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_RULE' });
+  });
+
+  test('loads the latest successful result per recruiter, page by page', async () => {
+    backtestService.historyBatchSize = 2;
+    history = [
+      storedResult(10, 101, { companyName: 'Northwind Traders', failed: true, decision: 'pending_review' }),
+      { ...storedResult(9, 105, { companyName: 'Deleted Inc', decision: 'approved' }), recruiter: null },
+      storedResult(8, 101, { companyName: 'Northwind Traders', decision: 'approved', finalScore: 78 }),
+      storedResult(7, 102, { companyName: 'Scam Staffing', llmScore: 10, decision: 'flagged', finalScore: 27 }),
+      storedResult(6, 101, { companyName: 'Northwind Traders', decision: 'pending_review' })
+    ];
+
+    const rows = await backtestService.loadHistory({ since: new Date('2024-01-01T00:00:00Z') });
+
+    expect(rows.map(row => row.id)).toEqual([8, 7]);
+    expect(VerificationResult.findAll.mock.calls.map(([query]) => query.offset)).toEqual([0, 2, 4]);
+    expect(VerificationResult.findAll.mock.calls[0][0].order).toEqual([['created_at', 'DESC'], ['id', 'DESC']]);
+  });
+
+  test('stops reading once the limit is reached', async () => {
+    backtestService.historyBatchSize = 1;
+
+    const rows = await backtestService.loadHistory({ limit: 1 });
+
+    expect(rows.map(row => row.id)).toEqual([1]);
+    expect(VerificationResult.findAll).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,38 @@
+const brandImpersonation = require('../src/services/brandImpersonation');
+
+const techniques = (domain) => brandImpersonation.analyzeDomain(domain).map(match => `${match.brand}:${match.technique}`);
+
+describe('brandImpersonation.analyzeDomain', () => {
+  test.each([
+    ['micros0ft-careers.com', ['Microsoft:homoglyph']],
+    ['rnicrosoft.com', ['Microsoft:homoglyph']],
+    ['microsoft.co', ['Microsoft:lookalike_tld']],
+    ['amazon-jobs.xyz', ['Amazon:brand_keyword']],
+    ['accenture.careers', ['Accenture:lookalike_tld']]
+  ])('flags %s', (domain, expected) => {
+    expect(techniques(domain)).toEqual(expected);
+  });
+
+  test.each([
+    'careers.microsoft.com',
+    'amazon.jobs',
+    'northwind.com'
+  ])('leaves %s alone', (domain) => {
+    expect(techniques(domain)).toEqual([]);
+  });
+
+  test('brand names on the .jobs employer TLD are official', () => {
+    expect(techniques('accenture.jobs')).toEqual([]);
+    expect(techniques('careers.boeing.jobs')).toEqual([]);
+    expect(techniques('facebook.jobs')).toEqual([]);
+  });
+
+  test('look-alikes on the .jobs TLD are still flagged', () => {
+    expect(techniques('accenture-hiring.jobs')).toEqual(['Accenture:brand_keyword']);
+    expect(techniques('micros0ft.jobs')).toEqual(['Microsoft:homoglyph']);
+  });
+
+  test('listed careers domains on open TLDs are official', () => {
+    expect(techniques('boeing.careers')).toEqual([]);
+  });
+});
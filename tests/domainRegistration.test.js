@@ -0,0 +1,177 @@
+// Fail fast instead of backing off on the 5xx case
+process.env.API_RETRIES = '0';
+
+const http = require('http');
+const domainRegistration = require('../src/services/domainRegistration');
+const ruleBasedScoring = require('../src/services/ruleBasedScoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+const daysAhead = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+const vcard = (name) => ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', name]]];
+
+// RDAP domain objects served by the local stand-in, keyed by domain
+const DOMAINS = {
+  'northwind.com': {
+    objectClassName: 'domain',
+    ldhName: 'NORTHWIND.COM',
+    status: ['client transfer prohibited'],
+    events: [
+      { eventAction: 'registration', eventDate: daysAgo(4000) },
+      { eventAction: 'last changed', eventDate: daysAgo(100) },
+      { eventAction: 'expiration', eventDate: daysAhead(400) }
+    ],
+    entities: [
+      {
+        roles: ['registrar'],
+        handle: '292',
+        vcardArray: vcard('MarkMonitor Inc.'),
+        entities: [{ roles: ['abuse'], vcardArray: vcard('Abuse Desk') }]
+      },
+      { roles: ['registrant'], vcardArray: vcard('REDACTED FOR PRIVACY') }
+    ],
+    nameservers: [{ ldhName: 'NS1.NORTHWIND.COM' }, { ldhName: 'NS2.NORTHWIND.COM' }]
+  },
+  'fresh-hiring.com': {
+    objectClassName: 'domain',
+    events: [
+      { eventAction: 'registration', eventDate: daysAgo(5) },
+      { eventAction: 'expiration', eventDate: daysAhead(20) }
+    ],
+    entities: [
+      { roles: ['registrar'], handle: '1068' },
+      { roles: ['registrant'], vcardArray: vcard('Domains By Proxy, LLC') }
+    ]
+  }
+};
+
+describe('domainRegistration against a local RDAP server', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let failing;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const send = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/rdap+json' });
+        res.end(JSON.stringify(body));
+      };
+
+      if (failing) return send(503, { errorCode: 503 });
+      if (req.url === '/dns.json') {
+        return send(200, { services: [[['com'], [`${baseUrl}/rdap/`]]] });
+      }
+
+      const match = req.url.match(/^\/rdap\/domain\/(.+)$/);
+      const record = match && DOMAINS[decodeURIComponent(match[1])];
+      return record ? send(200, record) : send(404, { errorCode: 404, title: 'Not Found' });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    failing = false;
+    domainRegistration.sources = ['rdap'];
+    domainRegistration.rdapBaseUrl = `${baseUrl}/rdap`;
+    domainRegistration.bootstrapUrl = `${baseUrl}/dns.json`;
+    domainRegistration.setTransport({});
+  });
+
+  test('parses an established domain', async () => {
+    const record = await domainRegistration.lookup('careers.northwind.com');
+
+    expect(requests).toEqual(['/rdap/domain/northwind.com']);
+    expect(record).toMatchObject({
+      domain: 'northwind.com',
+      registered: true,
+      source: 'rdap',
+      ageDays: 4000,
+      expiresInDays: 399,
+      registrar: 'MarkMonitor Inc.',
+      privacyProxy: false,
+      registrantRedacted: true,
+      status: ['client transfer prohibited'],
+      nameservers: ['ns1.northwind.com', 'ns2.northwind.com'],
+      cached: false
+    });
+  });
+
+  test('recognizes a privacy proxy registrant and falls back to the registrar handle', async () => {
+    const record = await domainRegistration.lookup('fresh-hiring.com');
+
+    expect(record).toMatchObject({ registered: true, ageDays: 5, registrar: '1068', privacyProxy: true, nameservers: [] });
+  });
+
+  test('treats a 404 as an unregistered domain', async () => {
+    const record = await domainRegistration.lookup('nobody-owns-this.com');
+
+    expect(record).toMatchObject({ domain: 'nobody-owns-this.com', registered: false, ageDays: null, expiresInDays: null });
+  });
+
+  test('finds the RDAP server through the bootstrap registry', async () => {
+    domainRegistration.rdapBaseUrl = null;
+
+    const record = await domainRegistration.lookup('northwind.com');
+    await domainRegistration.lookup('fresh-hiring.com');
+
+    expect(record.registered).toBe(true);
+    expect(requests).toEqual(['/dns.json', '/rdap/domain/northwind.com', '/rdap/domain/fresh-hiring.com']);
+  });
+
+  test('reports TLDs without an RDAP service', async () => {
+    domainRegistration.rdapBaseUrl = null;
+
+    await expect(domainRegistration.lookup('northwind.example')).rejects.toThrow('rdap: no server for .example');
+  });
+
+  test('falls back to WHOIS when RDAP fails', async () => {
+    failing = true;
+    domainRegistration.sources = ['rdap', 'whois'];
+    domainRegistration.setTransport({
+      queryWhois: async (whoisServer, query) => (whoisServer === 'whois.iana.org'
+        ? 'refer:        whois.verisign-grs.com\n'
+        : `Domain Name: ${query.toUpperCase()}\nCreation Date: ${daysAgo(90)}\nRegistrar: Example Registrar, Inc.\n`)
+    });
+
+    const record = await domainRegistration.lookup('northwind.com');
+
+    expect(record).toMatchObject({ registered: true, source: 'whois', ageDays: 90, registrar: 'Example Registrar, Inc.' });
+  });
+
+  test('skips IP addresses and disabled lookups without a request', async () => {
+    expect(await domainRegistration.lookup('192.0.2.10')).toBeNull();
+
+    domainRegistration.sources = [];
+    expect(await domainRegistration.lookup('northwind.com')).toBeNull();
+    expect(requests).toEqual([]);
+  });
+
+  test('feeds the domainRegistration rule pack', async () => {
+    const score = async (host) => {
+      const registration = await domainRegistration.lookup(host);
+      const fields = domainRegistration.getRuleFields({ domain: { registration } });
+      const { details } = await ruleBasedScoring.scoreRecruiter(fields);
+      return {
+        score: details.domainRegistrationScore,
+        flags: details.flags.filter(flag => flag.ruleId.startsWith('domainRegistration.')).map(flag => flag.type)
+      };
+    };
+
+    const established = await score('northwind.com');
+    const fresh = await score('fresh-hiring.com');
+    const unregistered = await score('nobody-owns-this.com');
+
+    expect(established.score).toBeGreaterThan(fresh.score);
+    expect(fresh.flags).toEqual(expect.arrayContaining([
+      'newly_registered_domain', 'domain_expiring_soon', 'registrant_privacy_proxy'
+    ]));
+    expect(unregistered.flags).toEqual(['unregistered_domain']);
+  });
+});
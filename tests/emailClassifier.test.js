@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const emailClassifier = require('../src/services/emailClassifier');
+const ruleBasedScoring = require('../src/services/ruleBasedScoring');
+
+describe('emailClassifier.classify', () => {
+  test('canonicalizes dotted Gmail aliases with a +tag', () => {
+    const result = emailClassifier.classify('J.Ane.Doe+recruiting@Gmail.com');
+
+    expect(result).toMatchObject({
+      email: 'j.ane.doe+recruiting@gmail.com',
+      category: 'free',
+      subAddress: 'recruiting',
+      isDottedAlias: true,
+      canonical: 'janedoe@gmail.com'
+    });
+    expect(emailClassifier.canonicalize('janedoe@gmail.com')).toBe(result.canonical);
+  });
+
+  test('googlemail.com is the gmail.com mailbox', () => {
+    expect(emailClassifier.classify('jane.doe@googlemail.com')).toMatchObject({
+      domain: 'googlemail.com',
+      category: 'free',
+      canonical: 'janedoe@gmail.com'
+    });
+  });
+
+  test('dots only matter outside Gmail', () => {
+    expect(emailClassifier.classify('jane.doe+hiring@northwind.com')).toMatchObject({
+      category: 'corporate',
+      subAddress: 'hiring',
+      isDottedAlias: false,
+      canonical: 'jane.doe@northwind.com'
+    });
+  });
+
+  test('subdomains of a listed disposable domain are disposable', () => {
+    expect(emailClassifier.classify('sarah@mailinator.com').category).toBe('disposable');
+    expect(emailClassifier.classify('sarah@eu.mailinator.com')).toMatchObject({ category: 'disposable', isDisposable: true, isFree: false });
+    expect(emailClassifier.classify('sarah@mailinator.com.northwind.com').category).toBe('corporate');
+  });
+
+  test.each([
+    ['jobs2@northwind.com', 'jobs'],
+    ['hr@northwind.com', 'hr'],
+    ['Human.Resources@northwind.com', 'humanresources'],
+    ['careers-01+linkedin@northwind.com', 'careers'],
+    ['sarah@northwind.com', null],
+    ['jobsearch@northwind.com', null],
+    ['noreply@northwind.com', null]
+  ])('%s has role %j', (email, role) => {
+    expect(emailClassifier.classify(email)).toMatchObject({ role, isRole: role !== null });
+  });
+
+  test('invalid addresses', () => {
+    expect(emailClassifier.classify('not an email')).toMatchObject({ category: 'invalid', isValid: false, canonical: null });
+    expect(emailClassifier.classify(null)).toMatchObject({ email: null, category: 'invalid' });
+  });
+
+  test('a domain on both the free and disposable lists is free', () => {
+    const listPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'email-lists-')), 'disposable.txt');
+    fs.writeFileSync(listPath, '# local additions\ngmail.com\nthrowaway-hiring.com\n');
+
+    let classifier;
+    jest.isolateModules(() => {
+      process.env.DISPOSABLE_DOMAINS_PATH = listPath;
+      require('../src/utils/logger').silent = true;
+      classifier = require('../src/services/emailClassifier');
+    });
+    delete process.env.DISPOSABLE_DOMAINS_PATH;
+    fs.rmSync(path.dirname(listPath), { recursive: true, force: true });
+
+    expect(classifier.classify('sarah@gmail.com')).toMatchObject({ category: 'free', isFree: true, isDisposable: false });
+    expect(classifier.classify('sarah@throwaway-hiring.com').category).toBe('disposable');
+  });
+});
+
+describe('email rule pack', () => {
+  const flagIds = (email) => ruleBasedScoring.analyzeEmail(email).flags.map(flag => flag.ruleId);
+
+  test('each address signal is penalized by one rule', () => {
+    expect(flagIds('info@northwind.com')).toEqual(['email.role_account']);
+    expect(flagIds('admin2@northwind.com')).toEqual(['email.role_account']);
+    expect(flagIds('noreply@northwind.com')).toEqual(['email.spam_pattern']);
+    expect(flagIds('no-reply@northwind.com')).toEqual(['email.spam_pattern']);
+    expect(flagIds('test1@northwind.com')).toEqual(['email.spam_pattern']);
+  });
+});
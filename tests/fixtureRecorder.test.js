@@ -0,0 +1,73 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+describe('fixtureRecorder errors', () => {
+  let fixtureDir;
+
+  beforeAll(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-errors-'));
+    process.env.FIXTURE_DIR = fixtureDir;
+  });
+
+  afterAll(() => {
+    delete process.env.FIXTURE_MODE;
+    delete process.env.FIXTURE_DIR;
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Fresh recorder singleton for a fixture mode
+   */
+  const loadRecorder = (mode) => {
+    let recorder;
+    jest.isolateModules(() => {
+      process.env.FIXTURE_MODE = mode;
+      require('../src/utils/logger').silent = true;
+      recorder = require('../src/services/fixtureRecorder');
+    });
+    return recorder;
+  };
+
+  const rateLimited = () => new axios.AxiosError(
+    'Request failed with status code 429',
+    axios.AxiosError.ERR_BAD_REQUEST,
+    undefined,
+    undefined,
+    { status: 429, headers: { 'retry-after': '30' }, data: { error: 'rate limited' } }
+  );
+  const notFound = () => Object.assign(new Error('queryMx ENOTFOUND northwind.test'), { code: 'ENOTFOUND' });
+
+  const capture = (promise) => promise.then(() => { throw new Error('expected a rejection'); }, error => error);
+
+  test('an axios error is recorded and replayed as an axios error', async () => {
+    const recorded = await capture(loadRecorder('record').wrap('http', { url: 'https://api.example.test/v2' }, async () => {
+      throw rateLimited();
+    }));
+    const replayed = await capture(loadRecorder('replay').wrap('http', { url: 'https://api.example.test/v2' }, async () => {
+      throw new Error('network access during replay');
+    }));
+
+    for (const error of [recorded, replayed]) {
+      expect(axios.isAxiosError(error)).toBe(true);
+      expect(error).toMatchObject({
+        name: 'AxiosError',
+        message: 'Request failed with status code 429',
+        code: 'ERR_BAD_REQUEST',
+        response: { status: 429, headers: { 'retry-after': '30' }, data: { error: 'rate limited' } }
+      });
+    }
+  });
+
+  test('other errors keep their name and code but are not axios errors', async () => {
+    await capture(loadRecorder('record').wrap('dns', { type: 'MX', host: 'northwind.test' }, async () => {
+      throw notFound();
+    }));
+    const replayed = await capture(loadRecorder('replay').wrap('dns', { type: 'MX', host: 'northwind.test' }, async () => null));
+
+    expect(axios.isAxiosError(replayed)).toBe(false);
+    expect(replayed).toMatchObject({ name: 'Error', message: 'queryMx ENOTFOUND northwind.test', code: 'ENOTFOUND' });
+    expect(replayed.response).toBeUndefined();
+  });
+});
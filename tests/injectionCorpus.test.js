@@ -0,0 +1,89 @@
+const promptInjectionDetector = require('../src/services/promptInjectionDetector');
+const promptTemplates = require('../src/services/promptTemplates');
+const llmScoring = require('../src/services/llmScoring');
+const scoringWorkflow = require('../src/services/scoringWorkflow');
+
+const corpus = require('../src/services/llmProviders/fixtures/injectionCorpus.json');
+
+const baseRecruiter = {
+  id: 7,
+  fullName: 'Sarah Johnson',
+  companyName: 'Northwind Traders',
+  websiteUrl: 'https://northwind.com',
+  businessEmail: 'sarah@northwind.com',
+  phoneNumber: '+14155552671',
+  role: 'Technical Recruiter',
+  industry: 'Technology'
+};
+
+const ruleBasedResults = { score: 40, details: { flags: [] } };
+
+const versions = promptTemplates.getConfig().versions.map(({ version }) => version);
+
+// The text between the delimiter lines, or null when the data closed or reopened them
+const extractRecruiterData = (prompt) => {
+  const parts = prompt.split(/^<\/?recruiter_data>/m);
+  return parts.length === 3 ? parts[1] : null;
+};
+
+const label = (sample) => `${sample.field}: ${JSON.stringify(sample.value).slice(0, 60)}`;
+
+describe('injection corpus', () => {
+  const attacks = corpus.attacks.map(sample => [label(sample), sample]);
+  const benign = corpus.benign.map(sample => [label(sample), sample]);
+
+  describe('attacks', () => {
+    test.each(attacks)('detects %s', (name, sample) => {
+      expect(promptInjectionDetector.scan({ [sample.field]: sample.value }).markers.length).toBeGreaterThan(0);
+    });
+
+    test.each(attacks)('stays inside the delimiters: %s', (name, sample) => {
+      for (const promptVersion of versions) {
+        const prompt = llmScoring.buildPrompt({ ...baseRecruiter, [sample.field]: sample.value }, ruleBasedResults, { promptVersion });
+        const data = extractRecruiterData(prompt);
+
+        expect(data).not.toBeNull();
+        expect(data).not.toContain('```');
+        expect(JSON.parse(data)[sample.field]).not.toMatch(/[\r\n\u200b]/);
+      }
+    });
+
+    test.each(attacks)('an inflated LLM score is distrusted: %s', (name, sample) => {
+      const recruiter = { ...baseRecruiter, [sample.field]: sample.value };
+      const llmResults = { score: 100, confidence: 95, recommendation: 'approve', redFlags: [] };
+
+      const guarded = scoringWorkflow.applyInjectionGuard(llmResults, recruiter, ruleBasedResults, {});
+
+      expect(guarded.injectionGuard.applied).toBe(true);
+      expect(guarded.score).toBe(guarded.injectionGuard.referenceScore);
+      expect(guarded.confidence).toBeLessThanOrEqual(30);
+      expect(guarded.recommendation).toBe('manual_review');
+      expect(guarded.redFlags).toContain('PROMPT_INJECTION_SUSPECTED');
+    });
+  });
+
+  describe('benign look-alikes', () => {
+    test.each(benign)('does not flag %s', (name, sample) => {
+      expect(promptInjectionDetector.scan({ [sample.field]: sample.value }).markers).toEqual([]);
+    });
+
+    test.each(benign)('leaves a high LLM score alone: %s', (name, sample) => {
+      const recruiter = { ...baseRecruiter, [sample.field]: sample.value };
+      const llmResults = { score: 100, confidence: 95, recommendation: 'approve', redFlags: [] };
+
+      expect(scoringWorkflow.applyInjectionGuard(llmResults, recruiter, ruleBasedResults, {})).toBe(llmResults);
+    });
+  });
+
+  test('a score close to the rule-based and external scores is kept but annotated', () => {
+    const sample = corpus.attacks[0];
+    const recruiter = { ...baseRecruiter, [sample.field]: sample.value };
+    const llmResults = { score: 50, confidence: 80, recommendation: 'manual_review', redFlags: [] };
+
+    const guarded = scoringWorkflow.applyInjectionGuard(llmResults, recruiter, ruleBasedResults, {});
+
+    expect(guarded.score).toBe(50);
+    expect(guarded.injectionGuard).toMatchObject({ applied: false, originalScore: 50 });
+    expect(guarded.injectionGuard.markers.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,198 @@
+const http = require('http');
+const https = require('https');
+const MockLLMProvider = require('../src/services/llmProviders/mockProvider');
+const { createProvider } = require('../src/services/llmProviders');
+const llmScoring = require('../src/services/llmScoring');
+const usageLedger = require('../src/services/usageLedger');
+
+const FIXTURES = require('../src/services/llmProviders/fixtures/mockResponses.json');
+
+const legitimate = {
+  id: 1,
+  fullName: 'Sarah Johnson',
+  companyName: 'Northwind Traders',
+  websiteUrl: 'https://northwind.com',
+  businessEmail: 'sarah@northwind.com',
+  phoneNumber: '+14155552671',
+  role: 'Technical Recruiter',
+  industry: 'Technology'
+};
+
+const spammer = {
+  id: 2,
+  fullName: 'Fake User',
+  companyName: 'Scam Corp 123',
+  websiteUrl: '',
+  businessEmail: 'easymoney@mailinator.com',
+  phoneNumber: '1111111111',
+  role: 'Crypto opportunity',
+  industry: 'Various'
+};
+
+describe('mock LLM provider', () => {
+  let networkCalls;
+
+  beforeEach(() => {
+    // Any attempt to leave the process fails the test
+    networkCalls = [
+      jest.spyOn(http, 'request'),
+      jest.spyOn(https, 'request')
+    ];
+    jest.spyOn(usageLedger, 'record').mockResolvedValue(0);
+    llmScoring.provider.reset();
+  });
+
+  afterEach(() => {
+    for (const spy of networkCalls) {
+      expect(spy).not.toHaveBeenCalled();
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('is the provider under test and needs no API key', () => {
+    expect(createProvider().name).toBe('mock');
+    expect(llmScoring.provider).toBeInstanceOf(MockLLMProvider);
+    expect(llmScoring.provider.isConfigured()).toBe(true);
+  });
+
+  describe('heuristic assessment', () => {
+    test('is deterministic', async () => {
+      const provider = new MockLLMProvider();
+      const first = await provider.generate('prompt', { context: { recruiterData: legitimate } });
+      const second = await provider.generate('prompt', { context: { recruiterData: legitimate } });
+      expect(second.text).toBe(first.text);
+    });
+
+    test('scores a consistent corporate recruiter above an obvious spammer', () => {
+      const provider = new MockLLMProvider();
+      const good = provider.assess(legitimate);
+      const bad = provider.assess(spammer);
+
+      expect(good.score).toBeGreaterThan(bad.score);
+      expect(good.positiveIndicators).toContain('Email domain matches company website');
+      expect(bad.redFlags).toEqual(expect.arrayContaining(['Disposable email address', 'No company website']));
+      expect(bad.recommendation).toBe('flag');
+    });
+
+    test('starts from the rule-based score when given one', () => {
+      const provider = new MockLLMProvider();
+      const low = provider.assess(legitimate, { score: 20 });
+      const high = provider.assess(legitimate, { score: 80 });
+      expect(high.score - low.score).toBe(60);
+    });
+  });
+
+  describe('fixtures', () => {
+    const textFixtures = Object.entries(FIXTURES).filter(([, fixture]) => !fixture.error);
+
+    test.each(textFixtures)('%s resolves to its completion text', async (name, fixture) => {
+      const provider = new MockLLMProvider({ script: [{ respond: name }] });
+      const response = await provider.generate('prompt');
+      expect(response.text).toBe(fixture.text);
+      expect(response.model).toBe('mock-heuristic-v1');
+    });
+
+    test('timeout fails like a provider timeout', async () => {
+      const provider = new MockLLMProvider({ timeout: 20, script: [{ respond: 'timeout' }] });
+      await expect(provider.generate('prompt')).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+    });
+
+    test('rate_limited fails with HTTP 429', async () => {
+      const provider = new MockLLMProvider({ script: [{ respond: 'rate_limited' }] });
+      await expect(provider.generate('prompt')).rejects.toMatchObject({ status: 429 });
+    });
+
+    test('an unknown fixture name is an error', async () => {
+      const provider = new MockLLMProvider({ script: [{ respond: 'no_such_fixture' }] });
+      await expect(provider.generate('prompt')).rejects.toThrow('Unknown mock LLM fixture');
+    });
+  });
+
+  describe('scripts', () => {
+    test('match recruiter fields exactly or by regex, and the prompt by substring', async () => {
+      const provider = new MockLLMProvider({
+        script: [
+          { match: { businessEmail: '/@mailinator\\.com$/i' }, respond: 'spam' },
+          { match: { companyName: 'northwind traders' }, respond: 'legitimate' },
+          { match: { prompt: 'special marker' }, respond: { json: { score: 42 } } }
+        ]
+      });
+
+      const spam = await provider.generate('prompt', { context: { recruiterData: spammer } });
+      const legit = await provider.generate('prompt', { context: { recruiterData: legitimate } });
+      const inline = await provider.generate('a special marker here');
+
+      expect(spam.text).toBe(FIXTURES.spam.text);
+      expect(legit.text).toBe(FIXTURES.legitimate.text);
+      expect(JSON.parse(inline.text)).toEqual({ score: 42 });
+      expect(provider.calls.map(call => call.scripted)).toEqual([true, true, true]);
+    });
+
+    test('entries with times are used up, then the heuristic answers', async () => {
+      const provider = new MockLLMProvider({ script: [{ respond: 'spam', times: 1 }] });
+
+      const first = await provider.generate('prompt', { context: { recruiterData: legitimate } });
+      const second = await provider.generate('prompt', { context: { recruiterData: legitimate } });
+
+      expect(first.text).toBe(FIXTURES.spam.text);
+      expect(JSON.parse(second.text)).toEqual(provider.assess(legitimate));
+      expect(provider.calls.map(call => call.scripted)).toEqual([true, false]);
+    });
+
+    test('load from a MOCK_LLM_SCRIPT file', () => {
+      const provider = new MockLLMProvider({ scriptPath: `${__dirname}/fixtures/mockScript.json` });
+      expect(provider.script.map(entry => entry.respond)).toEqual(['malformed_json', 'legitimate']);
+    });
+  });
+
+  describe('through llmScoring', () => {
+    test('scores from a scripted fixture', async () => {
+      llmScoring.provider.setScript([{ respond: 'spam' }]);
+
+      const result = await llmScoring.scoreRecruiter(spammer);
+
+      expect(result).toMatchObject({ score: 12, confidence: 92, provider: 'mock', recommendation: 'flag' });
+      expect(result.structuredOutput).toMatchObject({ attempt: 1, extraction: 'raw' });
+    });
+
+    test('extracts fenced and chatty JSON', async () => {
+      llmScoring.provider.setScript([{ respond: 'fenced_json', times: 1 }, { respond: 'chatty_json', times: 1 }]);
+
+      const fenced = await llmScoring.scoreRecruiter(legitimate);
+      const chatty = await llmScoring.scoreRecruiter(legitimate);
+
+      expect(fenced).toMatchObject({ score: 71, structuredOutput: { extraction: 'fenced' } });
+      expect(chatty).toMatchObject({ score: 64, structuredOutput: { extraction: 'embedded' } });
+    });
+
+    test('repairs malformed output by asking again', async () => {
+      llmScoring.provider.setScript([{ respond: 'malformed_json', times: 1 }, { respond: 'legitimate' }]);
+
+      const result = await llmScoring.scoreRecruiter(legitimate);
+
+      expect(result.score).toBe(88);
+      expect(result.structuredOutput.attempt).toBe(2);
+      expect(result.structuredOutput.errors).toHaveLength(1);
+      expect(llmScoring.provider.calls[1].prompt).toContain('Your previous reply could not be used');
+    });
+
+    test('falls back to a neutral score when every attempt is invalid', async () => {
+      llmScoring.provider.setScript([{ respond: 'out_of_range' }]);
+
+      const result = await llmScoring.scoreRecruiter(legitimate);
+
+      expect(result.score).toBe(50);
+      expect(result.reasoning).toMatch(/after 3 attempt/);
+      expect(llmScoring.provider.calls).toHaveLength(3);
+    });
+
+    test('falls back to a neutral score when the provider fails', async () => {
+      llmScoring.provider.setScript([{ respond: 'rate_limited' }]);
+
+      const result = await llmScoring.scoreRecruiter(legitimate);
+
+      expect(result.score).toBe(50);
+      expect(result.redFlags).toContain('LLM_ANALYSIS_FAILED');
+    });
+  });
+});
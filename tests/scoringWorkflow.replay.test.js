@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dns = require('dns');
+
+const SITE_HTML = `<!doctype html>
+<html>
+  <head><title>Northwind Hiring - Technical Recruiting</title></head>
+  <body>
+    <h1>Northwind Hiring</h1>
+    <p>Technical recruiting for software teams since 2009.</p>
+    <a href="/about">About us</a> <a href="/careers">Careers</a> <a href="/contact">Contact</a>
+  </body>
+</html>`;
+
+const DNS_RECORDS = {
+  MX: [{ exchange: 'mx1.northwind-hiring.test', priority: 10 }],
+  A: ['192.0.2.10'],
+  TXT: [['v=spf1 include:_spf.northwind-hiring.test -all']]
+};
+
+// Timings and timestamps differ between runs; everything else must not
+const VOLATILE_FIELDS = new Set([
+  'processingTime', 'processingTimeMs', 'durationMs', 'responseTime', 'timestamp', 'checkedAt', 'createdAt', 'cached',
+  'externalApiTime', 'llmTime', 'ruleBasedTime', 'totalProcessingTime'
+]);
+const stable = (value) => JSON.parse(JSON.stringify(value, (key, item) => (VOLATILE_FIELDS.has(key) ? undefined : item)));
+
+describe('scoringWorkflow.scoreRecruiter with FIXTURE_MODE=replay', () => {
+  let fixtureDir;
+  let server;
+  let recruiterData;
+
+  beforeAll(async () => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-fixtures-'));
+
+    // Stand-in for the recruiter's website and the RDAP service, only up while recording
+    server = http.createServer((req, res) => {
+      if (req.url.startsWith('/rdap/domain/')) {
+        res.writeHead(200, { 'Content-Type': 'application/rdap+json' });
+        return res.end(JSON.stringify({
+          events: [{ eventAction: 'registration', eventDate: '2009-03-02T00:00:00Z' }],
+          entities: [{ roles: ['registrar'], handle: '292' }]
+        }));
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(SITE_HTML);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    process.env.FIXTURE_DIR = fixtureDir;
+    process.env.DOMAIN_REGISTRATION_SOURCES = 'rdap';
+    process.env.RDAP_BASE_URL = `${baseUrl}/rdap`;
+
+    recruiterData = {
+      id: 7,
+      fullName: 'Sarah Johnson',
+      companyName: 'Northwind Hiring',
+      websiteUrl: `${baseUrl}/`,
+      businessEmail: 'sarah@northwind-hiring.test',
+      phoneNumber: '+14155552671',
+      role: 'Technical Recruiter',
+      industry: 'Technology',
+      status: 'pending'
+    };
+  });
+
+  afterAll(() => {
+    delete process.env.FIXTURE_MODE;
+    delete process.env.FIXTURE_DIR;
+    delete process.env.DOMAIN_REGISTRATION_SOURCES;
+    delete process.env.RDAP_BASE_URL;
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+    if (server.listening) server.close();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Fresh service singletons for a fixture mode, with the database models replaced
+   */
+  const loadWorkflow = (mode) => {
+    let modules;
+    jest.isolateModules(() => {
+      process.env.FIXTURE_MODE = mode;
+      require('../src/utils/logger').silent = true;
+      modules = {
+        scoringWorkflow: require('../src/services/scoringWorkflow'),
+        fixtureRecorder: require('../src/services/fixtureRecorder'),
+        Recruiter: require('../src/models/Recruiter'),
+        VerificationResult: require('../src/models/VerificationResult'),
+        SiteFingerprint: require('../src/models/SiteFingerprint'),
+        SiteFingerprintBand: require('../src/models/SiteFingerprintBand'),
+        siteFingerprint: require('../src/services/siteFingerprint'),
+        usageLedger: require('../src/services/usageLedger')
+      };
+    });
+
+    const { Recruiter, VerificationResult, SiteFingerprint, SiteFingerprintBand, siteFingerprint, usageLedger } = modules;
+    jest.spyOn(Recruiter, 'findByPk').mockResolvedValue({ ...recruiterData, toJSON: () => ({ ...recruiterData }) });
+    jest.spyOn(Recruiter, 'update').mockResolvedValue([1]);
+    modules.saved = jest.spyOn(VerificationResult, 'create').mockImplementation(async (result) => ({ id: 1, ...result }));
+    jest.spyOn(SiteFingerprint, 'findAll').mockResolvedValue([]);
+    jest.spyOn(SiteFingerprintBand, 'findAll').mockResolvedValue([]);
+    jest.spyOn(siteFingerprint, 'record').mockResolvedValue();
+    jest.spyOn(usageLedger, 'getBudgetStatus').mockResolvedValue({ exceeded: false });
+    jest.spyOn(usageLedger, 'record').mockResolvedValue(0);
+
+    return modules;
+  };
+
+  const stubDns = (answer) => {
+    jest.spyOn(dns.promises, 'resolveMx').mockImplementation(async () => answer('MX'));
+    jest.spyOn(dns.promises, 'resolve4').mockImplementation(async () => answer('A'));
+    jest.spyOn(dns.promises.Resolver.prototype, 'resolveMx').mockImplementation(async () => answer('MX'));
+    jest.spyOn(dns.promises.Resolver.prototype, 'resolveTxt').mockImplementation(async () => answer('TXT'));
+  };
+
+  let recorded;
+
+  test('records the external calls of a live run', async () => {
+    stubDns(type => DNS_RECORDS[type]);
+    const { scoringWorkflow, fixtureRecorder, saved } = loadWorkflow('record');
+
+    const result = await scoringWorkflow.scoreRecruiter(7);
+
+    expect(result.details.processingMetrics.errors).toEqual([]);
+    expect(fixtureRecorder.getStats().recorded).toBeGreaterThan(0);
+    expect(fs.readdirSync(fixtureDir)).toEqual(expect.arrayContaining(['dns', 'http', 'llm']));
+    recorded = { result, saved: saved.mock.calls[0][0] };
+  });
+
+  test('replays the run without touching the network', async () => {
+    expect(recorded).toBeDefined();
+    await new Promise(resolve => server.close(resolve));
+
+    const offline = () => { throw new Error('network access during replay'); };
+    stubDns(offline);
+    const outgoing = [
+      jest.spyOn(http, 'request'),
+      jest.spyOn(https, 'request'),
+      jest.spyOn(net, 'createConnection')
+    ];
+    const { scoringWorkflow, fixtureRecorder, saved } = loadWorkflow('replay');
+
+    const result = await scoringWorkflow.scoreRecruiter(7);
+
+    for (const spy of outgoing) {
+      expect(spy).not.toHaveBeenCalled();
+    }
+    expect(fixtureRecorder.getStats()).toMatchObject({ missing: 0, recorded: 0 });
+    expect(fixtureRecorder.getStats().replayed).toBeGreaterThan(0);
+    expect(result.details.processingMetrics.errors).toEqual(recorded.result.details.processingMetrics.errors);
+    expect(stable(saved.mock.calls[0][0])).toEqual(stable(recorded.saved));
+    expect(result.finalScore).toBe(recorded.result.finalScore);
+    expect(result.decision).toBe(recorded.result.decision);
+  });
+
+  test('a call without a fixture fails with FIXTURE_MISSING instead of going out', async () => {
+    stubDns(() => { throw new Error('network access during replay'); });
+    recruiterData = { ...recruiterData, businessEmail: 'sarah@unrecorded.test' };
+    const { scoringWorkflow, fixtureRecorder } = loadWorkflow('replay');
+
+    await scoringWorkflow.scoreRecruiter(7);
+
+    expect(fixtureRecorder.getStats().missing).toBeGreaterThan(0);
+    expect(dns.promises.resolveMx).not.toHaveBeenCalled();
+  });
+});
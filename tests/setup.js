@@ -0,0 +1,5 @@
+// Tests run offline: mock LLM, no result cache carrying answers between tests, no log output
+process.env.LLM_PROVIDER = 'mock';
+process.env.CACHE_BACKEND = 'none';
+
+require('../src/utils/logger').silent = true;
@@ -0,0 +1,79 @@
+const { Op } = require('sequelize');
+const siteFingerprint = require('../src/services/siteFingerprint');
+const SiteFingerprint = require('../src/models/SiteFingerprint');
+const SiteFingerprintBand = require('../src/models/SiteFingerprintBand');
+
+const words = (count, offset = 0) => Array.from({ length: count }, (_, i) => `word${i + offset}`).join(' ');
+const page = (text) => `<html><body><main><p>${text}</p></main></body></html>`;
+
+describe('siteFingerprint clone search', () => {
+  const own = siteFingerprint.fingerprint(page(words(200)));
+  const clone = siteFingerprint.fingerprint(page(`${words(195)} extra text here now`));
+  const unrelated = siteFingerprint.fingerprint(page(words(200, 1000)));
+
+  const verification = (fingerprint) => ({
+    company: { details: { website: { finalUrl: 'https://northwind-hiring.com/', fingerprint } } }
+  });
+  const stored = (recruiterId, domain, fingerprint) => ({ recruiterId, domain, ...fingerprint });
+
+  let record;
+
+  beforeEach(() => {
+    record = jest.spyOn(siteFingerprint, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('similar signatures share a band, unrelated ones do not', () => {
+    const bands = siteFingerprint.bandsOf(own.signature);
+
+    expect(bands).toHaveLength(16);
+    expect(siteFingerprint.bandsOf(clone.signature).some(band => bands.includes(band))).toBe(true);
+    expect(siteFingerprint.bandsOf(unrelated.signature).some(band => bands.includes(band))).toBe(false);
+    expect(siteFingerprint.bandsOf(null)).toEqual([]);
+  });
+
+  test('loads only fingerprints sharing a band and copies the fingerprint', async () => {
+    const bandQuery = jest.spyOn(SiteFingerprintBand, 'findAll').mockResolvedValue([{ recruiterId: 2 }, { recruiterId: 3 }]);
+    const fingerprintQuery = jest.spyOn(SiteFingerprint, 'findAll').mockResolvedValue([
+      stored(2, 'clone-site.com', clone),
+      stored(3, 'other-site.com', unrelated)
+    ]);
+    const results = verification(own);
+
+    await siteFingerprint.matchClones({ id: 1 }, results);
+
+    expect(bandQuery.mock.calls[0][0].where.band[Op.in]).toEqual(siteFingerprint.bandsOf(own.signature));
+    expect(fingerprintQuery.mock.calls[0][0].where[Op.or]).toEqual([{ recruiterId: { [Op.in]: [2, 3] } }]);
+
+    const matched = results.company.details.website.fingerprint;
+    expect(matched).not.toBe(own);
+    expect(own).not.toHaveProperty('cloneCount');
+    expect(matched.cloneCount).toBe(1);
+    expect(matched.clones).toEqual([expect.objectContaining({ domain: 'clone-site.com', recruiterIds: [2], sameStructure: false })]);
+    expect(record).toHaveBeenCalledWith(1, 'northwind-hiring.com', own, siteFingerprint.bandsOf(own.signature));
+  });
+
+  test('skips the fingerprint query when nothing shares a band', async () => {
+    jest.spyOn(SiteFingerprintBand, 'findAll').mockResolvedValue([]);
+    const fingerprintQuery = jest.spyOn(SiteFingerprint, 'findAll');
+    const results = verification(own);
+
+    await siteFingerprint.matchClones({ id: 1 }, results);
+
+    expect(fingerprintQuery).not.toHaveBeenCalled();
+    expect(results.company.details.website.fingerprint).toMatchObject({ cloneCount: 0, clones: [] });
+  });
+
+  test('leaves template matches alone', async () => {
+    const bandQuery = jest.spyOn(SiteFingerprintBand, 'findAll');
+    const parked = { ...own, template: { id: 'parked', category: 'parked' } };
+
+    await siteFingerprint.matchClones({ id: 1 }, verification(parked));
+
+    expect(bandQuery).not.toHaveBeenCalled();
+    expect(record).not.toHaveBeenCalled();
+  });
+});
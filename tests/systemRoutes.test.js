@@ -0,0 +1,117 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const systemRoutes = require('../src/routes/systemRoutes');
+const backtestService = require('../src/services/backtestService');
+const resultCache = require('../src/services/resultCache');
+const { globalErrorHandler } = require('../src/middleware/errorHandler');
+
+const SECRET = 'test-secret';
+
+const adminToken = () => jwt.sign({ role: 'admin' }, SECRET, { subject: 'alice' });
+
+const app = express();
+app.use(express.json());
+app.use('/api/system', systemRoutes);
+app.use(globalErrorHandler);
+
+const pack = (patterns) => ({
+  pack: 'email',
+  version: '9.0.0',
+  component: 'emailDomainScore',
+  weight: 0.2,
+  baseScore: 80,
+  rules: [{
+    id: 'email.candidate',
+    field: 'businessEmail',
+    condition: { type: 'matches_any', patterns },
+    severity: 'high',
+    impact: -25,
+    flag: 'candidate',
+    message: 'Candidate rule'
+  }]
+});
+
+describe('POST /api/system/backtest', () => {
+  let run;
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    run = jest.spyOn(backtestService, 'run').mockResolvedValue({ replayed: 0, flipped: 0 });
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  const backtest = (body, token = adminToken()) => {
+    const req = request(app).post('/api/system/backtest');
+    if (token) req.set('Authorization', `Bearer ${token}`);
+    return req.send(body);
+  };
+
+  test('requires an admin token', async () => {
+    const anonymous = await backtest({}, null);
+    const user = await backtest({}, jwt.sign({ role: 'user' }, SECRET, { subject: 'bob' }));
+
+    expect(anonymous.status).toBe(401);
+    expect(user.status).toBe(403);
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('refuses oversized and backtracking-prone candidate packs', async () => {
+    const tooMany = await backtest({ packs: [pack(Array.from({ length: 51 }, (_, i) => `p${i}`))] });
+    const tooLong = await backtest({ packs: [pack(['a'.repeat(201)])] });
+    const nested = await backtest({ packs: [pack(['^(a+)+$'])] });
+    const limit = await backtest({ limit: 10000 });
+
+    expect(tooMany.body.errors[0].message).toBe('Rule "email.candidate" has more than 50 patterns');
+    expect(tooLong.body.errors[0].message).toBe('Rule "email.candidate" patterns must be strings of at most 200 characters');
+    expect(nested.body.errors[0].message).toBe('Rule "email.candidate" pattern ^(a+)+$ repeats a quantified group');
+    expect(limit.body.errors[0].message).toBe('Limit must be between 1 and 5000');
+    for (const response of [tooMany, tooLong, nested, limit]) {
+      expect(response.status).toBe(400);
+    }
+    expect(run).not.toHaveBeenCalled();
+  });
+
+  test('runs a bounded candidate for an admin', async () => {
+    const response = await backtest({ packs: [pack(['^[a-z]+[0-9]{3,}@'])], limit: 500 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ replayed: 0, timeframe: '30d' });
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ packs: [pack(['^[a-z]+[0-9]{3,}@'])], limit: 500 }));
+  });
+});
+
+describe('/api/system/cache', () => {
+  beforeEach(() => {
+    process.env.JWT_SECRET = SECRET;
+    jest.spyOn(resultCache, 'getStats').mockResolvedValue({ backend: 'memory', entries: 3 });
+    jest.spyOn(resultCache, 'clear').mockResolvedValue(3);
+  });
+
+  afterEach(() => {
+    delete process.env.JWT_SECRET;
+    jest.restoreAllMocks();
+  });
+
+  test('requires an admin token', async () => {
+    const stats = await request(app).get('/api/system/cache');
+    const clear = await request(app).delete('/api/system/cache');
+
+    expect(stats.status).toBe(401);
+    expect(clear.status).toBe(401);
+    expect(resultCache.clear).not.toHaveBeenCalled();
+  });
+
+  test('shows and clears the cache for an admin', async () => {
+    const stats = await request(app).get('/api/system/cache').set('Authorization', `Bearer ${adminToken()}`);
+    const clear = await request(app).delete('/api/system/cache?namespace=hunter').set('Authorization', `Bearer ${adminToken()}`);
+
+    expect(stats.body.data).toEqual({ backend: 'memory', entries: 3 });
+    expect(clear.body.data).toEqual({ namespace: 'hunter', removed: 3 });
+    expect(resultCache.clear).toHaveBeenCalledWith('hunter');
+  });
+});